@@ -0,0 +1,170 @@
+import React, { useRef, useState } from 'react';
+import { BenchmarkRunner, BENCHMARK_PRESETS, BENCHMARK_METRICS, benchmarkResultsToCSV } from './BenchmarkRunner';
+import { downloadText } from './MetricsExport';
+
+const DEFAULT_PRESET = 'baseline-vs-optimized';
+
+function formatMs(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
+export function BenchmarkPanel({ gpuMonitor, applySettings, restoreSettings, onComplete, onClose }) {
+  const [presetId, setPresetId] = useState(DEFAULT_PRESET);
+  const [scenarioText, setScenarioText] = useState(JSON.stringify(BENCHMARK_PRESETS[DEFAULT_PRESET], null, 2));
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const runnerRef = useRef(null);
+
+  const selectPreset = (id) => {
+    setPresetId(id);
+    setScenarioText(JSON.stringify(BENCHMARK_PRESETS[id], null, 2));
+  };
+
+  const run = () => {
+    const runner = new BenchmarkRunner({ monitor: gpuMonitor, applySettings, restoreSettings });
+    runnerRef.current = runner;
+    setRunning(true);
+    setError(null);
+    setResults(null);
+    setProgress(null);
+    runner.run(scenarioText, { onProgress: setProgress })
+      .then((res) => {
+        setResults(res);
+        if (onComplete) onComplete(res);
+      })
+      .catch((e) => setError(e.message))
+      .finally(() => {
+        runnerRef.current = null;
+        setRunning(false);
+      });
+  };
+
+  const exportResults = (format) => {
+    const stamp = new Date(results.startedAt).toISOString().replace(/[:.]/g, '-');
+    downloadText(format === 'csv'
+      ? { content: benchmarkResultsToCSV(results), filename: `benchmark-${stamp}.csv`, mimeType: 'text/csv;charset=utf-8' }
+      : { content: JSON.stringify(results, null, 2), filename: `benchmark-${stamp}.json`, mimeType: 'application/json' });
+  };
+
+  const buttonStyle = {
+    border: '1px solid rgba(16,185,129,0.35)',
+    background: 'transparent',
+    color: '#065f46',
+    padding: '6px 10px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: '10px',
+      left: '260px',
+      width: '520px',
+      maxHeight: '70vh',
+      overflow: 'auto',
+      background: 'linear-gradient(180deg, rgba(236,253,245,0.95), rgba(209,250,229,0.93))',
+      color: '#073b28',
+      padding: '15px',
+      borderRadius: '12px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      zIndex: 1100,
+      border: '1px solid rgba(16,185,129,0.35)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+        <h3 style={{ margin: 0, fontSize: '14px', color: '#065f46' }}>Benchmark Runner</h3>
+        <button onClick={onClose} disabled={running} style={{ ...buttonStyle, padding: '2px 6px', fontSize: '16px' }}>×</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+        <label>Preset</label>
+        <select value={presetId} onChange={(e) => selectPreset(e.target.value)} disabled={running} style={{ padding: '4px 6px', fontSize: 12 }}>
+          {Object.entries(BENCHMARK_PRESETS).map(([id, p]) => (
+            <option key={id} value={id}>{p.name}</option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        value={scenarioText}
+        onChange={(e) => setScenarioText(e.target.value)}
+        disabled={running}
+        spellCheck={false}
+        rows={10}
+        style={{ width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: 11 }}
+      />
+      <div style={{ fontSize: 10, marginBottom: 8 }}>
+        Sweep any of: mode, theme, targetFps, pixelRatioClamp, viewportScale, renderOnDemand, autoRotate, stressIntensity (0 = off)
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+        {running ? (
+          <button onClick={() => runnerRef.current && runnerRef.current.cancel()} style={buttonStyle}>Cancel</button>
+        ) : (
+          <button onClick={run} style={buttonStyle}>Run</button>
+        )}
+        {results && !running && (
+          <>
+            <button onClick={() => exportResults('csv')} style={buttonStyle}>Export CSV</button>
+            <button onClick={() => exportResults('json')} style={buttonStyle}>Export JSON</button>
+          </>
+        )}
+      </div>
+
+      {progress && running && (
+        <div style={{ marginBottom: 8 }}>
+          <div style={{ height: 8, background: 'rgba(16,185,129,0.2)', borderRadius: 4, overflow: 'hidden', marginBottom: 4 }}>
+            <div style={{ width: `${(progress.completed / Math.max(1, progress.total)) * 100}%`, height: '100%', background: '#10B981' }} />
+          </div>
+          <div>
+            Trial {Math.min(progress.completed + 1, progress.total)}/{progress.total}
+            {progress.current ? ` • ${progress.current.label} (rep ${progress.current.rep + 1}, ${progress.current.phase})` : ''}
+            {` • ${formatMs(progress.elapsedMs)} elapsed, ~${formatMs(progress.etaMs)} left`}
+          </div>
+        </div>
+      )}
+
+      {error && <div style={{ color: '#b91c1c', marginBottom: 8 }}>{error}</div>}
+
+      {results && (
+        <div>
+          <div style={{ marginBottom: 6 }}>
+            {results.scenario.name}: {results.completedTrials}/{results.totalTrials} trials
+            {results.cancelled ? ' (cancelled)' : ''} • seed {results.scenario.seed} • ± is the 95% CI
+          </div>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 11 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Cell</th>
+                <th style={{ textAlign: 'right' }}>Reps</th>
+                {BENCHMARK_METRICS.map((m) => (
+                  <th key={m.key} style={{ textAlign: 'right' }}>{m.label} ({m.unit})</th>
+                ))}
+                <th style={{ textAlign: 'right' }}>Energy (Wh)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.cells.map((cell) => (
+                <tr key={cell.id} style={{ borderTop: '1px solid rgba(16,185,129,0.25)' }}>
+                  <td>{cell.label}</td>
+                  <td style={{ textAlign: 'right' }}>{cell.repetitions}</td>
+                  {BENCHMARK_METRICS.map((m) => (
+                    <td key={m.key} style={{ textAlign: 'right' }} title={cell.stats[m.key].n ? `SD ${cell.stats[m.key].sd.toFixed(2)}, 95% CI ${cell.stats[m.key].ci95.map((v) => v.toFixed(2)).join(' – ')} (n=${cell.stats[m.key].n})` : undefined}>
+                      {cell.means[m.key] === null ? '-' : cell.means[m.key].toFixed(1)}
+                      {cell.stats[m.key].n >= 2 && ` ±${((cell.stats[m.key].ci95[1] - cell.stats[m.key].ci95[0]) / 2).toFixed(1)}`}
+                    </td>
+                  ))}
+                  <td style={{ textAlign: 'right' }}>{cell.energyWh.toFixed(4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
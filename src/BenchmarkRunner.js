@@ -0,0 +1,312 @@
+import { csvCell } from './MetricsExport';
+import { describe, welchTTest } from './Statistics';
+
+// Scripted benchmark matrix: a scenario sweeps any combination of settings,
+// every cell is measured `repetitions` times after a warm-up, and trials run
+// in randomized order so slow drift (thermals, background load) spreads over
+// all cells instead of biasing the last ones.
+//
+// Scenario shape:
+// { name, sweep: { mode?: [...], theme?: [...], targetFps?: [...], pixelRatioClamp?: [...],
+//                  viewportScale?: [...], renderOnDemand?: [...], autoRotate?: [...],
+//                  stressIntensity?: [...] },
+//   warmupMs, durationMs, repetitions, randomize, seed? }
+export const BENCHMARK_DIMENSIONS = ['mode', 'theme', 'targetFps', 'pixelRatioClamp', 'viewportScale', 'renderOnDemand', 'autoRotate', 'stressIntensity'];
+
+export const BENCHMARK_PRESETS = {
+  'baseline-vs-optimized': {
+    name: 'Baseline vs optimized',
+    sweep: { mode: ['baseline', 'optimized'] },
+    warmupMs: 500,
+    durationMs: 2000,
+    repetitions: 3,
+    randomize: true
+  },
+  'theme-fps': {
+    name: 'Theme × target FPS',
+    sweep: { theme: ['light', 'dark'], targetFps: [30, 60] },
+    warmupMs: 1000,
+    durationMs: 3000,
+    repetitions: 3,
+    randomize: true
+  },
+  'resolution': {
+    name: 'Pixel ratio × viewport scale',
+    sweep: { pixelRatioClamp: [1, 1.5, 2], viewportScale: [0.6, 0.8, 1] },
+    warmupMs: 1000,
+    durationMs: 3000,
+    repetitions: 2,
+    randomize: true
+  },
+  'render-on-demand': {
+    name: 'Continuous vs render on demand (idle scene)',
+    sweep: { autoRotate: [false], renderOnDemand: [false, true] },
+    warmupMs: 1000,
+    durationMs: 3000,
+    repetitions: 3,
+    randomize: true
+  },
+  'stress': {
+    name: 'Stress intensity',
+    sweep: { stressIntensity: [0, 100, 300] },
+    warmupMs: 1500,
+    durationMs: 3000,
+    repetitions: 3,
+    randomize: true
+  }
+};
+
+export class BenchmarkCancelledError extends Error {
+  constructor() {
+    super('Benchmark cancelled');
+    this.name = 'BenchmarkCancelledError';
+  }
+}
+
+export function parseScenario(input) {
+  const scenario = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!scenario || typeof scenario.sweep !== 'object' || scenario.sweep === null) {
+    throw new Error('Scenario needs a "sweep" object');
+  }
+  const dims = Object.keys(scenario.sweep);
+  if (!dims.length) throw new Error('Scenario sweep is empty');
+  dims.forEach((dim) => {
+    if (!BENCHMARK_DIMENSIONS.includes(dim)) {
+      throw new Error(`Unknown sweep dimension "${dim}" (expected one of ${BENCHMARK_DIMENSIONS.join(', ')})`);
+    }
+    const values = scenario.sweep[dim];
+    if (!Array.isArray(values) || !values.length) throw new Error(`Sweep "${dim}" needs a non-empty array`);
+  });
+  const positive = (value, fallback, name) => {
+    const v = value === undefined ? fallback : value;
+    if (typeof v !== 'number' || !isFinite(v) || v < 0) throw new Error(`"${name}" must be a non-negative number`);
+    return v;
+  };
+  return {
+    name: scenario.name || 'Benchmark',
+    sweep: scenario.sweep,
+    warmupMs: positive(scenario.warmupMs, 1000, 'warmupMs'),
+    durationMs: Math.max(100, positive(scenario.durationMs, 3000, 'durationMs')),
+    repetitions: Math.max(1, Math.round(positive(scenario.repetitions, 1, 'repetitions'))),
+    randomize: scenario.randomize !== false,
+    seed: typeof scenario.seed === 'number' ? scenario.seed : null
+  };
+}
+
+// Cartesian product of the sweep, in declaration order
+export function expandScenario(scenario) {
+  return Object.entries(scenario.sweep).reduce(
+    (cells, [dim, values]) => cells.flatMap((cell) => values.map((value) => ({ ...cell, [dim]: value }))),
+    [{}]
+  ).map((settings, i) => ({
+    id: i,
+    label: Object.entries(settings).map(([k, v]) => `${k}=${v}`).join(' '),
+    settings
+  }));
+}
+
+// Small seedable PRNG (mulberry32) so a randomized order can be reproduced
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Values used for a cell's statistics: per-trial means when the cell ran at
+// least twice (independent units); otherwise the raw samples of its single
+// trial, which are autocorrelated and make the test optimistic
+export function cellValues(trials, cellId, key) {
+  const cellTrials = trials.filter((t) => t.cellId === cellId);
+  if (cellTrials.length >= 2) {
+    return { unit: 'trials', values: cellTrials.map((t) => t.means[key]).filter((v) => v !== null) };
+  }
+  return { unit: 'samples', values: cellTrials.length ? cellTrials[0].samples[key] : [] };
+}
+
+// B vs A for one metric: descriptive stats of both and Welch's t-test
+export function compareCells(results, cellIdA, cellIdB, key) {
+  const a = cellValues(results.trials, cellIdA, key);
+  const b = cellValues(results.trials, cellIdB, key);
+  return {
+    unit: a.unit === 'trials' && b.unit === 'trials' ? 'trials' : 'samples',
+    a: describe(a.values),
+    b: describe(b.values),
+    test: welchTTest(a.values, b.values)
+  };
+}
+
+// Per-trial measurements; each is averaged over the trial's samples
+export const BENCHMARK_METRICS = [
+  { key: 'power', label: 'Power', unit: 'W', get: (s) => s.totalPower },
+  { key: 'fps', label: 'FPS', unit: 'fps', get: (s) => s.fps },
+  { key: 'utilization', label: 'GPU Util', unit: '%', get: (s) => s.gpu.utilization },
+  { key: 'frameTimeP95', label: 'p95 Frame', unit: 'ms', get: (s) => s.frameTiming && s.frameTiming.p95 },
+  { key: 'co2eRate', label: 'CO₂ Rate', unit: 'g/h', get: (s) => s.totalPower * (s.carbon ? s.carbon.gramsPerWh : 0) }
+];
+
+export class BenchmarkRunner {
+  // applySettings(settings) puts the scene into a cell's configuration and
+  // may return a promise; restoreSettings() is called once at the end
+  constructor({ monitor, applySettings, restoreSettings, sampleIntervalMs = 100 }) {
+    this.monitor = monitor;
+    this.applySettings = applySettings;
+    this.restoreSettings = restoreSettings;
+    this.sampleIntervalMs = sampleIntervalMs;
+    this.cancelled = false;
+    this.pending = null;
+  }
+
+  cancel() {
+    this.cancelled = true;
+    if (this.pending) this.pending.cancel();
+  }
+
+  // Cancellable wait; collects monitor samples when `collect` is given
+  wait(ms, collect) {
+    return new Promise((resolve, reject) => {
+      const unsubscribe = collect
+        ? this.monitor.subscribe(({ stats }) => collect(stats), { intervalMs: this.sampleIntervalMs, types: ['sample'] })
+        : () => {};
+      const finish = (fn) => {
+        clearTimeout(timer);
+        unsubscribe();
+        this.pending = null;
+        fn();
+      };
+      const timer = setTimeout(() => finish(resolve), ms);
+      this.pending = { cancel: () => finish(() => reject(new BenchmarkCancelledError())) };
+    });
+  }
+
+  async run(input, { onProgress } = {}) {
+    const scenario = parseScenario(input);
+    const cells = expandScenario(scenario);
+    const seed = scenario.seed ?? Math.floor(Math.random() * 2 ** 31);
+    const ordered = cells.flatMap((cell) => Array.from({ length: scenario.repetitions }, () => cell));
+    // Repetitions are numbered in the order they actually run
+    const repCounts = new Map();
+    const trials = (scenario.randomize ? shuffle(ordered, createRandom(seed)) : ordered).map((cell) => {
+      const rep = repCounts.get(cell.id) || 0;
+      repCounts.set(cell.id, rep + 1);
+      return { cell, rep };
+    });
+    const startedAt = Date.now();
+    const results = [];
+    const report = (index, phase) => {
+      if (!onProgress) return;
+      const elapsedMs = Date.now() - startedAt;
+      const done = index + (phase === 'measure' ? 0.5 : 0);
+      onProgress({
+        completed: index,
+        total: trials.length,
+        current: phase !== 'done' && trials[index] ? { label: trials[index].cell.label, rep: trials[index].rep, phase } : null,
+        elapsedMs,
+        etaMs: done > 0 ? (elapsedMs / done) * (trials.length - done) : (scenario.warmupMs + scenario.durationMs) * trials.length
+      });
+    };
+
+    this.cancelled = false;
+    try {
+      for (let i = 0; i < trials.length; i++) {
+        if (this.cancelled) throw new BenchmarkCancelledError();
+        const { cell, rep } = trials[i];
+        report(i, 'warmup');
+        await this.applySettings(cell.settings);
+        await this.wait(scenario.warmupMs);
+        report(i, 'measure');
+        const samples = BENCHMARK_METRICS.reduce((acc, m) => ({ ...acc, [m.key]: [] }), {});
+        const measureStart = performance.now();
+        await this.wait(scenario.durationMs, (stats) => {
+          BENCHMARK_METRICS.forEach((m) => {
+            const value = m.get(stats);
+            if (typeof value === 'number' && isFinite(value)) samples[m.key].push(value);
+          });
+        });
+        const measuredMs = performance.now() - measureStart;
+        const means = BENCHMARK_METRICS.reduce((acc, m) => ({ ...acc, [m.key]: mean(samples[m.key]) }), {});
+        results.push({
+          cellId: cell.id,
+          rep,
+          order: i,
+          settings: cell.settings,
+          measuredMs,
+          sampleCount: samples.power.length,
+          means,
+          samples,
+          energyWh: (means.power || 0) * (measuredMs / 3600000)
+        });
+      }
+    } catch (error) {
+      if (!(error instanceof BenchmarkCancelledError)) throw error;
+    } finally {
+      report(results.length, 'done');
+      if (this.restoreSettings) await this.restoreSettings();
+    }
+
+    return {
+      scenario: { ...scenario, seed },
+      startedAt,
+      finishedAt: Date.now(),
+      cancelled: this.cancelled,
+      completedTrials: results.length,
+      totalTrials: trials.length,
+      trials: results,
+      cells: summarizeCells(cells, results)
+    };
+  }
+}
+
+// Mean over repetitions of each metric, per cell, with SD and 95% CI
+export function summarizeCells(cells, trials) {
+  return cells.map((cell) => {
+    const cellTrials = trials.filter((t) => t.cellId === cell.id);
+    const means = BENCHMARK_METRICS.reduce((acc, m) => ({
+      ...acc,
+      [m.key]: mean(cellTrials.map((t) => t.means[m.key]).filter((v) => v !== null))
+    }), {});
+    const stats = BENCHMARK_METRICS.reduce((acc, m) => ({
+      ...acc,
+      [m.key]: describe(cellValues(trials, cell.id, m.key).values)
+    }), {});
+    return {
+      ...cell,
+      repetitions: cellTrials.length,
+      means,
+      stats,
+      energyWh: cellTrials.reduce((sum, t) => sum + t.energyWh, 0)
+    };
+  });
+}
+
+// One row per trial, in run order, with the cell's settings as columns
+export function benchmarkResultsToCSV(results) {
+  const dims = Object.keys(results.scenario.sweep);
+  const header = ['order', 'cell', 'rep', ...dims, 'measuredMs', 'samples', ...BENCHMARK_METRICS.map((m) => `${m.key}_${m.unit.replace('%', 'pct').replace('/', '_per_')}`), 'energyWh'];
+  const rows = results.trials.map((t) => [
+    t.order,
+    t.cellId,
+    t.rep,
+    ...dims.map((d) => t.settings[d]),
+    Math.round(t.measuredMs),
+    t.sampleCount,
+    ...BENCHMARK_METRICS.map((m) => (t.means[m.key] === null ? null : t.means[m.key].toFixed(3))),
+    t.energyWh.toFixed(6)
+  ].map(csvCell).join(','));
+  return [header.join(','), ...rows].join('\n');
+}
@@ -0,0 +1,129 @@
+import bundledDataset from './carbonIntensityData.json';
+
+// Grid carbon intensity source for every CO₂ figure. Regions come from the
+// bundled offline dataset, user-supplied JSON (same shape) and the
+// REACT_APP_GRID_FACTOR env variable (grams per Wh).
+//
+// Dataset shape:
+// { "regions": { "<id>": { "name": "...", "gramsPerKWh": 380,
+//                          "utcOffset": 1, "hourly": [24 × gCO2e/kWh] } } }
+export const DEFAULT_REGION = 'WORLD';
+export const ENV_REGION = 'ENV';
+
+function readEnvGramsPerWh() {
+  const raw = typeof process !== 'undefined' ? process.env.REACT_APP_GRID_FACTOR : undefined;
+  const value = parseFloat(raw);
+  return isFinite(value) && value > 0 ? value : null;
+}
+
+function validateRegion(id, entry) {
+  if (!entry || typeof entry.gramsPerKWh !== 'number' || !isFinite(entry.gramsPerKWh) || entry.gramsPerKWh < 0) {
+    throw new Error(`Region "${id}" needs a non-negative numeric gramsPerKWh`);
+  }
+  if (entry.hourly !== undefined) {
+    if (!Array.isArray(entry.hourly) || entry.hourly.length !== 24 || entry.hourly.some((v) => typeof v !== 'number' || !isFinite(v))) {
+      throw new Error(`Region "${id}" hourly profile must be 24 numbers`);
+    }
+  }
+  return {
+    id,
+    name: entry.name || id,
+    gramsPerKWh: entry.gramsPerKWh,
+    utcOffset: typeof entry.utcOffset === 'number' ? entry.utcOffset : 0,
+    hourly: entry.hourly || null
+  };
+}
+
+export class CarbonIntensityProvider {
+  constructor({ region, dataset = bundledDataset, envGramsPerWh = readEnvGramsPerWh() } = {}) {
+    this.regions = new Map();
+    this.listeners = new Set();
+    this.addRegions(dataset);
+    if (envGramsPerWh !== null) {
+      this.regions.set(ENV_REGION, {
+        id: ENV_REGION,
+        name: 'Environment (REACT_APP_GRID_FACTOR)',
+        gramsPerKWh: envGramsPerWh * 1000,
+        utcOffset: 0,
+        hourly: null
+      });
+    }
+    // An explicit env factor wins over the bundled default
+    this.region = region || (envGramsPerWh !== null ? ENV_REGION : DEFAULT_REGION);
+    if (!this.regions.has(this.region)) {
+      throw new Error(`Unknown carbon intensity region: ${this.region}`);
+    }
+  }
+
+  addRegions(dataset) {
+    const regions = dataset && dataset.regions;
+    if (!regions || typeof regions !== 'object') {
+      throw new Error('Carbon intensity dataset needs a "regions" object');
+    }
+    // Validate everything before touching the current set
+    const parsed = Object.entries(regions).map(([id, entry]) => validateRegion(id, entry));
+    parsed.forEach((r) => this.regions.set(r.id, r));
+    return parsed.map((r) => r.id);
+  }
+
+  // Merge a user-supplied dataset (object or JSON text). Returns the region ids added.
+  loadDataset(json) {
+    const dataset = typeof json === 'string' ? JSON.parse(json) : json;
+    const ids = this.addRegions(dataset);
+    this.notify();
+    return ids;
+  }
+
+  listRegions() {
+    return [...this.regions.values()].map(({ id, name, gramsPerKWh, hourly }) => ({
+      id,
+      name,
+      gramsPerKWh,
+      hasHourly: !!hourly
+    }));
+  }
+
+  setRegion(id) {
+    if (!this.regions.has(id)) {
+      throw new Error(`Unknown carbon intensity region: ${id}`);
+    }
+    this.region = id;
+    this.notify();
+  }
+
+  getRegion() {
+    return this.regions.get(this.region);
+  }
+
+  getIntensity(date = new Date()) {
+    const region = this.getRegion();
+    let gramsPerKWh = region.gramsPerKWh;
+    let hour = null;
+    if (region.hourly) {
+      // Profiles are in the region's local standard time
+      hour = Math.floor((((date.getUTCHours() + date.getUTCMinutes() / 60 + region.utcOffset) % 24) + 24) % 24);
+      gramsPerKWh = region.hourly[hour];
+    }
+    return {
+      region: region.id,
+      regionName: region.name,
+      gramsPerKWh,
+      gramsPerWh: gramsPerKWh / 1000,
+      hour,
+      source: region.id === ENV_REGION ? 'env' : region.hourly ? 'hourly' : 'annual'
+    };
+  }
+
+  getGramsPerWh(date = new Date()) {
+    return this.getIntensity(date).gramsPerWh;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
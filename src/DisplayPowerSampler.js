@@ -0,0 +1,125 @@
+// Content-aware display power estimation. Every `intervalMs` the rendered
+// canvas is drawn into a tiny 2D canvas (GPU downscale), read back and reduced
+// to an average picture level plus per-channel intensities, which then feed an
+// OLED or LCD panel model.
+
+// W per nit per m² of panel at full white
+const OLED_WATTS_PER_NIT_M2 = 0.3;
+const LCD_BACKLIGHT_WATTS_PER_NIT_M2 = 0.25;
+// Share of OLED emitter power per channel at full white (blue is least efficient)
+const OLED_CHANNEL_WEIGHTS = { r: 0.3, g: 0.25, b: 0.45 };
+
+export const DEFAULT_DISPLAY_OPTIONS = {
+  panel: 'lcd',          // 'oled' | 'lcd'
+  diagonalInches: 27,
+  nits: 250,
+  localDimming: false,   // LCD only: backlight follows content
+  intervalMs: 1000,
+  sampleWidth: 16,
+  sampleHeight: 9
+};
+
+export function panelAreaM2(diagonalInches, aspect = 16 / 9) {
+  const diagonalM = diagonalInches * 0.0254;
+  const height = diagonalM / Math.sqrt(1 + aspect * aspect);
+  return height * aspect * height;
+}
+
+// rgb: mean linear intensity per channel (0..1), apl: mean relative luminance (0..1)
+export function oledPowerWatts({ rgb }, { diagonalInches, nits }) {
+  const emitters = OLED_CHANNEL_WEIGHTS.r * rgb.r + OLED_CHANNEL_WEIGHTS.g * rgb.g + OLED_CHANNEL_WEIGHTS.b * rgb.b;
+  const driverWatts = 0.1 + panelAreaM2(diagonalInches) * 2;
+  return driverWatts + panelAreaM2(diagonalInches) * nits * OLED_WATTS_PER_NIT_M2 * emitters;
+}
+
+export function lcdPowerWatts({ apl }, { diagonalInches, nits, localDimming }) {
+  // Backlight dominates and is content-independent unless locally dimmed
+  const backlightLevel = localDimming ? 0.2 + 0.8 * apl : 1;
+  const electronicsWatts = 0.5 + panelAreaM2(diagonalInches) * 10;
+  return electronicsWatts + panelAreaM2(diagonalInches) * nits * LCD_BACKLIGHT_WATTS_PER_NIT_M2 * backlightLevel;
+}
+
+const srgbToLinear = (c) => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+export class DisplayPowerSampler {
+  constructor(sourceCanvas, options = {}) {
+    this.sourceCanvas = sourceCanvas;
+    this.options = { ...DEFAULT_DISPLAY_OPTIONS, ...options };
+    this.lastSampleTime = 0;
+    this.result = null;
+    this.initTarget();
+  }
+
+  initTarget() {
+    const { sampleWidth, sampleHeight } = this.options;
+    if (typeof OffscreenCanvas !== 'undefined') {
+      this.target = new OffscreenCanvas(sampleWidth, sampleHeight);
+    } else {
+      this.target = document.createElement('canvas');
+      this.target.width = sampleWidth;
+      this.target.height = sampleHeight;
+    }
+    this.ctx = this.target.getContext('2d', { willReadFrequently: true });
+  }
+
+  configure(options = {}) {
+    const prev = this.options;
+    this.options = { ...this.options, ...options };
+    if (prev.sampleWidth !== this.options.sampleWidth || prev.sampleHeight !== this.options.sampleHeight) {
+      this.initTarget();
+    }
+    // Re-run the panel model on the last reading so the change shows immediately
+    if (this.result) {
+      this.result = { ...this.result, ...this.applyPanelModel(this.result) };
+    }
+  }
+
+  // Call right after renderer.render(): the drawing buffer is only guaranteed
+  // to hold the frame until the browser composites it.
+  maybeSample(now) {
+    if (now - this.lastSampleTime < this.options.intervalMs) return false;
+    this.lastSampleTime = now;
+    return this.sample(now);
+  }
+
+  sample(now = performance.now()) {
+    if (!this.ctx || !this.sourceCanvas) return false;
+    const { sampleWidth, sampleHeight } = this.options;
+    let data;
+    try {
+      this.ctx.drawImage(this.sourceCanvas, 0, 0, sampleWidth, sampleHeight);
+      data = this.ctx.getImageData(0, 0, sampleWidth, sampleHeight).data;
+    } catch (_) {
+      return false;
+    }
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    const pixels = data.length / 4;
+    for (let i = 0; i < data.length; i += 4) {
+      r += srgbToLinear(data[i]);
+      g += srgbToLinear(data[i + 1]);
+      b += srgbToLinear(data[i + 2]);
+    }
+    const rgb = { r: r / pixels, g: g / pixels, b: b / pixels };
+    // Rec. 709 relative luminance
+    const apl = 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b;
+    this.result = { apl, rgb, sampledAt: now, ...this.applyPanelModel({ apl, rgb }) };
+    return true;
+  }
+
+  applyPanelModel({ apl, rgb }) {
+    const { panel, diagonalInches, nits, localDimming } = this.options;
+    const power = panel === 'oled'
+      ? oledPowerWatts({ rgb }, { diagonalInches, nits })
+      : lcdPowerWatts({ apl }, { diagonalInches, nits, localDimming });
+    return { power, panel, diagonalInches, nits };
+  }
+
+  getResult() {
+    return this.result;
+  }
+}
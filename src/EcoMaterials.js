@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+// Eco material mode: PBR materials (MeshStandardMaterial and
+// MeshPhysicalMaterial) are swapped for a cheaper shading model through a
+// MaterialOverrides layer, lights are turned down and the shadow map is
+// switched off. Turning the mode off gives every mesh its own material back.
+export const ECO_SHADING = {
+  lambert: 'Lambert (diffuse only)',
+  phong: 'Phong (diffuse + highlight)',
+  toon: 'Toon (baked-lit ramp)'
+};
+export const DEFAULT_ECO_SHADING = 'lambert';
+// Light intensity while the mode is on
+export const ECO_LIGHT_SCALE = 0.85;
+
+const ECO_MATERIALS = {
+  lambert: THREE.MeshLambertMaterial,
+  phong: THREE.MeshPhongMaterial,
+  toon: THREE.MeshToonMaterial
+};
+
+// Carried over when the target material has them; maps are shared, not copied
+const SHARED_PROPERTIES = [
+  'color', 'map', 'emissive', 'emissiveMap', 'emissiveIntensity',
+  'normalMap', 'normalMapType', 'normalScale', 'bumpMap', 'bumpScale',
+  'aoMap', 'aoMapIntensity', 'lightMap', 'lightMapIntensity', 'alphaMap',
+  'displacementMap', 'displacementScale', 'displacementBias',
+  'flatShading', 'wireframe', 'fog', 'vertexColors', 'transparent', 'opacity',
+  'alphaTest', 'side', 'blending', 'depthTest', 'depthWrite', 'visible',
+  'polygonOffset', 'polygonOffsetFactor', 'polygonOffsetUnits'
+];
+
+export class EcoMaterialMode {
+  constructor({ materialOverrides, renderer, shading = DEFAULT_ECO_SHADING, lightScale = ECO_LIGHT_SCALE }) {
+    if (!ECO_MATERIALS[shading]) throw new Error(`Unknown eco shading "${shading}"`);
+    this.materialOverrides = materialOverrides;
+    this.renderer = renderer;
+    this.shading = shading;
+    this.lightScale = lightScale;
+    this.enabled = false;
+    this.shadowMapWasEnabled = renderer.shadowMap.enabled;
+    this.gradientMap = null;
+    // { standard, eco, shading, deltaPowerW, deltaFps, at } of the last comparison
+    this.measurement = null;
+    this.measuring = false;
+    this.listeners = new Set();
+  }
+
+  setEnabled(enabled) {
+    enabled = !!enabled;
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    if (enabled) {
+      this.shadowMapWasEnabled = this.renderer.shadowMap.enabled;
+      this.setShadowMap(false);
+      this.materialOverrides.setLayer('eco', { material: (current) => this.convert(current) });
+    } else {
+      this.materialOverrides.removeLayer('eco');
+      this.setShadowMap(this.shadowMapWasEnabled);
+    }
+    this.notify();
+  }
+
+  setShading(shading) {
+    if (!ECO_MATERIALS[shading]) throw new Error(`Unknown eco shading "${shading}"`);
+    this.shading = shading;
+    // Rebuilds the overrides with the new shading model
+    if (this.enabled) this.materialOverrides.setLayer('eco', { material: (current) => this.convert(current) });
+    this.notify();
+  }
+
+  // Programs are compiled for a shadow map state, so materials in use need
+  // recompiling when it changes
+  setShadowMap(enabled) {
+    if (this.renderer.shadowMap.enabled === enabled) return;
+    this.renderer.shadowMap.enabled = enabled;
+    this.materialOverrides.scene.traverse((obj) => {
+      const materials = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+      materials.forEach((m) => {
+        m.needsUpdate = true;
+      });
+    });
+  }
+
+  // Cheaper material that looks close to a PBR one; other materials are
+  // cheap enough already and stay as they are
+  convert(material) {
+    if (!material.isMeshStandardMaterial) return material;
+    const eco = new ECO_MATERIALS[this.shading]();
+    SHARED_PROPERTIES.forEach((key) => {
+      if (!(key in eco) || material[key] === undefined) return;
+      const value = material[key];
+      if (value && (value.isColor || value.isVector2)) eco[key].copy(value);
+      else eco[key] = value;
+    });
+    eco.name = material.name;
+    // Without an environment map metals show little diffuse color
+    eco.color.multiplyScalar(1 - material.metalness * 0.5);
+    if (eco.isMeshPhongMaterial) {
+      eco.specular.setScalar(0.07).lerp(material.color, material.metalness);
+      eco.shininess = Math.max(2, (1 - material.roughness) ** 2 * 100);
+    } else if (eco.isMeshToonMaterial) {
+      eco.gradientMap = this.getGradientMap();
+    }
+    return eco;
+  }
+
+  // Three-tone lighting ramp shared by every toon material
+  getGradientMap() {
+    if (!this.gradientMap) {
+      this.gradientMap = new THREE.DataTexture(new Uint8Array([90, 170, 255]), 3, 1, THREE.RedFormat);
+      this.gradientMap.minFilter = THREE.NearestFilter;
+      this.gradientMap.magFilter = THREE.NearestFilter;
+      this.gradientMap.needsUpdate = true;
+    }
+    return this.gradientMap;
+  }
+
+  setMeasuring(measuring) {
+    this.measuring = measuring;
+    this.notify();
+  }
+
+  // standard / eco: profileModelEnergy results with the mode off and on
+  recordMeasurement(standard, eco) {
+    this.measurement = {
+      standard,
+      eco,
+      shading: this.shading,
+      deltaPowerW: eco.avgPowerW - standard.avgPowerW,
+      deltaFps: eco.avgFps - standard.avgFps,
+      at: Date.now()
+    };
+    this.notify();
+  }
+
+  getState() {
+    return {
+      enabled: this.enabled,
+      shading: this.shading,
+      lightScale: this.lightScale,
+      shadowMap: this.renderer.shadowMap.enabled,
+      measuring: this.measuring,
+      measurement: this.measurement
+    };
+  }
+
+  dispose() {
+    this.setEnabled(false);
+    if (this.gradientMap) this.gradientMap.dispose();
+    this.listeners.clear();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
@@ -0,0 +1,67 @@
+// Session energy accounting: integrates power over real elapsed time and splits
+// the result by performance mode and theme. Each interval is charged at the
+// power, mode, theme and grid factor of the sample that opened it, so long
+// gaps (e.g. throttled timers in a hidden tab) still count in full.
+const MS_PER_HOUR = 3600 * 1000;
+
+const emptyBucket = () => ({ wh: 0, gCO2e: 0, ms: 0 });
+
+export class EnergyIntegrator {
+  constructor({ gramsPerWh = 0.4 } = {}) {
+    this.gramsPerWh = gramsPerWh;
+    this.reset();
+  }
+
+  setGramsPerWh(gramsPerWh) {
+    this.gramsPerWh = gramsPerWh;
+  }
+
+  reset(now = performance.now()) {
+    this.startedAt = now;
+    this.last = null;
+    this.totals = emptyBucket();
+    this.byMode = {};
+    this.byTheme = {};
+  }
+
+  addSample(watts, now, { mode, theme } = {}) {
+    if (typeof watts !== 'number' || !isFinite(watts)) return;
+    if (this.last) {
+      const dtMs = Math.max(0, now - this.last.at);
+      const wh = this.last.watts * (dtMs / MS_PER_HOUR);
+      this.charge({ wh, gCO2e: wh * this.last.gramsPerWh, ms: dtMs }, this.last);
+    }
+    this.last = { at: now, watts, mode: mode || 'unknown', theme: theme || 'unknown', gramsPerWh: this.gramsPerWh };
+  }
+
+  // Adds energy measured elsewhere (e.g. the difference between two of the
+  // monitor's session totals) to the totals and the mode/theme split
+  charge({ wh, gCO2e, ms }, { mode, theme } = {}) {
+    const add = (bucket) => {
+      bucket.wh += wh;
+      bucket.gCO2e += gCO2e;
+      bucket.ms += ms;
+    };
+    add(this.totals);
+    add(this.byMode[mode || 'unknown'] || (this.byMode[mode || 'unknown'] = emptyBucket()));
+    add(this.byTheme[theme || 'unknown'] || (this.byTheme[theme || 'unknown'] = emptyBucket()));
+  }
+
+  // Close the running interval without opening a new one: the time until the
+  // next sample is not charged (e.g. while the GPU context is lost)
+  pause(now) {
+    if (this.last) this.addSample(this.last.watts, now, this.last);
+    this.last = null;
+  }
+
+  getTotals() {
+    const copy = (buckets) => Object.fromEntries(Object.entries(buckets).map(([key, b]) => [key, { ...b }]));
+    return {
+      wh: this.totals.wh,
+      gCO2e: this.totals.gCO2e,
+      elapsedMs: this.totals.ms,
+      byMode: copy(this.byMode),
+      byTheme: copy(this.byTheme)
+    };
+  }
+}
@@ -0,0 +1,317 @@
+// Automatic eco mode from the device's environment: battery (charging,
+// level), prefers-reduced-motion, prefers-color-scheme and Save-Data.
+// Matching rules are merged into a preset (earlier rules win a setting);
+// settings no rule asks for any more go back to what they were when the
+// policy started. A setting the user changes by hand is theirs until the
+// overrides are cleared.
+//
+// Inputs come from an environment object, so tests can pass a mock:
+// { getBattery?: () => Promise<{ charging, level, addEventListener }>,
+//   matchMedia?: (query) => { matches, addEventListener },
+//   connection?: { saveData, addEventListener } }
+export const ENVIRONMENT_SETTINGS = ['mode', 'theme', 'targetFps', 'pixelRatioClamp', 'viewportScale', 'renderOnDemand', 'autoRotate'];
+
+// Low battery enters below 30% and leaves at 35%, so a level hovering
+// around the threshold does not flip the preset back and forth
+const LOW_BATTERY_ENTER = 0.3;
+const LOW_BATTERY_EXIT = 0.35;
+
+const percent = (level) => `${Math.round(level * 100)}%`;
+
+export const ENVIRONMENT_RULES = [
+  {
+    id: 'lowBattery',
+    label: 'Unplugged, low battery',
+    when: (s, wasActive) => s.charging === false && s.batteryLevel !== null
+      && s.batteryLevel < (wasActive ? LOW_BATTERY_EXIT : LOW_BATTERY_ENTER),
+    preset: { mode: 'optimized', theme: 'dark', targetFps: 24, viewportScale: 0.7 },
+    reason: (s) => `unplugged at ${percent(s.batteryLevel)} battery`
+  },
+  {
+    id: 'onBattery',
+    label: 'Unplugged',
+    when: (s) => s.charging === false,
+    preset: { mode: 'optimized', targetFps: 30 },
+    reason: (s) => (s.batteryLevel !== null ? `unplugged at ${percent(s.batteryLevel)} battery` : 'unplugged')
+  },
+  {
+    id: 'saveData',
+    label: 'Save-Data',
+    when: (s) => s.saveData,
+    preset: { mode: 'optimized', pixelRatioClamp: 1, viewportScale: 0.8 },
+    reason: () => 'Save-Data requested'
+  },
+  {
+    id: 'reducedMotion',
+    label: 'Reduced motion',
+    when: (s) => s.reducedMotion,
+    preset: { autoRotate: false, renderOnDemand: true },
+    reason: () => 'prefers-reduced-motion'
+  },
+  {
+    id: 'darkScheme',
+    label: 'Dark color scheme',
+    when: (s) => s.prefersDark,
+    preset: { theme: 'dark' },
+    reason: () => 'prefers-color-scheme: dark'
+  }
+];
+
+export function browserEnvironment() {
+  const nav = typeof navigator !== 'undefined' ? navigator : {};
+  const win = typeof window !== 'undefined' ? window : {};
+  return {
+    getBattery: typeof nav.getBattery === 'function' ? () => nav.getBattery() : null,
+    matchMedia: typeof win.matchMedia === 'function' ? (query) => win.matchMedia(query) : null,
+    connection: nav.connection || null
+  };
+}
+
+// Environment with settable signals: set({ charging, level, reducedMotion,
+// prefersDark, saveData }) updates them and fires the change events
+export function createMockEnvironment({ charging = true, level = 1, reducedMotion = false, prefersDark = false, saveData = false } = {}) {
+  const target = (props) => {
+    const listeners = new Set();
+    return {
+      ...props,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener),
+      fire: () => listeners.forEach((listener) => listener())
+    };
+  };
+  const battery = target({ charging, level });
+  const media = {
+    '(prefers-reduced-motion: reduce)': target({ matches: reducedMotion }),
+    '(prefers-color-scheme: dark)': target({ matches: prefersDark })
+  };
+  const connection = target({ saveData });
+  return {
+    getBattery: () => Promise.resolve(battery),
+    matchMedia: (query) => media[query] || target({ matches: false }),
+    connection,
+    set(patch) {
+      if ('charging' in patch) battery.charging = patch.charging;
+      if ('level' in patch) battery.level = patch.level;
+      if ('charging' in patch || 'level' in patch) battery.fire();
+      if ('reducedMotion' in patch) {
+        media['(prefers-reduced-motion: reduce)'].matches = patch.reducedMotion;
+        media['(prefers-reduced-motion: reduce)'].fire();
+      }
+      if ('prefersDark' in patch) {
+        media['(prefers-color-scheme: dark)'].matches = patch.prefersDark;
+        media['(prefers-color-scheme: dark)'].fire();
+      }
+      if ('saveData' in patch) {
+        connection.saveData = patch.saveData;
+        connection.fire();
+      }
+    }
+  };
+}
+
+export class EnvironmentPolicy {
+  // apply(patch) puts a subset of ENVIRONMENT_SETTINGS on the scene;
+  // getSettings() returns the current values. isLocked(key) keeps the policy
+  // off a setting something else drives (e.g. the quality governor).
+  constructor({ apply, getSettings, environment = browserEnvironment(), rules = ENVIRONMENT_RULES, isLocked = () => false, maxDecisions = 100 }) {
+    this.apply = apply;
+    this.getSettings = getSettings;
+    this.environment = environment;
+    this.rules = rules;
+    this.isLocked = isLocked;
+    this.maxDecisions = maxDecisions;
+    this.enabled = false;
+    this.signals = { charging: null, batteryLevel: null, reducedMotion: false, prefersDark: false, saveData: false };
+    this.activeRules = [];
+    // Settings before the policy changed them, and what it set since
+    this.base = {};
+    this.applied = {};
+    this.overrides = {};
+    this.decisions = [];
+    this.sources = [];
+    // Bumped by enable/disable so a battery read still pending from an
+    // earlier enable() is dropped
+    this.generation = 0;
+    this.listeners = new Set();
+    this.onChange = () => this.evaluate();
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  // Resolves once the (async) battery reading is in and the first preset applied
+  async enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    const generation = ++this.generation;
+    const settings = this.getSettings();
+    this.base = {};
+    ENVIRONMENT_SETTINGS.forEach((key) => {
+      if (settings[key] !== undefined) this.base[key] = settings[key];
+    });
+    this.applied = {};
+    this.activeRules = [];
+    await this.connect(generation);
+    if (generation !== this.generation) return;
+    this.log({ action: 'enable', changes: {}, reason: 'automatic eco mode on' });
+    this.evaluate();
+  }
+
+  // Puts back every setting the policy changed (user overrides stay);
+  // restore: false only disconnects, e.g. when the scene is going away
+  disable({ restore = true } = {}) {
+    if (!this.enabled) return;
+    this.enabled = false;
+    this.generation++;
+    this.disconnect();
+    const changes = {};
+    Object.keys(this.applied).forEach((key) => {
+      if (!(key in this.overrides) && this.base[key] !== undefined) changes[key] = this.base[key];
+    });
+    this.applied = {};
+    this.activeRules = [];
+    const effective = restore ? this.withoutCurrent(changes) : {};
+    if (Object.keys(effective).length) this.apply(effective);
+    if (restore) this.log({ action: 'disable', changes: effective, reason: 'automatic eco mode off' });
+    this.notify();
+  }
+
+  async connect(generation) {
+    const env = this.environment;
+    const listen = (target, type, read) => {
+      if (!target || typeof target.addEventListener !== 'function') return;
+      const listener = () => {
+        read();
+        this.onChange();
+      };
+      target.addEventListener(type, listener);
+      this.sources.push(() => target.removeEventListener(type, listener));
+    };
+    if (env.matchMedia) {
+      const motion = env.matchMedia('(prefers-reduced-motion: reduce)');
+      const scheme = env.matchMedia('(prefers-color-scheme: dark)');
+      const readMotion = () => { this.signals.reducedMotion = !!motion.matches; };
+      const readScheme = () => { this.signals.prefersDark = !!scheme.matches; };
+      readMotion();
+      readScheme();
+      listen(motion, 'change', readMotion);
+      listen(scheme, 'change', readScheme);
+    }
+    if (env.connection) {
+      const readSaveData = () => { this.signals.saveData = !!env.connection.saveData; };
+      readSaveData();
+      listen(env.connection, 'change', readSaveData);
+    }
+    if (env.getBattery) {
+      try {
+        const battery = await env.getBattery();
+        if (generation !== this.generation) return;
+        const readBattery = () => {
+          this.signals.charging = !!battery.charging;
+          this.signals.batteryLevel = typeof battery.level === 'number' ? battery.level : null;
+        };
+        readBattery();
+        listen(battery, 'chargingchange', readBattery);
+        listen(battery, 'levelchange', readBattery);
+      } catch (error) {
+        console.warn('Battery status unavailable:', error);
+      }
+    }
+  }
+
+  disconnect() {
+    this.sources.forEach((remove) => remove());
+    this.sources = [];
+  }
+
+  evaluate() {
+    if (!this.enabled) return;
+    const wasActive = new Set(this.activeRules);
+    const active = this.rules.filter((rule) => rule.when(this.signals, wasActive.has(rule.id)));
+    this.activeRules = active.map((rule) => rule.id);
+    // Earlier rules win a setting
+    const desired = {};
+    active.slice().reverse().forEach((rule) => Object.assign(desired, rule.preset));
+    const changes = {};
+    Object.entries(desired).forEach(([key, value]) => {
+      if (key in this.overrides || this.isLocked(key)) return;
+      if (this.applied[key] !== value) changes[key] = value;
+    });
+    Object.keys(this.applied).forEach((key) => {
+      if (key in desired || key in this.overrides || this.isLocked(key)) return;
+      if (this.base[key] !== undefined) changes[key] = this.base[key];
+    });
+    Object.entries(changes).forEach(([key, value]) => {
+      if (key in desired) this.applied[key] = value;
+      else delete this.applied[key];
+    });
+    const effective = this.withoutCurrent(changes);
+    if (Object.keys(effective).length) {
+      this.apply(effective);
+      const ended = this.rules.filter((rule) => wasActive.has(rule.id) && !this.activeRules.includes(rule.id));
+      const reasons = [
+        ...(ended.length ? [`${ended.map((rule) => rule.label).join(', ')} ended`] : []),
+        ...new Set(active.map((rule) => rule.reason(this.signals)))
+      ];
+      this.log({
+        action: active.length ? 'apply' : 'revert',
+        changes: effective,
+        reason: reasons.join('; ') || 'no eco condition holds'
+      });
+    }
+    this.notify();
+  }
+
+  // Only what differs from the scene; re-applying a mode would also reset
+  // its FPS and pixel ratio
+  withoutCurrent(changes) {
+    const current = this.getSettings();
+    const effective = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      if (current[key] !== value) effective[key] = value;
+    });
+    return effective;
+  }
+
+  // The user set a policy-driven setting by hand; the policy leaves it alone
+  override(key, value) {
+    if (!ENVIRONMENT_SETTINGS.includes(key)) return;
+    this.overrides[key] = value;
+    this.base[key] = value;
+    delete this.applied[key];
+    if (this.enabled) this.log({ action: 'override', changes: { [key]: value }, reason: `${key} set by the user` });
+    this.notify();
+  }
+
+  clearOverrides() {
+    if (!Object.keys(this.overrides).length) return;
+    this.overrides = {};
+    this.log({ action: 'clearOverrides', changes: {}, reason: 'user overrides cleared' });
+    this.evaluate();
+  }
+
+  log({ action, changes, reason }) {
+    this.decisions.push({ at: Date.now(), action, changes, reason, rules: [...this.activeRules], signals: { ...this.signals } });
+    if (this.decisions.length > this.maxDecisions) this.decisions.shift();
+  }
+
+  getState() {
+    return {
+      enabled: this.enabled,
+      signals: { ...this.signals },
+      activeRules: this.rules.filter((rule) => this.activeRules.includes(rule.id)).map(({ id, label, preset }) => ({ id, label, preset })),
+      overrides: { ...this.overrides },
+      decisions: this.decisions
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
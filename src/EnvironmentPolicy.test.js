@@ -0,0 +1,82 @@
+import { EnvironmentPolicy, createMockEnvironment } from './EnvironmentPolicy';
+
+const BASE_SETTINGS = {
+  mode: 'performance',
+  theme: 'light',
+  targetFps: 60,
+  pixelRatioClamp: 2,
+  viewportScale: 1,
+  renderOnDemand: false,
+  autoRotate: true
+};
+
+// Policy over a plain settings object standing in for the scene
+function setup(signals) {
+  const environment = createMockEnvironment(signals);
+  const settings = { ...BASE_SETTINGS };
+  const policy = new EnvironmentPolicy({
+    apply: (patch) => Object.assign(settings, patch),
+    getSettings: () => ({ ...settings }),
+    environment
+  });
+  return { environment, settings, policy };
+}
+
+test('low battery enters below 30% and leaves at 35%', async () => {
+  const { environment, settings, policy } = setup({ charging: false, level: 0.5 });
+  await policy.enable();
+  expect(policy.activeRules).toEqual(['onBattery']);
+  expect(settings.targetFps).toBe(30);
+
+  environment.set({ level: 0.29 });
+  expect(policy.activeRules).toEqual(['lowBattery', 'onBattery']);
+  expect(settings.targetFps).toBe(24);
+
+  // Still in the hysteresis band
+  environment.set({ level: 0.32 });
+  expect(policy.activeRules).toContain('lowBattery');
+  expect(settings.targetFps).toBe(24);
+
+  environment.set({ level: 0.35 });
+  expect(policy.activeRules).toEqual(['onBattery']);
+  expect(settings.targetFps).toBe(30);
+  expect(settings.viewportScale).toBe(1);
+});
+
+test('earlier rules win a setting', async () => {
+  const { settings, policy } = setup({ charging: false, level: 0.2, saveData: true });
+  await policy.enable();
+  expect(policy.activeRules).toEqual(['lowBattery', 'onBattery', 'saveData']);
+  // lowBattery beats onBattery on targetFps and saveData on viewportScale
+  expect(settings.targetFps).toBe(24);
+  expect(settings.viewportScale).toBe(0.7);
+  // Settings only a later rule asks for still apply
+  expect(settings.pixelRatioClamp).toBe(1);
+});
+
+test('a user override survives re-evaluation until cleared', async () => {
+  const { environment, settings, policy } = setup({ charging: false, level: 0.5 });
+  await policy.enable();
+  expect(settings.targetFps).toBe(30);
+
+  settings.targetFps = 60;
+  policy.override('targetFps', 60);
+  environment.set({ level: 0.2 });
+  environment.set({ saveData: true });
+  expect(settings.targetFps).toBe(60);
+  expect(settings.viewportScale).toBe(0.7);
+
+  policy.clearOverrides();
+  expect(settings.targetFps).toBe(24);
+});
+
+test('disable() restores the settings from before the policy', async () => {
+  const { settings, policy } = setup({ charging: false, level: 0.2, reducedMotion: true, prefersDark: true });
+  await policy.enable();
+  expect(settings).not.toEqual(BASE_SETTINGS);
+
+  policy.disable();
+  expect(settings).toEqual(BASE_SETTINGS);
+  expect(policy.isEnabled()).toBe(false);
+  expect(policy.decisions[policy.decisions.length - 1].action).toBe('disable');
+});
@@ -0,0 +1,79 @@
+// Frame-time distribution for the rendered frames: percentiles and a histogram
+// over a rolling window, plus session counts of frames that missed the
+// scene's target interval and a list of jank events.
+export const FRAME_TIME_BUCKETS_MS = [0, 8, 12, 16, 20, 25, 33, 40, 50, 66, 83, 100, 150, 250];
+
+// A frame misses its slot when it takes 1.5× the target interval; it is
+// jank when it takes more than twice the target interval.
+const MISSED_FACTOR = 1.5;
+const JANK_FACTOR = 2;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+export class FrameTimeStats {
+  constructor({ windowSize = 600, maxJankEvents = 50 } = {}) {
+    this.windowSize = windowSize;
+    this.maxJankEvents = maxJankEvents;
+    this.reset();
+  }
+
+  reset() {
+    this.window = [];
+    this.totalFrames = 0;
+    this.missedFrames = 0;
+    this.jankCount = 0;
+    this.jankEvents = [];
+    this.targetMs = null;
+  }
+
+  // deltaMs: time since the previous rendered frame; targetMs: the interval
+  // the render loop was aiming for when this frame was drawn
+  record(deltaMs, now, targetMs) {
+    if (!isFinite(deltaMs) || deltaMs <= 0) return;
+    const target = targetMs || this.targetMs || 1000 / 60;
+    this.targetMs = target;
+    const missed = deltaMs > target * MISSED_FACTOR;
+    this.window.push({ deltaMs, missed });
+    if (this.window.length > this.windowSize) this.window.shift();
+    this.totalFrames++;
+    if (missed) this.missedFrames++;
+    if (deltaMs > target * JANK_FACTOR) {
+      this.jankCount++;
+      this.jankEvents.push({ at: now, durationMs: deltaMs, targetMs: target });
+      if (this.jankEvents.length > this.maxJankEvents) this.jankEvents.shift();
+    }
+  }
+
+  getSummary() {
+    const deltas = this.window.map((f) => f.deltaMs);
+    const sorted = [...deltas].sort((a, b) => a - b);
+    const histogram = FRAME_TIME_BUCKETS_MS.map((fromMs, i) => ({
+      fromMs,
+      toMs: i + 1 < FRAME_TIME_BUCKETS_MS.length ? FRAME_TIME_BUCKETS_MS[i + 1] : null,
+      count: 0
+    }));
+    deltas.forEach((d) => {
+      let i = histogram.length - 1;
+      while (i > 0 && d < histogram[i].fromMs) i--;
+      histogram[i].count++;
+    });
+    const onTime = this.window.filter((f) => !f.missed).length;
+    return {
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      histogram,
+      targetMs: this.targetMs,
+      totalFrames: this.totalFrames,
+      missedFrames: this.missedFrames,
+      jankCount: this.jankCount,
+      jankEvents: [...this.jankEvents],
+      // Share of recent frames that arrived within their slot (0..100)
+      smoothness: this.window.length ? Math.round((onTime / this.window.length) * 100) : 100
+    };
+  }
+}
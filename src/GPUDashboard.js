@@ -1,4 +1,11 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { replayFrame } from './SessionRecorder';
+import { EXPORT_FORMATS, exportTimeSeries, downloadText } from './MetricsExport';
+import { runFromEvents, runFromExport, compareRuns, DEFAULT_TOLERANCE_PCT } from './RunComparison';
+import { GOVERNOR_GOALS, describeGoal } from './QualityGovernor';
+import { themeRegistry } from './ThemeRegistry';
+import { COST_GROUPINGS } from './SceneCostAnalyzer';
+import { ECO_SHADING } from './EcoMaterials';
 
 function useRollingBuffer(size) {
   const ref = useRef([]);
@@ -9,7 +16,8 @@ function useRollingBuffer(size) {
   return [ref, push];
 }
 
-function LineChart({ data, width = 300, height = 80, color = '#4CAF50', bg = 'rgba(255,255,255,0.06)', grid = true, min = 0, max = 100, strokeWidth = 2, area = false, areaOpacity = 0.15, yAxis = true, yTicks }) {
+// overlayData: optional second series drawn dashed over the first
+function LineChart({ data, overlayData, overlayColor = '#F472B6', width = 300, height = 80, color = '#4CAF50', bg = 'rgba(255,255,255,0.06)', grid = true, min = 0, max = 100, strokeWidth = 2, area = false, areaOpacity = 0.15, yAxis = true, yTicks }) {
   const padding = 8;
   const yAxisSpace = yAxis ? 28 : 0;
   const w = width - padding * 2 - yAxisSpace;
@@ -27,6 +35,16 @@ function LineChart({ data, width = 300, height = 80, color = '#4CAF50', bg = 'rg
       return `${x},${y}`;
     }).join(' ');
   }, [data, w, h, height, padding, min, max, yAxisSpace]);
+  const overlayPoints = useMemo(() => {
+    if (!overlayData || overlayData.length === 0) return '';
+    const len = overlayData.length;
+    return overlayData.map((v, i) => {
+      const x = (i / Math.max(1, len - 1)) * w + padding + yAxisSpace;
+      const clamped = Math.max(min, Math.min(max, v));
+      const y = height - padding - ((clamped - min) / (max - min)) * h;
+      return `${x},${y}`;
+    }).join(' ');
+  }, [overlayData, w, h, height, padding, min, max, yAxisSpace]);
   const areaPoints = useMemo(() => {
     if (!data || data.length === 0) return '';
     const len = data.length;
@@ -76,6 +94,9 @@ function LineChart({ data, width = 300, height = 80, color = '#4CAF50', bg = 'rg
         <polygon fill={color} opacity={areaOpacity} points={areaPoints} />
       )}
       <polyline fill="none" stroke={color} strokeWidth={strokeWidth} points={points} />
+      {overlayPoints && (
+        <polyline fill="none" stroke={overlayColor} strokeWidth={strokeWidth} strokeDasharray="5 3" points={overlayPoints} />
+      )}
     </svg>
   );
 }
@@ -99,8 +120,23 @@ function PieChart({ value = 0, width = 140, height = 140, stroke = 12, color = '
   );
 }
 
-function BarComparison({ title, leftLabel, rightLabel, leftValue, rightValue, max, colorLeft = '#42A5F5', colorRight = '#FF7043', unit = '' }) {
-  const safeMax = Math.max(max || 1, leftValue || 0, rightValue || 0, 1);
+// leftCi/rightCi: optional [low, high] drawn as error bars over each bar
+function ErrorBar({ ci, max }) {
+  if (!ci) return null;
+  const low = Math.max(0, Math.min(100, (ci[0] / max) * 100));
+  const high = Math.max(0, Math.min(100, (ci[1] / max) * 100));
+  const cap = { position: 'absolute', top: 0, bottom: 0, width: 2, background: '#ffffff' };
+  return (
+    <>
+      <div style={{ position: 'absolute', left: `${low}%`, width: `${Math.max(0, high - low)}%`, top: '50%', height: 2, marginTop: -1, background: '#ffffff' }} />
+      <div style={{ ...cap, left: `calc(${low}% - 1px)` }} />
+      <div style={{ ...cap, left: `calc(${high}% - 1px)` }} />
+    </>
+  );
+}
+
+function BarComparison({ title, leftLabel, rightLabel, leftValue, rightValue, max, colorLeft = '#42A5F5', colorRight = '#FF7043', unit = '', leftCi, rightCi }) {
+  const safeMax = Math.max(max || 1, leftValue || 0, rightValue || 0, leftCi ? leftCi[1] : 0, rightCi ? rightCi[1] : 0, 1);
   const leftPct = Math.min(100, Math.round(((leftValue || 0) / safeMax) * 100));
   const rightPct = Math.min(100, Math.round(((rightValue || 0) / safeMax) * 100));
   return (
@@ -108,45 +144,933 @@ function BarComparison({ title, leftLabel, rightLabel, leftValue, rightValue, ma
       <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>{title}</div>
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 10 }}>
         <div>
-          <div style={{ marginBottom: 4, fontSize: 12, opacity: 0.85 }}>{leftLabel} — {(leftValue ?? 0).toFixed(0)}{unit}</div>
-          <div style={{ height: 12, background: 'rgba(255,255,255,0.08)', borderRadius: 6, overflow: 'hidden' }}>
+          <div style={{ marginBottom: 4, fontSize: 12, opacity: 0.85 }}>{leftLabel} — {(leftValue ?? 0).toFixed(0)}{leftCi ? ` ±${((leftCi[1] - leftCi[0]) / 2).toFixed(1)}` : ''}{unit}</div>
+          <div style={{ position: 'relative', height: 12, background: 'rgba(255,255,255,0.08)', borderRadius: 6, overflow: 'hidden' }}>
             <div style={{ width: `${leftPct}%`, height: '100%', background: colorLeft }} />
+            <ErrorBar ci={leftCi} max={safeMax} />
           </div>
         </div>
         <div>
-          <div style={{ marginBottom: 4, fontSize: 12, opacity: 0.85 }}>{rightLabel} — {(rightValue ?? 0).toFixed(0)}{unit}</div>
-          <div style={{ height: 12, background: 'rgba(255,255,255,0.08)', borderRadius: 6, overflow: 'hidden' }}>
+          <div style={{ marginBottom: 4, fontSize: 12, opacity: 0.85 }}>{rightLabel} — {(rightValue ?? 0).toFixed(0)}{rightCi ? ` ±${((rightCi[1] - rightCi[0]) / 2).toFixed(1)}` : ''}{unit}</div>
+          <div style={{ position: 'relative', height: 12, background: 'rgba(255,255,255,0.08)', borderRadius: 6, overflow: 'hidden' }}>
             <div style={{ width: `${rightPct}%`, height: '100%', background: colorRight }} />
+            <ErrorBar ci={rightCi} max={safeMax} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Reduction/increase badge; with a significance test attached it turns
+// neutral when the difference could be noise
+function ReductionBadge({ label, pct, delta, unit, comparison }) {
+  const test = comparison && comparison.test;
+  const neutral = !!test && !test.significant;
+  const reduced = pct >= 0;
+  const palette = neutral
+    ? { background: 'linear-gradient(135deg, rgba(148,163,184,0.25), rgba(100,116,139,0.35))', border: '1px solid rgba(148,163,184,0.45)' }
+    : reduced
+      ? { background: 'linear-gradient(135deg, rgba(16,185,129,0.25), rgba(5,150,105,0.35))', border: '1px solid rgba(16,185,129,0.45)' }
+      : { background: 'linear-gradient(135deg, rgba(244,63,94,0.25), rgba(190,18,60,0.35))', border: '1px solid rgba(244,63,94,0.45)' };
+  return (
+    <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 10 }}>
+      <div style={{ padding: '8px 12px', borderRadius: 10, ...palette, color: '#E8FFF7', fontFamily: 'monospace' }}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: 8 }}>
+          <div style={{ fontSize: 13, opacity: 0.9 }}>
+            {neutral
+              ? `${label}: ${test.p === null ? 'not enough data' : 'no significant difference'}`
+              : `${label} ${reduced ? 'reduction' : 'increase'}`}
+          </div>
+          <div style={{ fontSize: 18, fontWeight: 800 }}>
+            {Math.abs(pct).toFixed(1)}%
+          </div>
+        </div>
+        <div style={{ fontSize: 11, opacity: 0.85, marginTop: 2 }}>
+          ≈ {Math.abs(delta).toFixed(1)}{unit} {reduced ? 'saved' : 'more'}
+        </div>
+        {test && test.p !== null && (
+          <div style={{ fontSize: 10, opacity: 0.75, marginTop: 2 }}>
+            Welch's t-test p = {test.p < 0.001 ? '<0.001' : test.p.toFixed(3)} • n = {comparison.a.n} vs {comparison.b.n} {comparison.unit}
+            {test.diffCi95 ? ` • 95% CI of saving ${(-test.diffCi95[1]).toFixed(1)} to ${(-test.diffCi95[0]).toFixed(1)}${unit}` : ''}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+function Histogram({ bins, width = 400, height = 120, color = '#38BDF8', highlightFrom, highlightColor = '#F43F5E', bg = 'rgba(255,255,255,0.06)' }) {
+  const padding = 8;
+  const labelSpace = 14;
+  const maxCount = Math.max(1, ...bins.map((b) => b.count));
+  const barW = (width - padding * 2) / Math.max(1, bins.length);
+  const h = height - padding * 2 - labelSpace;
+  return (
+    <svg width={width} height={height} style={{ display: 'block', background: bg, borderRadius: 8 }}>
+      {bins.map((bin, i) => {
+        const barH = (bin.count / maxCount) * h;
+        const x = padding + i * barW;
+        const isHighlighted = highlightFrom !== undefined && bin.fromMs >= highlightFrom;
+        return (
+          <g key={bin.fromMs}>
+            <rect x={x + 1} y={padding + h - barH} width={Math.max(1, barW - 2)} height={barH} fill={isHighlighted ? highlightColor : color} rx={2} />
+            <text x={x + barW / 2} y={height - padding} textAnchor="middle" fill="#ffffff" fontFamily="monospace" fontSize="9" opacity="0.7">
+              {bin.toMs === null ? `${bin.fromMs}+` : bin.fromMs}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function CarbonIntensityCard({ provider, carbon, cardStyle }) {
+  const [, setVersion] = useState(0);
+  const [loadError, setLoadError] = useState(null);
+  // Re-render on region or dataset changes
+  useEffect(() => provider.subscribe(() => setVersion((v) => v + 1)), [provider]);
+  const region = provider.getRegion();
+  const current = carbon || provider.getIntensity();
+  const onFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      const ids = provider.loadDataset(text);
+      setLoadError(null);
+      if (ids.length) provider.setRegion(ids[0]);
+    }).catch((error) => setLoadError(error.message));
+    e.target.value = '';
+  };
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Grid Carbon Intensity</div>
+        <div style={{ fontFamily: 'monospace', fontSize: 18 }}>{Math.round(current.gramsPerKWh)} g/kWh</div>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+        <select value={region.id} onChange={(e) => provider.setRegion(e.target.value)} style={{ padding: '4px 6px', fontSize: 12 }}>
+          {provider.listRegions().map((r) => (
+            <option key={r.id} value={r.id}>{r.name}{r.hasHourly ? ' (hourly)' : ''}</option>
+          ))}
+        </select>
+        <label style={{ fontFamily: 'monospace', fontSize: 11, cursor: 'pointer', border: '1px solid rgba(224,242,241,0.25)', borderRadius: 8, padding: '4px 8px' }}>
+          Load JSON
+          <input type="file" accept="application/json,.json" onChange={onFile} style={{ display: 'none' }} />
+        </label>
+      </div>
+      <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.8 }}>
+        {current.source === 'hourly'
+          ? `Hourly profile • local hour ${current.hour}:00 • annual avg ${region.gramsPerKWh} g/kWh`
+          : current.source === 'env' ? 'From REACT_APP_GRID_FACTOR' : 'Annual average'}
+      </div>
+      {region.hourly && (
+        <div style={{ marginTop: 8 }}>
+          <LineChart data={region.hourly} color="#22D3EE" min={0} max={Math.max(...region.hourly) * 1.2} yTicks={[0, 200, 400, 600, 800]} width={400} height={80} />
+        </div>
+      )}
+      {loadError && (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, color: '#FCA5A5', marginTop: 6 }}>{loadError}</div>
+      )}
+    </div>
+  );
+}
+
+// Main-thread CPU cost of the scene (render calls and sampling, or only the
+// worker proxy's message handling). In worker mode the saving is measured
+// against the last reading taken while rendering on the main thread, or
+// estimated from the worker's own busy time before there is one.
+function RenderThreadCard({ stats, cardStyle }) {
+  const mainRenderRef = useRef(null);
+  const { renderThread = 'main', mainThread, workerThread } = stats;
+  if (renderThread === 'main' && mainThread) mainRenderRef.current = mainThread;
+  const describe = (t) => (t ? `${t.busyMsPerSec.toFixed(1)} ms/s • ${t.busyPct.toFixed(1)}% of a core • ${t.watts.toFixed(2)} W` : 'measuring…');
+  const reference = mainRenderRef.current || workerThread;
+  const saved = renderThread === 'worker' && mainThread && reference
+    ? { watts: reference.watts - mainThread.watts, ms: reference.busyMsPerSec - mainThread.busyMsPerSec, measured: !!mainRenderRef.current }
+    : null;
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Render Thread</div>
+        <div style={{ fontFamily: 'monospace', fontSize: 18 }}>{renderThread === 'worker' ? 'Worker' : 'Main'}</div>
+      </div>
+      <div style={{ display: 'grid', gap: 6, fontFamily: 'monospace', fontSize: 12 }}>
+        <div>Main thread: {describe(mainThread)}</div>
+        {renderThread === 'worker' && <div>Worker: {describe(workerThread)}</div>}
+        {saved ? (
+          <div style={{ color: '#A7F3D0' }}>
+            Main thread saves {saved.watts.toFixed(2)} W ({saved.ms.toFixed(1)} ms/s)
+            {saved.measured ? ' vs the last main-thread run' : ' (estimate from worker busy time)'}
+          </div>
+        ) : (
+          <div style={{ opacity: 0.8 }}>Turn on "Render in worker" to compare the main-thread cost</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const smallButtonStyle = {
+  background: 'transparent',
+  color: '#E0F2F1',
+  border: '1px solid rgba(224,242,241,0.25)',
+  padding: '4px 8px',
+  borderRadius: 8,
+  cursor: 'pointer',
+  fontFamily: 'monospace',
+  fontSize: 11
+};
+
+function SessionsCard({ recorder, gpuMonitor, replayingId, onReplay, cardStyle }) {
+  const [sessions, setSessions] = useState([]);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [, setTick] = useState(0);
+  const recording = recorder.getActiveSession();
+  const isRecording = !!recording;
+
+  useEffect(() => {
+    const refresh = () => recorder.listSessions().then(setSessions).catch((e) => setError(e.message));
+    refresh();
+    return recorder.subscribe(refresh);
+  }, [recorder]);
+
+  // Keep the recording timer moving
+  useEffect(() => {
+    if (!isRecording) return;
+    const id = setInterval(() => setTick((t) => t + 1), 1000);
+    return () => clearInterval(id);
+  }, [isRecording]);
+
+  const toggleRecording = () => {
+    const action = recording
+      ? recorder.stop()
+      : recorder.start(gpuMonitor, { name: name.trim() || undefined });
+    action.then(() => setName('')).catch((e) => setError(e.message));
+  };
+
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>Recorded Sessions</div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+        {recording ? (
+          <div style={{ fontFamily: 'monospace', fontSize: 12, color: '#F87171' }}>
+            ● {recording.name} • {formatDuration(recording.durationMs)} • {recording.sampleCount} samples
+          </div>
+        ) : (
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Session name" style={{ padding: '4px 6px', fontSize: 12 }} />
+        )}
+        <button onClick={toggleRecording} disabled={!recorder.isSupported()} style={smallButtonStyle}>
+          {recording ? 'Stop' : 'Record'}
+        </button>
+      </div>
+      {sessions.length === 0 && (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.7 }}>No recorded sessions yet</div>
+      )}
+      {sessions.map((session) => (
+        <div key={session.id} style={{ display: 'grid', gridTemplateColumns: '1fr auto auto', gap: 8, alignItems: 'center', fontFamily: 'monospace', fontSize: 11, marginBottom: 4 }}>
+          <span style={{ opacity: replayingId === session.id ? 1 : 0.85, fontWeight: replayingId === session.id ? 700 : 400 }}>
+            {session.name} • {formatDuration(session.durationMs)} • {session.sampleCount} samples
+          </span>
+          <button onClick={() => onReplay(session.id)} disabled={!session.endedAt} style={smallButtonStyle}>Replay</button>
+          <button onClick={() => recorder.deleteSession(session.id).catch((e) => setError(e.message))} disabled={!session.endedAt || replayingId === session.id} style={smallButtonStyle}>Delete</button>
+        </div>
+      ))}
+      {(error || recorder.error) && (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, color: '#FCA5A5', marginTop: 6 }}>{error || recorder.error}</div>
+      )}
+    </div>
+  );
+}
+
+// Play/pause/scrub bar shown while a recorded session replaces the live data
+function ReplayBar({ replay, onChange, onExit, cardStyle }) {
+  const { session, positionMs, playing } = replay;
+  return (
+    <div style={{ ...cardStyle, display: 'grid', gridTemplateColumns: 'auto auto 1fr auto auto', gap: 12, alignItems: 'center', padding: 12 }}>
+      <div style={{ fontFamily: 'monospace', fontSize: 13 }}>Replaying: {session.name}</div>
+      <button onClick={() => onChange({ playing: !playing, positionMs: positionMs >= session.durationMs ? 0 : positionMs })} style={smallButtonStyle}>
+        {playing ? 'Pause' : 'Play'}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={session.durationMs}
+        step={100}
+        value={positionMs}
+        onChange={(e) => onChange({ positionMs: parseFloat(e.target.value) })}
+      />
+      <div style={{ fontFamily: 'monospace', fontSize: 12 }}>{formatDuration(positionMs)} / {formatDuration(session.durationMs)}</div>
+      <button onClick={onExit} style={smallButtonStyle}>Back to live</button>
+    </div>
+  );
+}
+
+// Exports the live history, or the session being replayed, over an optional
+// time range (seconds from the start)
+function ExportPanel({ history, replay }) {
+  const [format, setFormat] = useState('csv');
+  const [fromS, setFromS] = useState('');
+  const [toS, setToS] = useState('');
+  const [message, setMessage] = useState(null);
+  if (!history && !replay) return null;
+  const durationMs = replay ? replay.session.durationMs : history.getDurationMs();
+
+  const onExport = () => {
+    const fromMs = fromS === '' ? 0 : parseFloat(fromS) * 1000;
+    const toMs = toS === '' ? Infinity : parseFloat(toS) * 1000;
+    if (!(fromMs >= 0) || !(toMs >= fromMs)) {
+      setMessage('Invalid time range');
+      return;
+    }
+    const result = replay
+      ? exportTimeSeries(format, replay.events, { startedAt: replay.session.startedAt, fromMs, toMs, source: { type: 'session', name: replay.session.name } })
+      : exportTimeSeries(format, history.getEvents(), { startedAt: history.startedAt, fromMs, toMs, source: { type: 'live', name: 'Live session' } });
+    if (result.rowCount === 0) {
+      setMessage('No samples in the selected range');
+      return;
+    }
+    downloadText(result);
+    setMessage(`Exported ${result.rowCount} samples`);
+  };
+
+  const inputStyle = { padding: '4px 6px', fontSize: 12, width: 70 };
+  return (
+    <div style={{ display: 'grid', gap: 8, fontFamily: 'monospace', fontSize: 12 }}>
+      <div style={{ opacity: 0.8 }}>
+        Source: {replay ? `recorded "${replay.session.name}"` : 'live history'} ({formatDuration(durationMs)})
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} style={{ padding: '4px 6px', fontSize: 12 }}>
+          {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+            <option key={id} value={id}>{f.label}</option>
+          ))}
+        </select>
+        <input type="number" min="0" placeholder="from s" value={fromS} onChange={(e) => setFromS(e.target.value)} style={inputStyle} />
+        <input type="number" min="0" placeholder="to s" value={toS} onChange={(e) => setToS(e.target.value)} style={inputStyle} />
+      </div>
+      <button onClick={onExport} style={{
+        background: 'transparent',
+        color: '#E0F2F1',
+        border: '1px solid rgba(224,242,241,0.25)',
+        padding: '10px 12px',
+        borderRadius: 10,
+        cursor: 'pointer',
+        fontFamily: 'monospace',
+        fontSize: 13
+      }}>Export time series</button>
+      {message && <div style={{ fontSize: 11, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
+
+const RUN_COLORS = { a: '#38BDF8', b: '#F472B6' };
+
+function RunSlot({ slot, run, sessions, onSession, onFile }) {
+  return (
+    <div style={{ display: 'grid', gap: 6, fontFamily: 'monospace', fontSize: 12 }}>
+      <div style={{ color: RUN_COLORS[slot], fontWeight: 700 }}>
+        Run {slot.toUpperCase()}{slot === 'a' ? ' (reference)' : ''}: {run ? `${run.name} • ${formatDuration(run.durationMs)} • ${run.sampleCount} samples` : 'not loaded'}
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        {sessions.length > 0 && (
+          <select value="" onChange={(e) => e.target.value && onSession(Number(e.target.value))} style={{ padding: '4px 6px', fontSize: 12 }}>
+            <option value="">Recorded session…</option>
+            {sessions.filter((s) => s.endedAt).map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        )}
+        <label style={{ ...smallButtonStyle, padding: '4px 8px' }}>
+          Load export
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={onFile} style={{ display: 'none' }} />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// Two runs side by side: overlaid curves, average deltas and regressions
+function RunComparisonCard({ recorder, cardStyle }) {
+  const [runs, setRuns] = useState({ a: null, b: null });
+  const [sessions, setSessions] = useState([]);
+  const [tolerancePct, setTolerancePct] = useState(DEFAULT_TOLERANCE_PCT);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!recorder || !recorder.isSupported()) return;
+    const refresh = () => recorder.listSessions().then(setSessions).catch(() => setSessions([]));
+    refresh();
+    return recorder.subscribe(refresh);
+  }, [recorder]);
+
+  const load = (slot, promise) => {
+    promise
+      .then((run) => {
+        setRuns((r) => ({ ...r, [slot]: run }));
+        setError(null);
+      })
+      .catch((e) => setError(e.message));
+  };
+  const onSession = (slot) => (id) => load(slot, recorder.loadSession(id).then(({ session, events }) => runFromEvents(session.name, events, session.startedAt)));
+  const onFile = (slot) => (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    load(slot, file.text().then((text) => runFromExport(text, file.name)));
+    e.target.value = '';
+  };
+
+  const { a, b } = runs;
+  const comparison = a && b ? compareRuns(a, b, { tolerancePct }) : null;
+  const regressions = comparison ? comparison.filter((m) => m.regressed) : [];
+
+  return (
+    <div style={{ ...cardStyle, gridColumn: '1 / -1' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Compare Runs</div>
+        <label style={{ fontFamily: 'monospace', fontSize: 12 }}>
+          Regression tolerance{' '}
+          <input type="number" min="0" step="0.5" value={tolerancePct} onChange={(e) => setTolerancePct(Math.max(0, parseFloat(e.target.value) || 0))} style={{ padding: '4px 6px', fontSize: 12, width: 60 }} />
+          %
+        </label>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12 }}>
+        <RunSlot slot="a" run={a} sessions={sessions} onSession={onSession('a')} onFile={onFile('a')} />
+        <RunSlot slot="b" run={b} sessions={sessions} onSession={onSession('b')} onFile={onFile('b')} />
+      </div>
+      {error && (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, color: '#FCA5A5', marginBottom: 8 }}>{error}</div>
+      )}
+      {comparison && (
+        <>
+          <div style={{
+            fontFamily: 'monospace',
+            fontSize: 12,
+            marginBottom: 12,
+            padding: '6px 10px',
+            borderRadius: 8,
+            background: regressions.length ? 'rgba(244,63,94,0.2)' : 'rgba(16,185,129,0.2)',
+            border: regressions.length ? '1px solid rgba(244,63,94,0.45)' : '1px solid rgba(16,185,129,0.45)'
+          }}>
+            {regressions.length
+              ? `Regressed beyond ${tolerancePct}%: ${regressions.map((m) => m.label).join(', ')}`
+              : `No regressions beyond ${tolerancePct}%`}
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16 }}>
+            {comparison.map((m) => {
+              const curveMax = Math.max(1, ...a.curves[m.key], ...b.curves[m.key]) * 1.2;
+              return (
+                <div key={m.key}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontFamily: 'monospace', fontSize: 12, marginBottom: 4 }}>
+                    <span>{m.label}</span>
+                    {m.delta !== null && (
+                      <span style={{ color: m.regressed ? '#F87171' : '#A7F3D0' }}>
+                        {m.delta >= 0 ? '+' : ''}{m.delta.toFixed(1)}{m.unit}{m.deltaPct !== null && ` (${m.deltaPct >= 0 ? '+' : ''}${m.deltaPct.toFixed(1)}%)`}{m.regressed ? ' ⚠ regressed' : ''}
+                      </span>
+                    )}
+                  </div>
+                  <LineChart
+                    data={a.curves[m.key]}
+                    overlayData={b.curves[m.key]}
+                    color={RUN_COLORS.a}
+                    overlayColor={RUN_COLORS.b}
+                    min={0}
+                    max={curveMax}
+                    yTicks={[0, curveMax / 4, curveMax / 2, (curveMax * 3) / 4].map((v) => Number(v.toPrecision(2)))}
+                    width={520}
+                    height={100}
+                  />
+                  <div style={{ marginTop: 6 }}>
+                    <BarComparison
+                      title={`Average ${m.label}`}
+                      leftLabel="A"
+                      rightLabel="B"
+                      leftValue={m.a}
+                      rightValue={m.b}
+                      unit={m.unit}
+                      max={Math.max(m.a || 0, m.b || 0, 1)}
+                      colorLeft={RUN_COLORS.a}
+                      colorRight={m.regressed ? '#F43F5E' : RUN_COLORS.b}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Loading status of the model and the measured cost of each one profiled
+function ModelProfileCard({ model, onProfile, cardStyle }) {
+  const { status, name, progress, stats, error, profiles } = model;
+  const statusText = {
+    idle: 'Placeholder cube',
+    loading: `Loading ${name}… ${Math.round(progress * 100)}%`,
+    simplifying: `Generating LOD levels for ${name}…`,
+    profiling: `Profiling ${name}…`,
+    ready: name,
+    error
+  }[status];
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Model Energy Profiles</div>
+        <button onClick={onProfile} disabled={status === 'loading' || status === 'profiling'} style={smallButtonStyle}>Profile again</button>
+      </div>
+      <div style={{ fontFamily: 'monospace', fontSize: 12, marginBottom: 8, color: status === 'error' ? '#FCA5A5' : undefined }}>
+        {statusText}
+        {stats && status === 'profiling' && ` • ${stats.triangles.toLocaleString()} triangles • ${stats.drawCalls} draw calls • ${formatBytes(stats.memoryBytes)}`}
+      </div>
+      {profiles.length > 0 ? (
+        <div style={{ fontFamily: 'monospace', fontSize: 11 }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1.6fr 1fr 0.7fr 1fr 0.8fr 0.6fr', gap: 8, opacity: 0.7, marginBottom: 4 }}>
+            <span>Model</span><span>Triangles</span><span>Calls</span><span>Memory</span><span>Power</span><span>FPS</span>
+          </div>
+          {profiles.map((p) => (
+            <div key={p.at} style={{ display: 'grid', gridTemplateColumns: '1.6fr 1fr 0.7fr 1fr 0.8fr 0.6fr', gap: 8, marginBottom: 2 }} title={`${p.meshes} meshes, ${p.textures} textures (${formatBytes(p.textureBytes)}); ${p.settings.theme}, ${p.settings.targetFps} FPS cap`}>
+              <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{p.name}</span>
+              <span>{p.triangles.toLocaleString()}</span>
+              <span>{p.drawCalls}</span>
+              <span>{formatBytes(p.memoryBytes)}</span>
+              <span>{p.avgPowerW.toFixed(1)} W</span>
+              <span>{p.avgFps.toFixed(0)}</span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.8 }}>Load a .glb/.gltf (drop it on the scene) to measure what it costs to draw</div>
+      )}
+    </div>
+  );
+}
+
+// Simplified levels of the model: pick one by hand or by a power budget, and
+// measure what each costs
+function LODCard({ lod, onLevel, onBudget, onMeasure, cardStyle }) {
+  const [budget, setBudget] = useState(lod.budgetWatts ?? '');
+  const base = lod.levels[0];
+  const measuring = lod.measuringLevel !== null;
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Level of Detail</div>
+        <button onClick={onMeasure} disabled={measuring || lod.building || !lod.meshes} style={smallButtonStyle}>
+          {measuring ? `Measuring L${lod.measuringLevel}…` : 'Measure levels'}
+        </button>
+      </div>
+      <div style={{ fontFamily: 'monospace', fontSize: 12, marginBottom: 8 }}>
+        {lod.building ? 'Simplifying meshes…' : (
+          <>
+            Drawing {lod.renderedTriangles.toLocaleString()} of {lod.fullTriangles.toLocaleString()} triangles
+            <span style={{ color: '#A7F3D0' }}> ({lod.savedPct.toFixed(0)}% saved)</span>
+            {' '}• {lod.meshes} meshes{lod.skipped ? `, ${lod.skipped} too large to simplify` : ''}
+          </>
+        )}
+      </div>
+      <div style={{ display: 'flex', gap: 12, alignItems: 'center', fontFamily: 'monospace', fontSize: 11, marginBottom: 8 }}>
+        <label>
+          Level{' '}
+          <select value={lod.forcedLevel ?? ''} onChange={(e) => onLevel(e.target.value === '' ? null : parseInt(e.target.value))}>
+            <option value="">Auto ({lod.mode})</option>
+            {lod.levels.map((level, i) => <option key={i} value={i}>L{i} ({Math.round(level.ratio * 100)}%)</option>)}
+          </select>
+        </label>
+        <label>
+          Power budget{' '}
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={budget}
+            placeholder="off"
+            onChange={(e) => setBudget(e.target.value)}
+            onBlur={() => onBudget(parseFloat(budget) || null)}
+            style={{ width: 56 }}
+          /> W
+        </label>
+        {lod.budgetWatts !== null && <span>budget holds L{lod.budgetLevel}+</span>}
+      </div>
+      <div style={{ fontFamily: 'monospace', fontSize: 11 }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '0.5fr 0.8fr 1.2fr 0.9fr 1.4fr', gap: 8, opacity: 0.7, marginBottom: 4 }}>
+          <span>Level</span><span>From</span><span>Triangles</span><span>Saved</span><span>Power (Δ vs L0)</span>
+        </div>
+        {lod.levels.map((level, i) => {
+          const saved = base.triangles > 0 ? (1 - level.triangles / base.triangles) * 100 : 0;
+          const m = level.measurement;
+          const delta = m && base.measurement ? m.avgPowerW - base.measurement.avgPowerW : null;
+          return (
+            <div key={i} style={{ display: 'grid', gridTemplateColumns: '0.5fr 0.8fr 1.2fr 0.9fr 1.4fr', gap: 8, marginBottom: 2 }}>
+              <span>L{i}</span>
+              <span>{level.distance.toFixed(1)} m</span>
+              <span>{level.triangles.toLocaleString()}</span>
+              <span>{saved.toFixed(0)}%</span>
+              <span>{m ? `${m.avgPowerW.toFixed(1)} W${delta !== null && i > 0 ? ` (${delta >= 0 ? '+' : ''}${delta.toFixed(1)} W)` : ''}` : '-'}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Eco material mode toggle, its shading model and a measured before/after
+function EcoMaterialsCard({ eco, onToggle, onShading, onMeasure, cardStyle }) {
+  const m = eco.measurement;
+  const pct = (delta, base) => (base > 0 ? ` (${delta >= 0 ? '+' : ''}${((delta / base) * 100).toFixed(0)}%)` : '');
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Eco Materials</div>
+        <div style={{ display: 'flex', gap: 6 }}>
+          <button onClick={() => onToggle(!eco.enabled)} disabled={eco.measuring} style={smallButtonStyle}>{eco.enabled ? 'Use PBR' : 'Use eco'}</button>
+          <button onClick={onMeasure} disabled={eco.measuring} style={smallButtonStyle}>{eco.measuring ? 'Measuring…' : 'Measure difference'}</button>
+        </div>
+      </div>
+      <div style={{ display: 'flex', gap: 12, alignItems: 'center', fontFamily: 'monospace', fontSize: 11, marginBottom: 8 }}>
+        <span>{eco.enabled ? 'On' : 'Off (PBR)'}</span>
+        <label>
+          Shading{' '}
+          <select value={eco.shading} disabled={eco.measuring} onChange={(e) => onShading(e.target.value)}>
+            {Object.entries(ECO_SHADING).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
+        <span>lights ×{eco.lightScale} • shadow map {eco.shadowMap ? 'on' : 'off'}</span>
+      </div>
+      {m ? (
+        <div style={{ fontFamily: 'monospace', fontSize: 11 }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr', gap: 8, opacity: 0.7, marginBottom: 4 }}>
+            <span>Materials</span><span>FPS</span><span>Power</span>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr', gap: 8, marginBottom: 2 }}>
+            <span>PBR</span><span>{m.standard.avgFps.toFixed(1)}</span><span>{m.standard.avgPowerW.toFixed(1)} W</span>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1.2fr 1fr 1fr', gap: 8, marginBottom: 2 }}>
+            <span>Eco ({m.shading})</span>
+            <span>{m.eco.avgFps.toFixed(1)}{pct(m.deltaFps, m.standard.avgFps)}</span>
+            <span style={{ color: m.deltaPowerW <= 0 ? '#A7F3D0' : '#FCA5A5' }}>{m.eco.avgPowerW.toFixed(1)} W{pct(m.deltaPowerW, m.standard.avgPowerW)}</span>
           </div>
         </div>
+      ) : (
+        <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.8 }}>Measure to compare PBR and eco materials (3 s each)</div>
+      )}
+    </div>
+  );
+}
+
+// Ranked per-object cost (stats.costs); clicking a row outlines its objects
+// in the 3D view
+function CostCard({ costs, gpuMonitor, onHighlight, cardStyle }) {
+  const [groupBy, setGroupBy] = useState(gpuMonitor.costGroupBy || 'object');
+  const [selectedId, setSelectedId] = useState(null);
+  // The outline goes away with the card
+  useEffect(() => () => onHighlight && onHighlight([]), [onHighlight]);
+
+  const select = (entry) => {
+    const next = entry && entry.id !== selectedId ? entry : null;
+    setSelectedId(next ? next.id : null);
+    if (onHighlight) onHighlight(next ? next.uuids : []);
+  };
+  const changeGrouping = (value) => {
+    setGroupBy(value);
+    select(null);
+    gpuMonitor.setCostGrouping(value);
+  };
+  const columns = '1.6fr 0.6fr 0.9fr 0.6fr 0.8fr 0.7fr 1.4fr';
+
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Top Offenders</div>
+        <label style={{ fontFamily: 'monospace', fontSize: 11 }}>
+          Group by{' '}
+          <select value={groupBy} onChange={(e) => changeGrouping(e.target.value)}>
+            {Object.entries(COST_GROUPINGS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+        </label>
       </div>
+      {!costs ? (
+        <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.8 }}>Waiting for the first scene analysis</div>
+      ) : (
+        <>
+          <div style={{ fontFamily: 'monospace', fontSize: 12, marginBottom: 8 }}>
+            {costs.totals.objects - costs.totals.culled} of {costs.totals.objects} objects in view • {costs.totals.drawCalls} calls
+            • {costs.totals.triangles.toLocaleString()} triangles • {costs.dynamicWatts.toFixed(1)} W above idle split by estimated cost
+          </div>
+          <div style={{ fontFamily: 'monospace', fontSize: 11 }}>
+            <div style={{ display: 'grid', gridTemplateColumns: columns, gap: 8, opacity: 0.7, marginBottom: 4 }}>
+              <span>{COST_GROUPINGS[costs.groupBy]}</span><span>Calls</span><span>Triangles</span><span>Shader</span><span>Textures</span><span>Screen</span><span>Power share</span>
+            </div>
+            {costs.entries.map((entry) => (
+              <div
+                key={entry.id}
+                onClick={() => select(entry)}
+                title={`${entry.objects} object${entry.objects === 1 ? '' : 's'}; click to ${entry.id === selectedId ? 'clear the outline' : 'outline in the scene'}`}
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: columns,
+                  gap: 8,
+                  alignItems: 'center',
+                  padding: '2px 4px',
+                  marginBottom: 2,
+                  borderRadius: 4,
+                  cursor: 'pointer',
+                  background: entry.id === selectedId ? 'rgba(250,204,21,0.18)' : 'transparent'
+                }}
+              >
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {entry.label}{entry.objects > 1 ? ` ×${entry.objects}` : ''}
+                </span>
+                <span>{entry.drawCalls}</span>
+                <span>{entry.triangles.toLocaleString()}</span>
+                <span>{entry.complexity.toFixed(1)}</span>
+                <span>{formatBytes(entry.textureBytes)}</span>
+                <span>{(entry.coverage * 100).toFixed(1)}%</span>
+                <span style={{ display: 'grid', gridTemplateColumns: '1fr 78px', gap: 6, alignItems: 'center' }}>
+                  <div style={{ height: 8, background: 'rgba(255,255,255,0.08)', borderRadius: 4, overflow: 'hidden' }}>
+                    <div style={{ width: `${entry.share * 100}%`, height: '100%', background: '#F97316' }} />
+                  </div>
+                  <span style={{ textAlign: 'right' }}>{(entry.share * 100).toFixed(0)}% {entry.watts.toFixed(1)} W</span>
+                </span>
+              </div>
+            ))}
+            {costs.groups > costs.entries.length && (
+              <div style={{ opacity: 0.6, marginTop: 4 }}>+{costs.groups - costs.entries.length} more</div>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPowerAvg, gridFactorGramsPerWh = 0.4, settings, inModal = false, onApplyOptimizations, onExportMetrics }) {
-  const [stats, setStats] = useState(gpuMonitor ? gpuMonitor.getStats() : null);
+// Signals the eco policy reads, the rules they trigger, user overrides and
+// why each switch happened
+function EnvironmentPolicyCard({ policy, cardStyle }) {
+  const [, setVersion] = useState(0);
+  useEffect(() => policy.subscribe(() => setVersion((v) => v + 1)), [policy]);
+  const state = policy.getState();
+  const { signals } = state;
+  const formatChanges = (changes) => Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ');
+  const overrideKeys = Object.keys(state.overrides);
+
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Automatic Eco Mode</div>
+        <button onClick={() => (state.enabled ? policy.disable() : policy.enable())} style={smallButtonStyle}>{state.enabled ? 'Disable' : 'Enable'}</button>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 6, fontFamily: 'monospace', fontSize: 12, marginBottom: 8 }}>
+        <div>Power: {signals.charging === null ? 'unknown' : signals.charging ? 'plugged in' : 'on battery'}</div>
+        <div>Battery: {signals.batteryLevel === null ? '-' : `${Math.round(signals.batteryLevel * 100)}%`}</div>
+        <div>Reduced motion: {signals.reducedMotion ? 'yes' : 'no'}</div>
+        <div>Color scheme: {signals.prefersDark ? 'dark' : 'light'}</div>
+        <div>Save-Data: {signals.saveData ? 'on' : 'off'}</div>
+      </div>
+      <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.85, marginBottom: 6 }}>
+        {!state.enabled
+          ? 'Off: settings stay as you set them'
+          : state.activeRules.length
+            ? state.activeRules.map((rule) => `${rule.label} → ${formatChanges(rule.preset)}`).join(' • ')
+            : 'No eco condition holds; your settings apply'}
+      </div>
+      {overrideKeys.length > 0 && (
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontFamily: 'monospace', fontSize: 11, marginBottom: 6 }}>
+          <span>Overridden by you: {formatChanges(state.overrides)}</span>
+          <button onClick={() => policy.clearOverrides()} style={smallButtonStyle}>Clear</button>
+        </div>
+      )}
+      {state.decisions.length > 0 && (
+        <div style={{ maxHeight: 140, overflow: 'auto', fontFamily: 'monospace', fontSize: 11 }}>
+          {state.decisions.slice(-20).reverse().map((d, i) => (
+            <div key={`${d.at}-${i}`} style={{ display: 'grid', gridTemplateColumns: '70px 90px 1fr', gap: 8, opacity: i === 0 ? 1 : 0.75 }}>
+              <span>{new Date(d.at).toLocaleTimeString()}</span>
+              <span style={{ color: d.action === 'apply' ? '#A7F3D0' : d.action === 'override' ? '#FBBF24' : '#E0F2F1' }}>{d.action}</span>
+              <span>{d.reason}{Object.keys(d.changes).length ? ` (${formatChanges(d.changes)})` : ''}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Goal controls for the quality governor and a timeline of its decisions
+function GovernorCard({ governor, cardStyle }) {
+  const [, setVersion] = useState(0);
+  const [goalType, setGoalType] = useState('power');
+  const [goalValue, setGoalValue] = useState(GOVERNOR_GOALS.power.defaultValue);
+  const [error, setError] = useState(null);
+  useEffect(() => governor.subscribe(() => setVersion((v) => v + 1)), [governor]);
+
+  const state = governor.getState();
+  const spec = GOVERNOR_GOALS[state.enabled ? state.goal.type : goalType];
+  const selectGoal = (type) => {
+    setGoalType(type);
+    setGoalValue(GOVERNOR_GOALS[type].defaultValue);
+  };
+  const toggle = () => {
+    if (state.enabled) {
+      governor.disable();
+      return;
+    }
+    try {
+      governor.enable({ type: goalType, [GOVERNOR_GOALS[goalType].field]: goalValue });
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // Charted against the goal's own metric, with the goal as a dashed line
+  const metric = spec.field === 'watts' ? 'power' : 'fps';
+  const target = state.enabled ? state.goal[spec.field] : goalValue;
+  const values = state.trace.map((p) => p[metric]);
+  const chartMax = Math.max(1, target * 1.5, ...values);
+  const top = state.ladder.length - 1;
+  const current = state.ladder[state.level];
+
+  return (
+    <div style={{ ...cardStyle }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Quality Governor</div>
+        <div style={{ fontFamily: 'monospace', fontSize: 12, color: state.enabled ? '#A7F3D0' : '#94A3B8' }}>
+          {state.enabled ? `Holding ${describeGoal(state.goal)}` : 'Off'}
+        </div>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 80px auto', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+        <select value={state.enabled ? state.goal.type : goalType} onChange={(e) => selectGoal(e.target.value)} disabled={state.enabled} style={{ padding: '4px 6px', fontSize: 12 }}>
+          {Object.entries(GOVERNOR_GOALS).map(([type, g]) => (
+            <option key={type} value={type}>{g.label}</option>
+          ))}
+        </select>
+        <input type="number" min="1" value={state.enabled ? target : goalValue} onChange={(e) => setGoalValue(parseFloat(e.target.value))} disabled={state.enabled} title={spec.unit} style={{ padding: '4px 6px', fontSize: 12 }} />
+        <button onClick={toggle} style={smallButtonStyle}>{state.enabled ? 'Disable' : 'Enable'}</button>
+      </div>
+      <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.8, marginBottom: 8 }}>
+        Level {state.level + 1}/{state.ladder.length}: {current.targetFps} FPS • PR≤{current.pixelRatioClamp} • viewport {Math.round(current.viewportScale * 100)}%
+        {state.blocked.length > 0 && ` • backing off from ${state.blocked.map((b) => `L${b.level + 1} (${Math.ceil(b.remainingMs / 1000)}s)`).join(', ')}`}
+      </div>
+      {state.trace.length > 1 ? (
+        <>
+          <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.8, marginBottom: 4 }}>{metric === 'power' ? 'Power (W)' : 'FPS'} vs goal</div>
+          <LineChart
+            data={values}
+            overlayData={values.map(() => target)}
+            color="#34D399"
+            overlayColor="#FBBF24"
+            min={0}
+            max={chartMax}
+            yTicks={[0, chartMax / 4, chartMax / 2, (chartMax * 3) / 4].map((v) => Number(v.toPrecision(2)))}
+            width={520}
+            height={90}
+          />
+          <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.8, margin: '8px 0 4px' }}>Quality level (higher is richer)</div>
+          <LineChart
+            data={state.trace.map((p) => top - p.level)}
+            color="#60A5FA"
+            min={0}
+            max={Math.max(1, top)}
+            yTicks={Array.from({ length: top + 1 }, (_, i) => i)}
+            width={520}
+            height={70}
+          />
+        </>
+      ) : (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, opacity: 0.7 }}>
+          {state.enabled ? 'Collecting the first sample window…' : 'Enable to let the governor adjust target FPS, pixel ratio and viewport scale'}
+        </div>
+      )}
+      {state.decisions.length > 0 && (
+        <div style={{ marginTop: 8, maxHeight: 140, overflow: 'auto', fontFamily: 'monospace', fontSize: 11 }}>
+          {state.decisions.slice(-20).reverse().map((d, i) => (
+            <div key={`${d.at}-${i}`} style={{ display: 'grid', gridTemplateColumns: '70px 90px 1fr', gap: 8, opacity: i === 0 ? 1 : 0.75 }}>
+              <span>{new Date(d.at).toLocaleTimeString()}</span>
+              <span style={{ color: d.action === 'cheaper' ? '#A7F3D0' : d.action === 'richer' ? '#93C5FD' : d.action === 'limit' ? '#FCA5A5' : '#E0F2F1' }}>
+                {d.action}{d.from !== null && d.to !== null && d.from !== d.to ? ` L${d.from + 1}→L${d.to + 1}` : ''}
+              </span>
+              <span>{d.reason}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {error && (
+        <div style={{ fontFamily: 'monospace', fontSize: 11, color: '#FCA5A5', marginTop: 6 }}>{error}</div>
+      )}
+    </div>
+  );
+}
+
+const REPLAY_TICK_MS = 200;
+
+export default function GPUDashboard({ gpuMonitor, recorder, history, governor, envPolicy, model, onProfileModel, onLodLevel, onLodBudget, onMeasureLod, onHighlight, onEcoMaterials, onEcoShading, onMeasureEco, baselinePowerAvg, optimizedPowerAvg, comparisonStats, settings: liveSettings, inModal = false, onApplyOptimizations }) {
+  const [liveStats, setStats] = useState(gpuMonitor ? gpuMonitor.getStats() : null);
+  // { session, events, positionMs, playing } while a recorded session is shown
+  const [replay, setReplay] = useState(null);
   const [fpsBuf, pushFps] = useRollingBuffer(120);
   const [utilBuf, pushUtil] = useRollingBuffer(120);
   const [tempBuf, pushTemp] = useRollingBuffer(120);
   const [powerBuf, pushPower] = useRollingBuffer(120);
   const [co2Buf, pushCo2] = useRollingBuffer(120);
+  const [themes, setThemes] = useState(() => themeRegistry.list());
+
+  useEffect(() => themeRegistry.subscribe((registry) => setThemes(registry.list())), []);
 
   useEffect(() => {
     if (!gpuMonitor) return;
-    const id = setInterval(() => {
-      const s = gpuMonitor.getStats();
+    return gpuMonitor.subscribe(({ stats: s }) => {
       setStats(s);
       pushFps(s.fps || 0);
       pushUtil(s.gpu.utilization || 0);
       pushTemp(s.gpu.temperature || 0);
-      const p = s.gpu.power || 0;
+      const p = s.totalPower || 0;
       pushPower(p);
-      pushCo2(p * gridFactorGramsPerWh);
-    }, 200);
-    return () => clearInterval(id);
+      pushCo2(p * s.carbon.gramsPerWh);
+    }, { intervalMs: 200, types: ['sample'] });
   }, [gpuMonitor]);
 
+  const replayPlaying = !!replay && replay.playing;
+  useEffect(() => {
+    if (!replayPlaying) return;
+    const id = setInterval(() => {
+      setReplay((r) => {
+        if (!r) return r;
+        const positionMs = Math.min(r.session.durationMs, r.positionMs + REPLAY_TICK_MS);
+        return { ...r, positionMs, playing: positionMs < r.session.durationMs };
+      });
+    }, REPLAY_TICK_MS);
+    return () => clearInterval(id);
+  }, [replayPlaying]);
+
+  const startReplay = (id) => {
+    recorder.loadSession(id)
+      .then(({ session, events }) => setReplay({ session, events, positionMs: 0, playing: true }))
+      .catch(() => setReplay(null));
+  };
+
+  // Replayed frame (stats, settings, chart window) replaces the live data
+  const frame = replay ? replayFrame(replay.events, replay.positionMs) : null;
+  const stats = frame ? frame.stats || liveStats : liveStats;
+  const settings = frame ? { ...liveSettings, ...frame.settings } : liveSettings;
+  const series = (liveBuf, pick) => (frame ? frame.window.map((e) => pick(e.stats) || 0) : [...liveBuf.current]);
+
   if (!stats) return null;
 
   const cardStyle = {
@@ -159,22 +1083,19 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
     boxShadow: '0 24px 48px rgba(0,0,0,0.5)'
   };
 
-  const powerBase = baselinePowerAvg ?? stats?.gpu?.power ?? 0;
-  const powerOpt = optimizedPowerAvg ?? stats?.gpu?.power ?? 0;
+  const powerBase = baselinePowerAvg ?? stats?.totalPower ?? 0;
+  const powerOpt = optimizedPowerAvg ?? stats?.totalPower ?? 0;
+  const gridFactorGramsPerWh = stats.carbon?.gramsPerWh ?? gpuMonitor.carbonIntensity.getGramsPerWh();
   const co2Base = powerBase * gridFactorGramsPerWh;
   const co2Opt = powerOpt * gridFactorGramsPerWh;
   const energyReductionPct = powerBase > 0 ? ((powerBase - powerOpt) / powerBase) * 100 : 0;
   const co2ReductionPct = co2Base > 0 ? ((co2Base - co2Opt) / co2Base) * 100 : 0;
-  const energySavedAbs = Math.max(0, powerBase - powerOpt);
-  const co2SavedAbs = Math.max(0, co2Base - co2Opt);
 
-  // Estimate theme/resolution influence (illustrative model)
-  const themeFactor = settings?.theme === 'dark' ? 0.9 : settings?.theme === 'oled' ? 0.85 : settings?.theme === 'eink' ? 0.88 : settings?.theme === 'high-contrast' ? 0.96 : 1.0;
-  const resolutionFactor = (settings ? (Math.min(3, Math.max(0.5, settings.pixelRatioClamp || 1.5)) / 3) : (1.5/3))
-    * (settings ? (Math.min(1, Math.max(0.3, settings.viewportScale || 1))) : 1);
-  const fpsFactor = settings ? Math.min(1, (settings.targetFps || 30) / 60) : 0.5;
-  const estimatedRelativeEnergy = Math.max(0.15, themeFactor * (0.6 * resolutionFactor + 0.4 * fpsFactor));
-  const estimatedPower = Math.round(80 * estimatedRelativeEnergy);
+  // Estimate theme/resolution influence with the monitor's device power model
+  const powerModel = gpuMonitor.powerModel;
+  const { watts: estimatedWatts, themeFactor, resolutionFactor, fpsFactor } = powerModel.estimateFromSettings(settings);
+  const estimatedPower = Math.round(estimatedWatts);
+  const estimateWith = (overrides) => Math.round(powerModel.estimateFromSettings({ ...settings, ...overrides }).watts);
 
   const outerStyle = inModal
     ? { width: '100%', maxWidth: 1240, margin: '0 auto' }
@@ -182,16 +1103,27 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
 
   return (
     <div style={outerStyle}>
+      {replay && (
+        <div style={{ padding: inModal ? '18px 18px 0' : '0 0 18px' }}>
+          <ReplayBar
+            replay={replay}
+            cardStyle={cardStyle}
+            onChange={(patch) => setReplay((r) => ({ ...r, ...patch }))}
+            onExit={() => setReplay(null)}
+          />
+        </div>
+      )}
       {/* KPI Row - multi-color palette */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 18, padding: inModal ? '18px' : '0', paddingBottom: 0 }}>
-        {/* Energy (kWh) - amber */}
+        {/* Session energy (Wh) - amber */}
         <div style={{ ...cardStyle, padding: 16, background: 'linear-gradient(145deg, rgba(120,53,15,0.5), rgba(245,158,11,0.25))', border: '1px solid rgba(245,158,11,0.35)' }}>
-          <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.85 }}>Energy (W)</div>
+          <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.85 }}>Session Energy (Wh)</div>
           <div style={{ display: 'flex', alignItems: 'baseline', gap: 6, marginTop: 6 }}>
-            <div style={{ fontSize: 26, fontWeight: 700, color: '#FACC15' }}>{(stats.gpu.power).toFixed(2)}</div>
-            <div style={{ fontSize: 12, opacity: 0.85 }}>W</div>
+            <div style={{ fontSize: 26, fontWeight: 700, color: '#FACC15' }}>{(stats.energy?.wh ?? 0).toFixed(3)}</div>
+            <div style={{ fontSize: 12, opacity: 0.85 }}>Wh</div>
           </div>
-          <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>Theme: {settings?.theme ?? 'n/a'}</div>
+          <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>Now {stats.totalPower} W (GPU {stats.gpu.power} W • Display {stats.display.power} W)</div>
+          <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>Theme: {settings?.theme ? themeRegistry.get(settings.theme).label : 'n/a'} • {powerModel.profile.label}</div>
         </div>
 
         {/* GPU Utilization - green */}
@@ -201,6 +1133,9 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
             <div style={{ fontSize: 26, fontWeight: 700, color: '#10B981' }}>{stats.gpu.utilization}%</div>
           </div>
           <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>Temp: {stats.gpu.temperature?.toFixed(1)}°C</div>
+          <div style={{ fontSize: 11, opacity: 0.8, marginTop: 2 }}>
+            Source: {stats.gpu.utilizationSource === 'timer-query' ? `GPU timer query (${stats.gpuTimeMs?.toFixed(2)} ms/frame)` : 'FPS heuristic (no timer query)'}
+          </div>
         </div>
 
         {/* Memory - blue */}
@@ -215,12 +1150,12 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
 
         {/* CO2 - red */}
         <div style={{ ...cardStyle, padding: 16, background: 'linear-gradient(145deg, rgba(127,29,29,0.5), rgba(239,68,68,0.25))', border: '1px solid rgba(239,68,68,0.35)' }}>
-          <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.85 }}>CO₂ Emission (per hour)</div>
+          <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.85 }}>Session CO₂e</div>
           <div style={{ display: 'flex', alignItems: 'baseline', gap: 6, marginTop: 6 }}>
-            <div style={{ fontSize: 26, fontWeight: 700, color: '#F87171' }}>{(stats.gpu.power * gridFactorGramsPerWh).toFixed(1)}</div>
+            <div style={{ fontSize: 26, fontWeight: 700, color: '#F87171' }}>{(stats.energy?.gCO2e ?? 0).toFixed(2)}</div>
             <div style={{ fontSize: 12, opacity: 0.85 }}>g</div>
           </div>
-          <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>Est. power: {estimatedPower} W</div>
+          <div style={{ fontSize: 11, opacity: 0.8, marginTop: 4 }}>Rate: {(stats.totalPower * gridFactorGramsPerWh).toFixed(1)} g/hour • Est. power: {estimatedPower} W</div>
         </div>
       </div>
       <div style={{ display: 'grid', gridTemplateColumns: inModal ? '1fr 1fr' : '1fr 1fr', gap: 18, padding: inModal ? '18px' : '0' }}>
@@ -229,30 +1164,81 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
             <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>FPS</div>
             <div style={{ fontFamily: 'monospace', fontSize: 18 }}>{stats.fps.toFixed(1)}</div>
           </div>
-          <LineChart data={[...fpsBuf.current]} color="#00E5FF" min={0} max={50} yTicks={[0,10,20,30,40,50]} width={400} height={100}/>
+          <LineChart data={series(fpsBuf, (s) => s.fps)} color="#00E5FF" min={0} max={50} yTicks={[0,10,20,30,40,50]} width={400} height={100}/>
         </div>
 
         <div style={cardStyle}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
-            <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>GPU Utilization</div>
+            <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>
+              GPU Utilization ({stats.gpu.utilizationSource === 'timer-query' ? 'measured' : 'estimated'})
+            </div>
             <div style={{ fontFamily: 'monospace', fontSize: 18 }}>{stats.gpu.utilization}%</div>
           </div>
-          <LineChart data={[...utilBuf.current]} color="#34D399" min={0} max={110} yTicks={[0,20,40,60,80,100]} width={650} height={100} />
+          <LineChart data={series(utilBuf, (s) => s.gpu.utilization)} color="#34D399" min={0} max={110} yTicks={[0,20,40,60,80,100]} width={650} height={100} />
         </div>
 
+        {/* Frame-time distribution & smoothness */}
+        {stats.frameTiming && (
+          <div style={cardStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+              <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Frame Times (ms)</div>
+              <div style={{ fontFamily: 'monospace', fontSize: 18, color: stats.frameTiming.smoothness >= 90 ? '#10B981' : stats.frameTiming.smoothness >= 70 ? '#F59E0B' : '#F43F5E' }}>
+                Smoothness {stats.frameTiming.smoothness}
+              </div>
+            </div>
+            <Histogram
+              bins={stats.frameTiming.histogram}
+              highlightFrom={stats.frameTiming.targetMs ? stats.frameTiming.targetMs * 1.5 : undefined}
+              width={400}
+              height={120}
+            />
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 8, marginTop: 8, fontFamily: 'monospace', fontSize: 12 }}>
+              <div>p50 {stats.frameTiming.p50.toFixed(1)}</div>
+              <div>p95 {stats.frameTiming.p95.toFixed(1)}</div>
+              <div>p99 {stats.frameTiming.p99.toFixed(1)}</div>
+              <div>Target {stats.frameTiming.targetMs ? stats.frameTiming.targetMs.toFixed(1) : '-'}</div>
+              <div>Missed {stats.frameTiming.missedFrames}/{stats.frameTiming.totalFrames}</div>
+              <div>Jank {stats.frameTiming.jankCount}</div>
+            </div>
+            {stats.rendering && stats.rendering.onDemand && (
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 8, marginTop: 8, fontFamily: 'monospace', fontSize: 12, color: '#A7F3D0' }}>
+                <div>{stats.rendering.idle ? 'Idle now' : 'Drawing'}</div>
+                <div>Idle {formatDuration(stats.rendering.idleMs)} ({stats.rendering.idlePct.toFixed(0)}%)</div>
+                <div>Skipped {stats.rendering.skippedFrames}/{stats.rendering.skippedFrames + stats.rendering.renderedFrames}</div>
+              </div>
+            )}
+            {stats.background && stats.background.periods.length > 0 && (() => {
+              const last = stats.background.periods[stats.background.periods.length - 1];
+              return (
+                <div style={{ marginTop: 8, fontFamily: 'monospace', fontSize: 11, opacity: 0.8 }}>
+                  Last hidden {formatDuration(last.durationMs)}: {last.clock === 'paused'
+                    ? 'paused, nothing drawn'
+                    : `${last.achievedFps.toFixed(1)} of ${last.targetFps} FPS (${last.clock === 'worker' ? 'worker clock' : 'rAF, browser-throttled'}, ${last.frames} frames)`}
+                  {` • hidden ${formatDuration(stats.background.hiddenMs)} in total`}
+                </div>
+              );
+            })()}
+            {stats.frameTiming.jankEvents.length > 0 && (
+              <div style={{ marginTop: 8, fontFamily: 'monospace', fontSize: 11, opacity: 0.8 }}>
+                Recent jank: {stats.frameTiming.jankEvents.slice(-5).reverse().map((j) => `${(j.at / 1000).toFixed(1)}s (${j.durationMs.toFixed(0)}ms)`).join(' • ')}
+              </div>
+            )}
+          </div>
+        )}
+
         <div style={cardStyle}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
             <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>GPU Temperature</div>
             <div style={{ fontFamily: 'monospace', fontSize: 18 }}>{stats.gpu.temperature?.toFixed(1)}°C</div>
           </div>
-          <LineChart data={[...tempBuf.current]} color="#F59E0B" max={90} width={400} height={150}/>
+          <LineChart data={series(tempBuf, (s) => s.gpu.temperature)} color="#F59E0B" max={90} width={400} height={150}/>
         </div>
 
         <div style={{ ...cardStyle, display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8, background: 'linear-gradient(145deg, rgba(120,53,15,0.5), rgba(245,158,11,0.25))' }}>
           <div style={{ textAlign: 'center' }}>
             <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>Power</div>
-            <PieChart value={Math.min(100, (stats.gpu.power / 100) * 100)} color="#8B5CF6" />
-            <div style={{ fontFamily: 'monospace', fontSize: 14, marginTop: 6 }}>{stats.gpu.power} W</div>
+            <PieChart value={Math.min(100, (stats.totalPower / 100) * 100)} color="#8B5CF6" />
+            <div style={{ fontFamily: 'monospace', fontSize: 14, marginTop: 6 }}>{stats.totalPower} W</div>
           </div>
           <div style={{ textAlign: 'center' }}>
             <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>Textures</div>
@@ -261,6 +1247,94 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
           </div>
         </div>
 
+        {/* Display power from rendered content */}
+        <div style={{ ...cardStyle }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+            <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>Display Power</div>
+            <div style={{ fontFamily: 'monospace', fontSize: 18 }}>{stats.display.power} W</div>
+          </div>
+          {stats.display.source === 'sampled' ? (
+            <div style={{ display: 'grid', gap: 6, fontFamily: 'monospace', fontSize: 12 }}>
+              <div style={{ opacity: 0.8 }}>
+                Panel: {stats.display.panel.toUpperCase()} {stats.display.diagonalInches}" @ {stats.display.nits} nits
+              </div>
+              <div>Average picture level: {(stats.display.apl * 100).toFixed(1)}%</div>
+              {[['R', stats.display.rgb.r, '#F43F5E'], ['G', stats.display.rgb.g, '#10B981'], ['B', stats.display.rgb.b, '#3B82F6']].map(([label, value, color]) => (
+                <div key={label} style={{ display: 'grid', gridTemplateColumns: '16px 1fr 48px', gap: 6, alignItems: 'center' }}>
+                  <span>{label}</span>
+                  <div style={{ height: 8, background: 'rgba(255,255,255,0.08)', borderRadius: 4, overflow: 'hidden' }}>
+                    <div style={{ width: `${Math.round(value * 100)}%`, height: '100%', background: color }} />
+                  </div>
+                  <span style={{ textAlign: 'right' }}>{(value * 100).toFixed(0)}%</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.8 }}>Waiting for the first content sample (theme estimate shown)</div>
+          )}
+        </div>
+
+        <RenderThreadCard stats={stats} cardStyle={cardStyle} />
+
+        {model && <ModelProfileCard model={model} onProfile={onProfileModel} cardStyle={cardStyle} />}
+
+        {model && model.lod && (
+          <LODCard lod={model.lod} onLevel={onLodLevel} onBudget={onLodBudget} onMeasure={onMeasureLod} cardStyle={cardStyle} />
+        )}
+
+        {model && model.eco && (
+          <EcoMaterialsCard eco={model.eco} onToggle={onEcoMaterials} onShading={onEcoShading} onMeasure={onMeasureEco} cardStyle={cardStyle} />
+        )}
+
+        <CostCard costs={stats.costs} gpuMonitor={gpuMonitor} onHighlight={onHighlight} cardStyle={cardStyle} />
+
+        <CarbonIntensityCard provider={gpuMonitor.carbonIntensity} carbon={stats.carbon} cardStyle={cardStyle} />
+
+        {recorder && (
+          <SessionsCard
+            recorder={recorder}
+            gpuMonitor={gpuMonitor}
+            replayingId={replay ? replay.session.id : null}
+            onReplay={startReplay}
+            cardStyle={cardStyle}
+          />
+        )}
+
+        <RunComparisonCard recorder={recorder} cardStyle={cardStyle} />
+
+        {governor && <GovernorCard governor={governor} cardStyle={cardStyle} />}
+
+        {envPolicy && <EnvironmentPolicyCard policy={envPolicy} cardStyle={cardStyle} />}
+
+        {/* Where the session energy went */}
+        {stats.energy && (
+          <div style={{ ...cardStyle }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+              <div style={{ fontFamily: 'monospace', fontSize: 13, opacity: 0.85 }}>
+                Session Energy Split ({formatDuration(stats.energy.elapsedMs)})
+              </div>
+              <button onClick={() => gpuMonitor.resetEnergy()} disabled={!!replay} style={smallButtonStyle}>Reset</button>
+            </div>
+            {[['By mode', stats.energy.byMode, (key) => key], ['By theme', stats.energy.byTheme, (key) => (themeRegistry.has(key) ? themeRegistry.get(key).label : key)]].map(([title, buckets, labelOf]) => (
+              <div key={title} style={{ marginBottom: 10 }}>
+                <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 4 }}>{title}</div>
+                {Object.entries(buckets).map(([key, bucket]) => {
+                  const share = stats.energy.wh > 0 ? (bucket.wh / stats.energy.wh) * 100 : 0;
+                  return (
+                    <div key={key} style={{ display: 'grid', gridTemplateColumns: '90px 1fr 150px', gap: 8, alignItems: 'center', fontFamily: 'monospace', fontSize: 11, marginBottom: 4 }}>
+                      <span>{labelOf(key)}</span>
+                      <div style={{ height: 8, background: 'rgba(255,255,255,0.08)', borderRadius: 4, overflow: 'hidden' }}>
+                        <div style={{ width: `${share}%`, height: '100%', background: '#FACC15' }} />
+                      </div>
+                      <span style={{ textAlign: 'right' }}>{bucket.wh.toFixed(3)} Wh • {bucket.gCO2e.toFixed(2)} g</span>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Energy Breakdown Pie (UI components) - moved up */}
         <div style={{ ...cardStyle, background: 'linear-gradient(145deg, rgba(27, 219, 55, 0.5), rgba(239,68,68,0.25))' }}>
           <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>Energy Breakdown</div>
@@ -288,8 +1362,8 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
         <div style={{ ...cardStyle }}>
           <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>Trends (Power & CO₂)</div>
           {(() => {
-            const powerData = [...powerBuf.current];
-            const co2Data = [...co2Buf.current];
+            const powerData = series(powerBuf, (s) => s.totalPower);
+            const co2Data = series(co2Buf, (s) => s.totalPower * s.carbon.gramsPerWh);
             const dynPowerMax = Math.max(50, Math.max(...powerData, 0) * 1.2);
             const dynCo2Max = Math.max(50, Math.max(...co2Data, 0) * 1.2);
             return (
@@ -316,16 +1390,14 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
           <div style={{ fontFamily: 'monospace', fontSize: 13, marginBottom: 8, opacity: 0.85 }}>Rendering Comparison</div>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
             <div>
-              <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 6 }}>Light vs Dark</div>
+              <div style={{ fontSize: 12, opacity: 0.8, marginBottom: 6 }}>Themes</div>
               <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: 8 }}>
-                <div style={{ background: 'rgba(255,255,255,0.06)', borderRadius: 10, padding: 10 }}>
-                  <div style={{ fontSize: 11, opacity: 0.8 }}>Light</div>
-                  <div style={{ fontSize: 16, fontWeight: 600 }}>{Math.round(estimatedPower * 1.1)} W</div>
-                </div>
-                <div style={{ background: 'rgba(255,255,255,0.06)', borderRadius: 10, padding: 10 }}>
-                  <div style={{ fontSize: 11, opacity: 0.8 }}>Dark</div>
-                  <div style={{ fontSize: 16, fontWeight: 600 }}>{Math.round(estimatedPower * 0.9)} W</div>
-                </div>
+                {themes.map((t) => (
+                  <div key={t.id} style={{ background: 'rgba(255,255,255,0.06)', borderRadius: 10, padding: 10, border: t.id === settings?.theme ? '1px solid rgba(16,185,129,0.6)' : '1px solid transparent' }}>
+                    <div style={{ fontSize: 11, opacity: 0.8 }}>{t.label} (×{t.energy.displayFactor.toFixed(2)} display)</div>
+                    <div style={{ fontSize: 16, fontWeight: 600 }}>{estimateWith({ theme: t.id })} W</div>
+                  </div>
+                ))}
               </div>
             </div>
             <div>
@@ -333,11 +1405,11 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
               <div style={{ display: 'grid', gridTemplateColumns: '1fr', gap: 8 }}>
                 <div style={{ background: 'rgba(255,255,255,0.06)', borderRadius: 10, padding: 10 }}>
                   <div style={{ fontSize: 11, opacity: 0.8 }}>100%</div>
-                  <div style={{ fontSize: 16, fontWeight: 600 }}>{Math.round(estimatedPower * 1.0)} W</div>
+                  <div style={{ fontSize: 16, fontWeight: 600 }}>{estimateWith({ viewportScale: 1 })} W</div>
                 </div>
                 <div style={{ background: 'rgba(255,255,255,0.06)', borderRadius: 10, padding: 10 }}>
                   <div style={{ fontSize: 11, opacity: 0.8 }}>80%</div>
-                  <div style={{ fontSize: 16, fontWeight: 600 }}>{Math.round(estimatedPower * 0.85)} W</div>
+                  <div style={{ fontSize: 16, fontWeight: 600 }}>{estimateWith({ viewportScale: 0.8 })} W</div>
                 </div>
               </div>
             </div>
@@ -357,27 +1429,10 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
             max={Math.max(powerBase, powerOpt, 1)}
             colorLeft="#F43F5E"
             colorRight="#10B981"
+            leftCi={comparisonStats ? comparisonStats.power.a.ci95 : undefined}
+            rightCi={comparisonStats ? comparisonStats.power.b.ci95 : undefined}
           />
-          <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 10 }}>
-            <div style={{
-              padding: '8px 12px',
-              borderRadius: 10,
-              background: energyReductionPct >= 0 ? 'linear-gradient(135deg, rgba(16,185,129,0.25), rgba(5,150,105,0.35))' : 'linear-gradient(135deg, rgba(244,63,94,0.25), rgba(190,18,60,0.35))',
-              border: energyReductionPct >= 0 ? '1px solid rgba(16,185,129,0.45)' : '1px solid rgba(244,63,94,0.45)',
-              color: '#E8FFF7',
-              fontFamily: 'monospace'
-            }}>
-              <div style={{ display: 'flex', alignItems: 'baseline', gap: 8 }}>
-                <div style={{ fontSize: 13, opacity: 0.9 }}>{energyReductionPct >= 0 ? 'Energy reduction' : 'Energy increase'}</div>
-                <div style={{ fontSize: 18, fontWeight: 800 }}>
-                  {Math.abs(energyReductionPct).toFixed(1)}%
-                </div>
-              </div>
-              <div style={{ fontSize: 11, opacity: 0.85, marginTop: 2 }}>
-                {energyReductionPct >= 0 ? '≈ ' + energySavedAbs.toFixed(1) + ' W saved' : '≈ ' + Math.abs(energySavedAbs).toFixed(1) + ' W more'}
-              </div>
-            </div>
-          </div>
+          <ReductionBadge label="Energy" pct={energyReductionPct} delta={powerBase - powerOpt} unit=" W" comparison={comparisonStats && comparisonStats.power} />
           <div style={{ height: 12 }} />
           <BarComparison
             title="CO₂ Emissions (per hour)"
@@ -389,27 +1444,10 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
             max={Math.max(co2Base, co2Opt, 1)}
             colorLeft="#F59E0B"
             colorRight="#22D3EE"
+            leftCi={comparisonStats ? comparisonStats.co2.a.ci95 : undefined}
+            rightCi={comparisonStats ? comparisonStats.co2.b.ci95 : undefined}
           />
-          <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 10 }}>
-            <div style={{
-              padding: '8px 12px',
-              borderRadius: 10,
-              background: co2ReductionPct >= 0 ? 'linear-gradient(135deg, rgba(16,185,129,0.25), rgba(5,150,105,0.35))' : 'linear-gradient(135deg, rgba(244,63,94,0.25), rgba(190,18,60,0.35))',
-              border: co2ReductionPct >= 0 ? '1px solid rgba(16,185,129,0.45)' : '1px solid rgba(244,63,94,0.45)',
-              color: '#E8FFF7',
-              fontFamily: 'monospace'
-            }}>
-              <div style={{ display: 'flex', alignItems: 'baseline', gap: 8 }}>
-                <div style={{ fontSize: 13, opacity: 0.9 }}>{co2ReductionPct >= 0 ? 'CO₂ reduction' : 'CO₂ increase'}</div>
-                <div style={{ fontSize: 18, fontWeight: 800 }}>
-                  {Math.abs(co2ReductionPct).toFixed(1)}%
-                </div>
-              </div>
-              <div style={{ fontSize: 11, opacity: 0.85, marginTop: 2 }}>
-                {co2ReductionPct >= 0 ? '≈ ' + co2SavedAbs.toFixed(1) + ' g/hour saved' : '≈ ' + Math.abs(co2SavedAbs).toFixed(1) + ' g/hour more'}
-              </div>
-            </div>
-          </div>
+          <ReductionBadge label="CO₂" pct={co2ReductionPct} delta={co2Base - co2Opt} unit=" g/hour" comparison={comparisonStats && comparisonStats.co2} />
           <div style={{ height: 12 }} />
           <div style={{ fontFamily: 'monospace', fontSize: 12, opacity: 0.9 }}>
             Estimated power with current settings: <strong>{estimatedPower} W</strong>
@@ -430,11 +1468,41 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
               <div style={{ opacity: 0.8, fontSize: 12 }}>JS Heap Total</div>
               <div style={{ fontSize: 16 }}>{(stats.memory?.jsHeap?.total / 1048576).toFixed(1)} MB</div>
             </div>
-            {/* <div>
+            <div>
               <div style={{ opacity: 0.8, fontSize: 12 }}>GPU Mem Used</div>
               <div style={{ fontSize: 16 }}>{(stats.memory?.used / 1048576).toFixed(1)} MB</div>
-            </div> */}
+              <div style={{ opacity: 0.6, fontSize: 11 }}>
+                {stats.memory?.source === 'nvx' ? 'NVX driver reading' : stats.memory?.source === 'scene' ? 'Scene estimate' : 'Rough heuristic'}
+              </div>
+            </div>
           </div>
+          {stats.memory?.breakdown && (
+            <div style={{ marginTop: 10, fontFamily: 'monospace', fontSize: 11 }}>
+              <div style={{ opacity: 0.8, fontSize: 12, marginBottom: 4 }}>By resource type</div>
+              {[['Textures', 'textures', '#22D3EE'], ['Geometry buffers', 'geometries', '#10B981'], ['Render targets', 'renderTargets', '#F59E0B'], ['Framebuffer', 'framebuffer', '#8B5CF6']].map(([label, key, color]) => {
+                const bytes = stats.memory.breakdown.byType[key];
+                const share = stats.memory.breakdown.total > 0 ? (bytes / stats.memory.breakdown.total) * 100 : 0;
+                return (
+                  <div key={key} style={{ display: 'grid', gridTemplateColumns: '120px 1fr 70px', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+                    <span>{label}</span>
+                    <div style={{ height: 8, background: 'rgba(255,255,255,0.08)', borderRadius: 4, overflow: 'hidden' }}>
+                      <div style={{ width: `${share}%`, height: '100%', background: color }} />
+                    </div>
+                    <span style={{ textAlign: 'right' }}>{formatBytes(bytes)}</span>
+                  </div>
+                );
+              })}
+              <div style={{ opacity: 0.8, fontSize: 12, margin: '8px 0 4px' }}>
+                Top objects ({stats.memory.breakdown.counts.objects} objects, {stats.memory.breakdown.counts.textures} textures, {stats.memory.breakdown.counts.geometries} geometries)
+              </div>
+              {stats.memory.breakdown.byObject.slice(0, 6).map((o) => (
+                <div key={o.uuid} style={{ display: 'flex', justifyContent: 'space-between', opacity: 0.85 }}>
+                  <span>{o.name}</span>
+                  <span>{formatBytes(o.bytes)} (tex {formatBytes(o.textureBytes)} • geo {formatBytes(o.geometryBytes)})</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
         
 
@@ -467,16 +1535,7 @@ export default function GPUDashboard({ gpuMonitor, baselinePowerAvg, optimizedPo
                 fontFamily: 'monospace',
                 fontSize: 13
               }}>Apply recommended optimizations</button> */}
-              <button onClick={onExportMetrics} style={{
-                background: 'transparent',
-                color: '#E0F2F1',
-                border: '1px solid rgba(224,242,241,0.25)',
-                padding: '10px 12px',
-                borderRadius: 10,
-                cursor: 'pointer',
-                fontFamily: 'monospace',
-                fontSize: 13
-              }}>Export metrics (CSV)</button>
+              <ExportPanel history={history} replay={replay} />
             </div>
           </div>
         </div>
@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+
+// Estimates GPU memory from what the scene actually uploads: texture sizes
+// (format, type, mip chain, cube faces), BufferGeometry attribute and index
+// arrays, shadow maps, tracked render targets and the canvas framebuffer.
+// Resources shared by several objects are counted once in the totals and
+// split evenly between their users in the per-object breakdown.
+
+const FORMAT_CHANNELS = {
+  [THREE.AlphaFormat]: 1,
+  [THREE.RedFormat]: 1,
+  [THREE.RedIntegerFormat]: 1,
+  [THREE.LuminanceFormat]: 1,
+  [THREE.DepthFormat]: 1,
+  [THREE.RGFormat]: 2,
+  [THREE.RGIntegerFormat]: 2,
+  [THREE.LuminanceAlphaFormat]: 2,
+  [THREE.RGBAFormat]: 4,
+  [THREE.RGBAIntegerFormat]: 4
+};
+
+const TYPE_BYTES = {
+  [THREE.UnsignedByteType]: 1,
+  [THREE.ByteType]: 1,
+  [THREE.ShortType]: 2,
+  [THREE.UnsignedShortType]: 2,
+  [THREE.HalfFloatType]: 2,
+  [THREE.IntType]: 4,
+  [THREE.UnsignedIntType]: 4,
+  [THREE.FloatType]: 4
+};
+
+// Types that pack a whole texel into one value
+const PACKED_TYPE_BYTES = {
+  [THREE.UnsignedShort4444Type]: 2,
+  [THREE.UnsignedShort5551Type]: 2,
+  [THREE.UnsignedInt248Type]: 4
+};
+
+const MIPMAP_FILTERS = new Set([
+  THREE.NearestMipmapNearestFilter,
+  THREE.NearestMipmapLinearFilter,
+  THREE.LinearMipmapNearestFilter,
+  THREE.LinearMipmapLinearFilter
+]);
+
+export function bytesPerTexel(format, type) {
+  if (format === THREE.DepthStencilFormat) return 4;
+  if (PACKED_TYPE_BYTES[type]) return PACKED_TYPE_BYTES[type];
+  return (FORMAT_CHANNELS[format] ?? 4) * (TYPE_BYTES[type] ?? 1);
+}
+
+function imageSize(image) {
+  if (!image) return { width: 0, height: 0, depth: 1 };
+  const width = image.videoWidth || image.naturalWidth || image.width || 0;
+  const height = image.videoHeight || image.naturalHeight || image.height || 0;
+  return { width, height, depth: image.depth || 1 };
+}
+
+function mipChainFactor(texture, width, height) {
+  if (!texture.generateMipmaps || !MIPMAP_FILTERS.has(texture.minFilter)) return 1;
+  // Full chain down to 1×1 adds about a third
+  let total = 0;
+  let w = width;
+  let h = height;
+  const base = width * height;
+  if (!base) return 1;
+  for (;;) {
+    total += w * h;
+    if (w === 1 && h === 1) break;
+    w = Math.max(1, w >> 1);
+    h = Math.max(1, h >> 1);
+  }
+  return total / base;
+}
+
+export function textureBytes(texture) {
+  if (!texture) return 0;
+  if (texture.isCompressedTexture) {
+    // Compressed data is uploaded as-is, one entry per mip level
+    const levelBytes = (mipmaps) => (mipmaps || []).reduce((sum, m) => sum + (m && m.data ? m.data.byteLength : 0), 0);
+    if (texture.isCubeTexture && Array.isArray(texture.image)) {
+      return texture.image.reduce((sum, face) => sum + levelBytes(face.mipmaps), 0);
+    }
+    return levelBytes(texture.mipmaps);
+  }
+  const images = texture.isCubeTexture && Array.isArray(texture.image) ? texture.image : [texture.image];
+  const texel = bytesPerTexel(texture.format, texture.type);
+  return images.reduce((sum, image) => {
+    const { width, height, depth } = imageSize(image);
+    if (Array.isArray(texture.mipmaps) && texture.mipmaps.length > 0 && !texture.isCubeTexture) {
+      return sum + texture.mipmaps.reduce((acc, m) => {
+        const size = imageSize(m);
+        return acc + size.width * size.height * size.depth * texel;
+      }, 0);
+    }
+    return sum + width * height * depth * texel * mipChainFactor(texture, width, height);
+  }, 0);
+}
+
+export function geometryBytes(geometry) {
+  if (!geometry || !geometry.isBufferGeometry) return 0;
+  const seen = new Set();
+  const arrayBytes = (attribute) => {
+    if (!attribute) return 0;
+    // Interleaved attributes share one buffer
+    const array = attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+    if (!array || seen.has(array)) return 0;
+    seen.add(array);
+    return array.byteLength;
+  };
+  let bytes = arrayBytes(geometry.index);
+  Object.values(geometry.attributes).forEach((attr) => {
+    bytes += arrayBytes(attr);
+  });
+  Object.values(geometry.morphAttributes || {}).forEach((list) => {
+    list.forEach((attr) => {
+      bytes += arrayBytes(attr);
+    });
+  });
+  return bytes;
+}
+
+export function renderTargetBytes(target) {
+  if (!target) return 0;
+  const textures = Array.isArray(target.texture) ? target.texture : [target.texture];
+  const { width, height } = target;
+  const samples = target.samples || 0;
+  let bytes = textures.reduce((sum, t) => sum + width * height * bytesPerTexel(t.format, t.type), 0);
+  if (samples > 0) {
+    // Multisampled color renderbuffers alongside the resolved textures
+    bytes += textures.reduce((sum, t) => sum + width * height * bytesPerTexel(t.format, t.type) * samples, 0);
+  }
+  if (target.depthBuffer) {
+    bytes += width * height * 4 * Math.max(1, samples);
+  }
+  return bytes;
+}
+
+// Default framebuffer: front + back color buffers, depth/stencil, plus the
+// multisampled buffers when the context was created with antialias
+export function framebufferBytes(renderer) {
+  if (!renderer) return 0;
+  const gl = renderer.getContext();
+  const width = gl.drawingBufferWidth;
+  const height = gl.drawingBufferHeight;
+  const attributes = gl.getContextAttributes ? gl.getContextAttributes() : null;
+  const samples = attributes && attributes.antialias ? 4 : 0;
+  const pixels = width * height;
+  return pixels * 4 * 2 + pixels * 4 + (samples ? pixels * (4 + 4) * samples : 0);
+}
+
+function materialTextures(material) {
+  const textures = [];
+  Object.values(material).forEach((value) => {
+    if (value && value.isTexture) textures.push(value);
+  });
+  if (material.uniforms) {
+    Object.values(material.uniforms).forEach((uniform) => {
+      if (uniform && uniform.value && uniform.value.isTexture) textures.push(uniform.value);
+    });
+  }
+  return textures;
+}
+
+export function estimateSceneMemory(scene, { renderer, renderTargets = [] } = {}) {
+  // resource uuid -> { bytes, kind, users: Set<object uuid> }
+  const resources = new Map();
+  const objects = new Map();
+  const use = (resource, kind, bytesFn, owner) => {
+    let entry = resources.get(resource.uuid);
+    if (!entry) {
+      entry = { bytes: bytesFn(resource), kind, users: new Set() };
+      resources.set(resource.uuid, entry);
+    }
+    if (owner) entry.users.add(owner.uuid);
+  };
+
+  // Shadow maps are render targets the scene graph holds itself
+  const targets = [...renderTargets];
+  scene.traverse((obj) => {
+    if (obj.isLight && obj.shadow && obj.shadow.map && !targets.includes(obj.shadow.map)) targets.push(obj.shadow.map);
+    if (!obj.geometry && !obj.material) return;
+    objects.set(obj.uuid, { uuid: obj.uuid, name: obj.name || obj.type, type: obj.type, bytes: 0, textureBytes: 0, geometryBytes: 0 });
+    if (obj.geometry) use(obj.geometry, 'geometries', geometryBytes, obj);
+    const materials = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+    materials.forEach((m) => materialTextures(m).forEach((t) => use(t, 'textures', textureBytes, obj)));
+  });
+  [scene.background, scene.environment].forEach((t) => {
+    if (t && t.isTexture) use(t, 'textures', textureBytes, null);
+  });
+
+  const byType = { textures: 0, geometries: 0, renderTargets: 0, framebuffer: 0 };
+  resources.forEach((entry) => {
+    byType[entry.kind] += entry.bytes;
+    if (entry.users.size === 0) return;
+    const share = entry.bytes / entry.users.size;
+    entry.users.forEach((uuid) => {
+      const o = objects.get(uuid);
+      o.bytes += share;
+      if (entry.kind === 'textures') o.textureBytes += share;
+      else o.geometryBytes += share;
+    });
+  });
+  byType.renderTargets = targets.reduce((sum, rt) => sum + renderTargetBytes(rt), 0);
+  byType.framebuffer = framebufferBytes(renderer);
+
+  const byObject = [...objects.values()].filter((o) => o.bytes > 0).sort((a, b) => b.bytes - a.bytes);
+  return {
+    total: byType.textures + byType.geometries + byType.renderTargets + byType.framebuffer,
+    byType,
+    byObject,
+    counts: {
+      objects: objects.size,
+      textures: [...resources.values()].filter((r) => r.kind === 'textures').length,
+      geometries: [...resources.values()].filter((r) => r.kind === 'geometries').length,
+      renderTargets: targets.length
+    }
+  };
+}
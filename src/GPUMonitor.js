@@ -1,28 +1,47 @@
 import * as THREE from "three";
+import { GPUTimerQuery } from "./GPUTimerQuery";
+import { PowerModel } from "./PowerModel";
+import { DisplayPowerSampler } from "./DisplayPowerSampler";
+import { FrameTimeStats } from "./FrameTimeStats";
+import { EnergyIntegrator } from "./EnergyIntegrator";
+import { CarbonIntensityProvider } from "./CarbonIntensityProvider";
+import { estimateSceneMemory } from "./GPUMemoryEstimator";
+import { analyzeSceneCost } from "./SceneCostAnalyzer";
+import { parseThresholdRule, getStatValue, compareThreshold, describeThresholdRule } from "./ThresholdRules";
+
+// Event types delivered to subscribers
+export const MONITOR_EVENTS = ['sample', 'themeChanged', 'modeChanged', 'thresholdCrossed', 'contextLost', 'contextRestored'];
 
 export class GPUMonitor {
-  constructor(renderer) {
+  constructor(renderer, options = {}) {
     this.renderer = renderer;
     this.gl = renderer.getContext();
     this.currentTheme = 'light';
-    this.themeBaselineWatts = {
-      light: 14,
-      dark: 9,
-      'high-contrast': 11,
-      eink: 7,
-      oled: 6
-    };
+    this.currentMode = null;
+    this.powerModel = PowerModel.from(options.powerModel);
+    // Panel settings given explicitly win over the power profile's typical panel
+    this.displayOverrides = options.display || {};
+    this.displaySampler = new DisplayPowerSampler(renderer.domElement, {
+      ...this.powerModel.profile.display,
+      ...this.displayOverrides
+    });
     this.stats = {
       fps: 0,
       frameTime: 0,
+      // Measured GPU time per frame (timer query), null when unsupported
+      gpuTimeMs: null,
       drawCalls: 0,
       triangles: 0,
       textures: 0,
       memory: {
-        // NVX GPU memory (if available)
+        // NVX GPU memory (if available), otherwise the scene estimate
         used: 0,
         total: 0,
         available: 0,
+        // 'nvx' | 'scene' (walked textures/buffers) | 'heuristic'
+        source: 'heuristic',
+        // Scene estimate: { total, byType, byObject, counts }
+        breakdown: null,
         // JS heap memory (if available)
         jsHeap: {
           used: 0,
@@ -39,8 +58,68 @@ export class GPUMonitor {
       gpu: {
         temperature: null,
         utilization: null,
+        // 'timer-query' when measured from GPU time, 'heuristic' otherwise
+        utilizationSource: 'heuristic',
         power: null
-      }
+      },
+      // Display power: sampled from rendered content, or the theme constant
+      display: {
+        power: null,
+        source: 'theme',
+        apl: null,
+        rgb: null,
+        panel: null
+      },
+      // GPU + display
+      totalPower: null,
+      // Frame-time distribution (percentiles, histogram, missed frames, jank)
+      frameTiming: null,
+      // Session energy: { wh, gCO2e, elapsedMs, byMode, byTheme }
+      energy: null,
+      // Grid intensity in use: { gramsPerWh, gramsPerKWh, region, regionName, hour, source }
+      carbon: null,
+      // False while the WebGL context is lost
+      available: true,
+      context: {
+        lost: false,
+        lossCount: 0,
+        totalOutageMs: 0,
+        // Last 10 outages: { start, end, durationMs }
+        outages: []
+      },
+      // Render-on-demand: time spent not drawing and the frames that a
+      // continuous loop would have drawn meanwhile
+      rendering: {
+        onDemand: false,
+        idle: false,
+        idleMs: 0,
+        skippedFrames: 0,
+        renderedFrames: 0,
+        // Share of the time since the last reset spent idle (0..100)
+        idlePct: 0
+      },
+      // Hidden-tab rendering: the clock driving it ('worker', 'raf' or
+      // 'paused'), the cadence aimed for and the one achieved (rolling while
+      // hidden, the last hidden period's average once visible)
+      background: {
+        hidden: false,
+        clock: null,
+        targetFps: null,
+        achievedFps: null,
+        frames: 0,
+        hiddenMs: 0,
+        // Last 10 hidden periods: { start, end, durationMs, clock, targetFps, frames, achievedFps }
+        periods: []
+      },
+      // Thread the render loop and sampling run on ('main' or 'worker') and
+      // the CPU time they took there: { busyMsPerSec, busyPct, watts }. In
+      // worker mode mainThread is the message proxy's share (WorkerScene).
+      renderThread: options.thread || 'main',
+      mainThread: null,
+      workerThread: null,
+      // Per-object cost attribution (needs a scene and a camera):
+      // { groupBy, groups, totals, dynamicWatts, entries } (see SceneCostAnalyzer)
+      costs: null
     };
     
     this.frameCount = 0;
@@ -49,16 +128,356 @@ export class GPUMonitor {
     this.lastRenderNow = 0;
     this.fpsSamples = [];
     this.dynamicPeakFps = 60;
+    this.gpuTimeSamples = [];
+    this.frameTiming = new FrameTimeStats();
+    this.renderingSince = performance.now();
+    this.idleStartedAt = null;
+    this.idleTargetMs = null;
+    this.idleTotalMs = 0;
+    this.skippedTotal = 0;
+    this.hiddenPeriod = null;
+    this.backgroundFrameTimes = [];
+    this.threadBusyMs = 0;
+    this.threadWindowStart = performance.now();
+    // options.carbonIntensity: a CarbonIntensityProvider or a region id
+    this.carbonIntensity = options.carbonIntensity instanceof CarbonIntensityProvider
+      ? options.carbonIntensity
+      : new CarbonIntensityProvider({ region: options.carbonIntensity });
+    // Scene walked for memory accounting (see setScene)
+    this.scene = options.scene || null;
+    this.renderTargets = new Set();
+    this.memoryIntervalMs = 2000;
+    this.lastMemoryEstimateAt = 0;
+    // Full estimate behind stats.memory.breakdown; the cost analysis reads
+    // texture bytes per object from it
+    this.lastMemoryEstimate = null;
+    // Camera the cost analysis projects through (see setCamera)
+    this.camera = options.camera || null;
+    this.costGroupBy = 'object';
+    this.costIntervalMs = 1000;
+    this.lastCostAnalysisAt = 0;
+    this.energy = new EnergyIntegrator({ gramsPerWh: this.carbonIntensity.getGramsPerWh() });
+
+    // Shared sampling clock: one timer for every subscriber, ticking at the
+    // fastest requested interval (never slower than baseIntervalMs)
+    this.baseIntervalMs = options.sampleIntervalMs || 100;
+    this.clockIntervalMs = null;
+    this.clockId = null;
+    this.subscribers = new Set();
+    this.thresholds = new Map();
+    this.nextThresholdId = 1;
+
+    // Sample on visibility changes so energy while hidden is charged from
+    // the moment the tab was hidden, not from the next throttled tick
+    this.onVisibilityChange = () => this.monitorLoop();
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
     
     // Initialize WebGL extensions for monitoring
     this.initWebGLExtensions();
+
+    // Get GPU information (logged once; a restored context is the same GPU)
+    this.getGPUInfo();
     
     // Start monitoring
     this.startMonitoring();
   }
 
   setTheme(theme) {
+    this.chargeEnergy();
+    const previous = this.currentTheme;
     this.currentTheme = theme || 'light';
+    if (previous !== this.currentTheme) {
+      this.emit({ type: 'themeChanged', theme: this.currentTheme, previous });
+    }
+  }
+
+  // Close the running energy interval at the current theme, mode and grid
+  // factor before any of them changes. Nothing is charged while the context
+  // is lost; the interval was closed by onContextLost and restarts at the
+  // first sample after the restore.
+  chargeEnergy(now = performance.now()) {
+    if (this.stats.context.lost) return;
+    this.energy.addSample(this.stats.totalPower, now, { mode: this.currentMode, theme: this.currentTheme });
+  }
+
+  resetEnergy() {
+    this.energy.reset();
+    this.stats.energy = this.energy.getTotals();
+  }
+
+  setRenderOnDemand(enabled) {
+    this.stats.rendering.onDemand = !!enabled;
+  }
+
+  // The render loop stopped because nothing changed; targetMs is the frame
+  // interval it would otherwise have kept
+  onIdle(now = performance.now(), { targetMs } = {}) {
+    if (this.idleStartedAt !== null) return;
+    this.idleStartedAt = now;
+    this.idleTargetMs = targetMs || 1000 / 60;
+    this.stats.rendering.idle = true;
+  }
+
+  endIdle(now = performance.now()) {
+    if (this.idleStartedAt === null) return;
+    const idleMs = now - this.idleStartedAt;
+    this.idleTotalMs += idleMs;
+    this.skippedTotal += Math.floor(idleMs / this.idleTargetMs);
+    this.idleStartedAt = null;
+    this.stats.rendering.idle = false;
+    // The idle gap is not a rendered frame interval
+    this.lastRenderNow = 0;
+    this.updateRenderingStats(now);
+  }
+
+  updateRenderingStats(now) {
+    const current = this.idleStartedAt !== null ? now - this.idleStartedAt : 0;
+    const rendering = this.stats.rendering;
+    rendering.idleMs = this.idleTotalMs + current;
+    rendering.skippedFrames = this.skippedTotal + (current ? Math.floor(current / this.idleTargetMs) : 0);
+    const span = now - this.renderingSince;
+    rendering.idlePct = span > 0 ? Math.min(100, (rendering.idleMs / span) * 100) : 0;
+    if (rendering.idle) {
+      // Nothing is being drawn
+      this.stats.fps = 0;
+      this.stats.frameTime = 0;
+    }
+  }
+
+  // Called by the scene when the tab is hidden or shown, or when the
+  // background clock changes while hidden
+  setBackground({ hidden, clock = null, targetFps = null }, now = performance.now()) {
+    const background = this.stats.background;
+    if (this.hiddenPeriod) {
+      const period = this.hiddenPeriod;
+      const durationMs = now - period.start;
+      background.hiddenMs += durationMs;
+      background.periods = [...background.periods, {
+        ...period,
+        end: now,
+        durationMs,
+        achievedFps: durationMs > 0 ? (period.frames / durationMs) * 1000 : 0
+      }].slice(-10);
+      this.hiddenPeriod = null;
+    }
+    background.hidden = !!hidden;
+    if (hidden) {
+      this.hiddenPeriod = { start: now, clock, targetFps, frames: 0 };
+      this.backgroundFrameTimes = [];
+      background.clock = clock;
+      background.targetFps = targetFps;
+      background.achievedFps = clock === 'paused' ? 0 : null;
+    } else {
+      const last = background.periods[background.periods.length - 1];
+      background.achievedFps = last ? last.achievedFps : null;
+      // The hidden gap is not a rendered frame interval
+      this.lastRenderNow = 0;
+    }
+  }
+
+  // Rolling achieved cadence over the last few seconds while hidden; it
+  // stands in for the foreground FPS average, which lags minutes behind at
+  // background rates
+  updateBackgroundStats(now) {
+    const background = this.stats.background;
+    if (!background.hidden) return;
+    const windowMs = 5000;
+    this.backgroundFrameTimes = this.backgroundFrameTimes.filter((t) => now - t <= windowMs);
+    const span = Math.min(windowMs, now - this.hiddenPeriod.start);
+    background.achievedFps = span > 0 ? (this.backgroundFrameTimes.length / span) * 1000 : 0;
+    this.stats.fps = background.achievedFps;
+    this.stats.frameTime = background.achievedFps > 0 ? 1000 / background.achievedFps : 0;
+  }
+
+  // WebGL context loss: sampling pauses and stats are marked unavailable
+  onContextLost(now = performance.now()) {
+    if (this.stats.context.lost) return;
+    this.endIdle(now);
+    this.energy.pause(now);
+    this.stats.available = false;
+    this.stats.context.lost = true;
+    this.stats.context.lossCount++;
+    this.contextLostAt = now;
+    this.gpuTimeSamples = [];
+    this.stats.gpuTimeMs = null;
+    // Queries belong to the dead context
+    this.timerQuery = null;
+    this.emit({ type: 'contextLost', lossCount: this.stats.context.lossCount });
+  }
+
+  onContextRestored(now = performance.now()) {
+    if (!this.stats.context.lost) return;
+    const outage = { start: this.contextLostAt, end: now, durationMs: now - this.contextLostAt };
+    this.stats.context.lost = false;
+    this.stats.context.totalOutageMs += outage.durationMs;
+    this.stats.context.outages = [...this.stats.context.outages, outage].slice(-10);
+    this.stats.available = true;
+    // Extensions and queries have to be fetched again from the new context
+    this.initWebGLExtensions();
+    // The outage gap is not a rendered frame interval
+    this.lastRenderNow = 0;
+    this.lastMemoryEstimateAt = 0;
+    this.emit({ type: 'contextRestored', outage });
+  }
+
+  // Debug: drop and restore the context through WEBGL_lose_context. The
+  // extension object fetched before the loss is the one that can restore it.
+  simulateContextLoss() {
+    if (!this.loseContext || this.stats.context.lost) return false;
+    this.lostContextExtension = this.loseContext;
+    this.loseContext.loseContext();
+    return true;
+  }
+
+  simulateContextRestore() {
+    const ext = this.lostContextExtension;
+    if (!ext || !this.stats.context.lost) return false;
+    this.lostContextExtension = null;
+    ext.restoreContext();
+    return true;
+  }
+
+  setScene(scene) {
+    this.scene = scene;
+    this.lastMemoryEstimateAt = 0;
+    this.lastCostAnalysisAt = 0;
+  }
+
+  setCamera(camera) {
+    this.camera = camera;
+    this.lastCostAnalysisAt = 0;
+  }
+
+  // 'object' | 'model' | 'batch'
+  setCostGrouping(groupBy) {
+    this.costGroupBy = groupBy;
+    this.lastCostAnalysisAt = 0;
+  }
+
+  // Render targets created outside the scene graph (post-processing, etc.)
+  trackRenderTarget(target) {
+    this.renderTargets.add(target);
+  }
+
+  untrackRenderTarget(target) {
+    this.renderTargets.delete(target);
+  }
+
+  updateSceneMemory(now) {
+    if (!this.scene || now - this.lastMemoryEstimateAt < this.memoryIntervalMs) return;
+    this.lastMemoryEstimateAt = now;
+    const estimate = estimateSceneMemory(this.scene, {
+      renderer: this.renderer,
+      renderTargets: [...this.renderTargets]
+    });
+    this.lastMemoryEstimate = estimate;
+    // Only the largest consumers are kept in stats snapshots
+    this.stats.memory.breakdown = { ...estimate, byObject: estimate.byObject.slice(0, 20) };
+  }
+
+  // Splits the GPU power above idle between the objects drawn (throttled)
+  updateCosts(now) {
+    if (!this.scene || !this.camera || now - this.lastCostAnalysisAt < this.costIntervalMs) return;
+    this.lastCostAnalysisAt = now;
+    const viewport = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    const dynamicWatts = Math.max(0, (this.stats.gpu.power || 0) - this.powerModel.profile.idleWatts);
+    this.stats.costs = analyzeSceneCost(this.scene, this.camera, {
+      viewport: { width: viewport.x, height: viewport.y },
+      groupBy: this.costGroupBy,
+      dynamicWatts,
+      memory: this.lastMemoryEstimate || undefined
+    });
+  }
+
+  setMode(mode) {
+    this.chargeEnergy();
+    const previous = this.currentMode;
+    this.currentMode = mode;
+    if (previous !== mode) {
+      this.emit({ type: 'modeChanged', mode, previous });
+    }
+  }
+
+  // listener(event) receives { type, time, ... }; 'sample' events carry a
+  // stats snapshot at most every intervalMs. Returns an unsubscribe function.
+  subscribe(listener, { intervalMs = this.baseIntervalMs, types = MONITOR_EVENTS } = {}) {
+    const subscriber = { listener, intervalMs, types, lastSampleAt: 0 };
+    this.subscribers.add(subscriber);
+    this.scheduleClock();
+    return () => {
+      this.subscribers.delete(subscriber);
+      this.scheduleClock();
+    };
+  }
+
+  emit(event) {
+    const stamped = { time: performance.now(), ...event };
+    this.subscribers.forEach((sub) => {
+      if (!sub.types.includes(stamped.type)) return;
+      try {
+        sub.listener(stamped);
+      } catch (error) {
+        console.warn('GPUMonitor listener failed:', error);
+      }
+    });
+  }
+
+  // rule: "gpu.power > 60 for 5s" or { path, op, value, forMs }.
+  // Fires 'thresholdCrossed' with state 'exceeded' once the condition has held
+  // for forMs, and 'recovered' when it stops holding. Returns the rule id.
+  addThreshold(rule, { id, label } = {}) {
+    const parsed = typeof rule === 'string' ? parseThresholdRule(rule) : { forMs: 0, ...rule };
+    const ruleId = id || `threshold-${this.nextThresholdId++}`;
+    this.thresholds.set(ruleId, {
+      ...parsed,
+      id: ruleId,
+      label: label || describeThresholdRule(parsed),
+      since: null,
+      active: false
+    });
+    return ruleId;
+  }
+
+  removeThreshold(id) {
+    this.thresholds.delete(id);
+  }
+
+  getActiveThresholds() {
+    return [...this.thresholds.values()].filter((t) => t.active).map(({ id, label, path, op, value, forMs }) => ({ id, label, path, op, value, forMs }));
+  }
+
+  evaluateThresholds(stats, now) {
+    this.thresholds.forEach((rule) => {
+      const value = getStatValue(stats, rule.path);
+      const holds = compareThreshold(value, rule.op, rule.value);
+      const info = { id: rule.id, label: rule.label, path: rule.path, op: rule.op, threshold: rule.value, forMs: rule.forMs };
+      if (holds) {
+        if (rule.since === null) rule.since = now;
+        if (!rule.active && now - rule.since >= rule.forMs) {
+          rule.active = true;
+          this.emit({ type: 'thresholdCrossed', state: 'exceeded', rule: info, value });
+        }
+      } else {
+        rule.since = null;
+        if (rule.active) {
+          rule.active = false;
+          this.emit({ type: 'thresholdCrossed', state: 'recovered', rule: info, value });
+        }
+      }
+    });
+  }
+
+  setPowerModel(spec) {
+    this.powerModel = PowerModel.from(spec);
+    this.displaySampler.configure({ ...this.powerModel.profile.display, ...this.displayOverrides });
+  }
+
+  // Panel type ('oled' | 'lcd'), diagonalInches, nits, localDimming, intervalMs
+  setDisplayOptions(options = {}) {
+    this.displayOverrides = { ...this.displayOverrides, ...options };
+    this.displaySampler.configure(this.displayOverrides);
   }
   
   initWebGLExtensions() {
@@ -70,18 +489,16 @@ export class GPUMonitor {
       this.debugInfo = this.gl.getExtension('WEBGL_debug_renderer_info');
     }
     
-    // Performance extension (if available)
-    if (extensions.includes('EXT_disjoint_timer_query')) {
-      this.timerQuery = this.gl.getExtension('EXT_disjoint_timer_query');
+    // GPU timer queries (WebGL1 or WebGL2 variant, if available)
+    if (extensions.includes('EXT_disjoint_timer_query') || extensions.includes('EXT_disjoint_timer_query_webgl2')) {
+      const timerQuery = new GPUTimerQuery(this.gl);
+      this.timerQuery = timerQuery.isSupported() ? timerQuery : null;
     }
     
     // Memory info extension (if available)
     if (extensions.includes('WEBGL_lose_context')) {
       this.loseContext = this.gl.getExtension('WEBGL_lose_context');
     }
-    
-    // Get GPU information
-    this.getGPUInfo();
   }
   
   getGPUInfo() {
@@ -96,6 +513,7 @@ export class GPUMonitor {
       console.log('GPU Info:', {
         renderer: rendererInfo,
         vendor: vendorInfo,
+        timerQuery: !!this.timerQuery,
         memory: this.stats.memory
       });
       
@@ -105,6 +523,8 @@ export class GPUMonitor {
   }
 
   updateNVXMemory() {
+    // Once the driver has rejected the NVX enums, stop asking (each miss is a GL error)
+    if (this.nvxUnsupported) return false;
     try {
       // NVX constants per spec (values are in KB)
       const GPU_MEMORY_INFO_DEDICATED_VIDMEM_NVX = 0x9047;
@@ -119,6 +539,9 @@ export class GPUMonitor {
           this.stats.memory.total = totalBytes;
           this.stats.memory.available = availBytes;
           this.stats.memory.used = Math.max(0, totalBytes - availBytes);
+        } else {
+          this.nvxUnsupported = true;
+          return false;
         }
         const dedicatedKb = (() => { try { return this.gl.getParameter(GPU_MEMORY_INFO_DEDICATED_VIDMEM_NVX); } catch (_) { return null; } })();
         if (typeof dedicatedKb === 'number' && isFinite(dedicatedKb)) {
@@ -129,34 +552,130 @@ export class GPUMonitor {
     } catch (_) {
       // ignore if not supported
     }
+    this.nvxUnsupported = true;
     return false;
   }
   
   startMonitoring() {
     this.monitorLoop();
+    this.scheduleClock();
+  }
+
+  scheduleClock() {
+    let interval = this.baseIntervalMs;
+    this.subscribers.forEach((sub) => {
+      interval = Math.min(interval, sub.intervalMs);
+    });
+    if (this.clockId !== null && interval === this.clockIntervalMs) return;
+    if (this.clockId !== null) clearInterval(this.clockId);
+    this.clockIntervalMs = interval;
+    this.clockId = setInterval(() => this.monitorLoop(), interval);
   }
   
+  // Runs on the shared sampling clock; its own cost counts as thread time
   monitorLoop() {
-    const currentTime = performance.now();
+    const start = performance.now();
+    this.collectSample(start);
+    this.recordThreadTime(performance.now() - start);
+  }
+
+  // CPU time spent on this thread for the scene (render calls, sampling)
+  recordThreadTime(ms) {
+    this.threadBusyMs += ms;
+  }
+
+  // Busy share over ~1 s windows
+  updateThreadStats(now) {
+    const elapsed = now - this.threadWindowStart;
+    if (elapsed < 1000) return;
+    const busyMsPerSec = (this.threadBusyMs / elapsed) * 1000;
+    const busyPct = Math.min(100, busyMsPerSec / 10);
+    this.stats[this.stats.renderThread === 'worker' ? 'workerThread' : 'mainThread'] = {
+      busyMsPerSec,
+      busyPct,
+      watts: this.powerModel.cpuWatts(busyPct)
+    };
+    this.threadBusyMs = 0;
+    this.threadWindowStart = now;
+  }
+
+  collectSample(currentTime) {
+    // Nothing to read while the context is lost
+    if (this.stats.context.lost) return;
     // Update WebGL stats
     this.updateWebGLStats();
+
+    // Read back any finished GPU timer queries
+    this.updateGPUTime();
+
+    this.updateRenderingStats(currentTime);
+    this.updateBackgroundStats(currentTime);
+    this.updateThreadStats(currentTime);
     
     // Estimate GPU utilization based on frame time and complexity
     this.estimateGPUUtilization();
+
+    this.stats.frameTiming = this.frameTiming.getSummary();
+
+    // Grid intensity can change by region or hour; close the interval at the old one
+    const carbon = this.carbonIntensity.getIntensity();
+    if (carbon.gramsPerWh !== this.energy.gramsPerWh) {
+      this.chargeEnergy(currentTime);
+      this.energy.setGramsPerWh(carbon.gramsPerWh);
+    }
+    this.stats.carbon = carbon;
+    this.chargeEnergy(currentTime);
+    this.stats.energy = this.energy.getTotals();
     
     this.lastTime = currentTime;
-    
-    requestAnimationFrame(() => this.monitorLoop());
+
+    if (this.thresholds.size === 0 && this.subscribers.size === 0) return;
+    const snapshot = this.getStats();
+    this.evaluateThresholds(snapshot, currentTime);
+    // Half a tick of slack so a 200ms subscriber on a 100ms clock is not
+    // pushed to 300ms by timer jitter
+    const slack = this.clockIntervalMs / 2;
+    this.subscribers.forEach((sub) => {
+      if (!sub.types.includes('sample')) return;
+      if (currentTime - sub.lastSampleAt < sub.intervalMs - slack) return;
+      sub.lastSampleAt = currentTime;
+      try {
+        sub.listener({ type: 'sample', time: currentTime, stats: snapshot });
+      } catch (error) {
+        console.warn('GPUMonitor listener failed:', error);
+      }
+    });
   }
 
-  // Call this from the render loop to record actual rendered frame cadence
-  onFrameRendered(now) {
+  // Call this from the render loop right before renderer.render()
+  onFrameStart() {
+    if (this.timerQuery) {
+      // Non-blocking: collects only queries the driver already finished
+      this.updateGPUTime();
+      this.timerQuery.begin();
+    }
+  }
+
+  // Call this from the render loop to record actual rendered frame cadence.
+  // targetMs is the frame interval the loop was aiming for.
+  onFrameRendered(now, { targetMs } = {}) {
+    if (this.timerQuery) this.timerQuery.end();
+    this.endIdle(now);
+    this.stats.rendering.renderedFrames++;
+    if (this.hiddenPeriod) {
+      this.hiddenPeriod.frames++;
+      this.stats.background.frames++;
+      this.backgroundFrameTimes.push(now);
+    }
+    // Low-frequency readback of the frame just drawn for display power
+    this.displaySampler.maybeSample(now);
     if (!this.lastRenderNow) {
       this.lastRenderNow = now;
       return;
     }
     const delta = now - this.lastRenderNow;
     this.lastRenderNow = now;
+    this.frameTiming.record(delta, now, targetMs);
     // Keep last 60 render frame times
     this.frameTimes.push(delta);
     if (this.frameTimes.length > 60) {
@@ -179,6 +698,18 @@ export class GPUMonitor {
     }
   }
   
+  updateGPUTime() {
+    if (!this.timerQuery) return;
+    const results = this.timerQuery.poll();
+    if (!results.length) return;
+    // Keep the last 30 measured frames for a stable average
+    this.gpuTimeSamples.push(...results);
+    if (this.gpuTimeSamples.length > 30) {
+      this.gpuTimeSamples.splice(0, this.gpuTimeSamples.length - 30);
+    }
+    this.stats.gpuTimeMs = this.gpuTimeSamples.reduce((a, b) => a + b, 0) / this.gpuTimeSamples.length;
+  }
+
   updateWebGLStats() {
     try {
       // Get current WebGL state
@@ -203,16 +734,24 @@ export class GPUMonitor {
         this.stats.memory.jsHeap.limit = performance.memory.jsHeapSizeLimit || 0;
       }
 
-      // Refresh NVX memory readings if available; otherwise estimate to avoid showing zero
+      // Walk the scene for an accurate estimate (throttled)
+      this.updateSceneMemory(performance.now());
+      this.updateCosts(performance.now());
+
+      // Refresh NVX memory readings if available; otherwise use the scene estimate
       const hasNVX = this.updateNVXMemory();
-      if (!hasNVX) {
+      if (hasNVX) {
+        this.stats.memory.source = 'nvx';
+      } else if (this.stats.memory.breakdown) {
+        this.stats.memory.used = this.stats.memory.breakdown.total;
+        this.stats.memory.source = 'scene';
+      } else {
+        // No scene to walk: rough per-resource heuristic to avoid showing zero
         const estTexturesBytes = (this.stats.memory.webgl.textures || 0) * 6 * 1024 * 1024; // ~6 MiB per texture
         const estGeometriesBytes = (this.stats.memory.webgl.geometries || 0) * 1.5 * 1024 * 1024; // ~1.5 MiB per geometry
         const estTrianglesBytes = (this.stats.triangles || 0) * 100; // ~100 bytes per triangle heuristic
-        const estimatedUsed = Math.max(estTexturesBytes + estGeometriesBytes, estTrianglesBytes);
-        if (!this.stats.memory.used || this.stats.memory.used === 0) {
-          this.stats.memory.used = estimatedUsed;
-        }
+        this.stats.memory.used = Math.max(estTexturesBytes + estGeometriesBytes, estTrianglesBytes);
+        this.stats.memory.source = 'heuristic';
       }
       
     } catch (error) {
@@ -221,16 +760,25 @@ export class GPUMonitor {
   }
   
   estimateGPUUtilization() {
-    // Approximate utilization relative to recent peak FPS
-    // With an FPS cap, FPS drops but GPU work per frame stays similar, so
-    // using relative FPS to recent peak gives a visible utilization change.
-    const fps = Math.max(1, this.stats.fps || 0);
-    const peak = Math.max(1, this.dynamicPeakFps || 60);
-    const relativeFps = Math.min(1, fps / peak); // 0..1
-    // Complexity hint keeps some variation when FPS is steady
-    const complexity = Math.min(1, (this.stats.drawCalls / 200) + (this.stats.triangles / 500000));
-    let utilization = (relativeFps * 0.7 + complexity * 0.3) * 100;
-    utilization = Math.max(5, Math.min(100, utilization));
+    let utilization;
+    if (this.timerQuery && this.stats.gpuTimeMs !== null && this.stats.frameTime > 0) {
+      // Measured: share of each frame interval the GPU spent busy
+      utilization = (this.stats.gpuTimeMs / this.stats.frameTime) * 100;
+      utilization = Math.max(0, Math.min(100, utilization));
+      this.stats.gpu.utilizationSource = 'timer-query';
+    } else {
+      // Approximate utilization relative to recent peak FPS
+      // With an FPS cap, FPS drops but GPU work per frame stays similar, so
+      // using relative FPS to recent peak gives a visible utilization change.
+      const fps = Math.max(1, this.stats.fps || 0);
+      const peak = Math.max(1, this.dynamicPeakFps || 60);
+      const relativeFps = Math.min(1, fps / peak); // 0..1
+      // Complexity hint keeps some variation when FPS is steady
+      const complexity = Math.min(1, (this.stats.drawCalls / 200) + (this.stats.triangles / 500000));
+      utilization = (relativeFps * 0.7 + complexity * 0.3) * 100;
+      utilization = Math.max(5, Math.min(100, utilization));
+      this.stats.gpu.utilizationSource = 'heuristic';
+    }
 
     this.stats.gpu.utilization = Math.round(utilization);
 
@@ -239,23 +787,72 @@ export class GPUMonitor {
     const tempSpan = 35; // range up to ~75C
     this.stats.gpu.temperature = baseTemp + (tempSpan * (utilization / 100));
 
-    // Power estimate: theme baseline + dynamic component scaled by utilization data
-    const themeBase = this.themeBaselineWatts[this.currentTheme] ?? 10;
-    const dynamicWatts = 70; // headroom for load-dependent power
-    this.stats.gpu.power = Math.round(themeBase + dynamicWatts * (utilization / 100));
+    // Power estimate from the active device profile (idle + load), with the
+    // display reported separately from rendered content when sampled
+    const { gpuWatts, displayWatts } = this.powerModel.estimate({ utilization, theme: this.currentTheme });
+    this.stats.gpu.power = Math.round(gpuWatts * 10) / 10;
+    const sampled = this.displaySampler.getResult();
+    if (sampled) {
+      this.stats.display = {
+        power: Math.round(sampled.power * 10) / 10,
+        source: 'sampled',
+        apl: sampled.apl,
+        rgb: sampled.rgb,
+        panel: sampled.panel,
+        diagonalInches: sampled.diagonalInches,
+        nits: sampled.nits
+      };
+    } else {
+      this.stats.display = { power: Math.round(displayWatts * 10) / 10, source: 'theme', apl: null, rgb: null, panel: null };
+    }
+    this.stats.totalPower = Math.round((this.stats.gpu.power + this.stats.display.power) * 10) / 10;
   }
   
+  // Deep copy so snapshots kept by subscribers do not change under them
+  // Snapshot for listeners, taken once per tick. Objects updated in place
+  // are copied; the ones replaced whole when recomputed (costs, memory
+  // breakdown, frame timing, energy, carbon, display, thread stats) are
+  // never changed afterwards and are shared instead of deep-copied.
   getStats() {
-    return { ...this.stats };
+    const { memory, gpu, context, rendering, background } = this.stats;
+    return {
+      ...this.stats,
+      memory: { ...memory, jsHeap: { ...memory.jsHeap }, webgl: { ...memory.webgl } },
+      gpu: { ...gpu },
+      context: { ...context },
+      rendering: { ...rendering },
+      background: { ...background }
+    };
   }
   
   resetStats() {
     this.frameCount = 0;
     this.frameTimes = [];
+    this.gpuTimeSamples = [];
+    this.stats.gpuTimeMs = null;
+    this.frameTiming.reset();
     this.lastTime = performance.now();
+    this.renderingSince = this.lastTime;
+    this.idleTotalMs = 0;
+    this.skippedTotal = 0;
+    if (this.idleStartedAt !== null) this.idleStartedAt = this.lastTime;
+    this.stats.rendering.renderedFrames = 0;
+    this.updateRenderingStats(this.lastTime);
   }
   
   destroy() {
-    // Cleanup if needed
+    if (this.clockId !== null) {
+      clearInterval(this.clockId);
+      this.clockId = null;
+    }
+    this.subscribers.clear();
+    this.thresholds.clear();
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+    if (this.timerQuery) {
+      this.timerQuery.dispose();
+      this.timerQuery = null;
+    }
   }
 }
\ No newline at end of file
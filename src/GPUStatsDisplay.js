@@ -4,19 +4,23 @@ export function GPUStatsDisplay({ gpuMonitor, extraControls, mode, optimizationI
   const [stats, setStats] = useState(null);
   const [isVisible, setIsVisible] = useState(true);
   const [isHidden, setIsHidden] = useState(typeof document !== 'undefined' ? document.hidden : false);
+  const [alerts, setAlerts] = useState([]);
+  const [contextLost, setContextLost] = useState(false);
   
   useEffect(() => {
     if (!gpuMonitor) return;
-    
-    const updateStats = () => {
-      const currentStats = gpuMonitor.getStats();
-      setStats(currentStats);
-    };
-    
-    // Update stats every 100ms
-    const interval = setInterval(updateStats, 100);
-    
-    return () => clearInterval(interval);
+    // Stats every 100ms on the monitor's shared clock, plus threshold alerts
+    return gpuMonitor.subscribe((event) => {
+      if (event.type === 'sample') {
+        setStats(event.stats);
+      } else if (event.type === 'thresholdCrossed') {
+        setAlerts((prev) => event.state === 'exceeded'
+          ? [...prev.filter((a) => a.rule.id !== event.rule.id), event]
+          : prev.filter((a) => a.rule.id !== event.rule.id));
+      } else if (event.type === 'contextLost' || event.type === 'contextRestored') {
+        setContextLost(event.type === 'contextLost');
+      }
+    }, { intervalMs: 100, types: ['sample', 'thresholdCrossed', 'contextLost', 'contextRestored'] });
   }, [gpuMonitor]);
 
   useEffect(() => {
@@ -83,6 +87,14 @@ export function GPUStatsDisplay({ gpuMonitor, extraControls, mode, optimizationI
         <div style={{ marginLeft: '8px' }}>
           <div>FPS: <span style={{ color: '#0ea5e9' }}>{stats.fps.toFixed(1)}</span></div>
           <div>Frame Time: {stats.frameTime.toFixed(2)}ms</div>
+          {stats.gpuTimeMs !== null && stats.gpuTimeMs !== undefined && (
+            <div>GPU Time: {stats.gpuTimeMs.toFixed(2)}ms</div>
+          )}
+          {stats.rendering.onDemand && (
+            <div>
+              On demand: {stats.rendering.idle ? 'idle' : 'drawing'} • idle {stats.rendering.idlePct.toFixed(0)}% • skipped {stats.rendering.skippedFrames} frames
+            </div>
+          )}
         </div>
       </div>
 
@@ -92,6 +104,32 @@ export function GPUStatsDisplay({ gpuMonitor, extraControls, mode, optimizationI
         </div>
       )}
 
+      {contextLost && (
+        <div style={{
+          background: 'rgba(254, 202, 202, 0.85)',
+          color: '#7f1d1d',
+          padding: '4px 6px',
+          borderRadius: '4px',
+          marginBottom: '6px',
+          border: '1px solid rgba(239,68,68,0.8)'
+        }}>
+          WebGL context lost — stats unavailable until it is restored
+        </div>
+      )}
+
+      {alerts.map((alert) => (
+        <div key={alert.rule.id} style={{
+          background: 'rgba(254, 202, 202, 0.85)',
+          color: '#7f1d1d',
+          padding: '4px 6px',
+          borderRadius: '4px',
+          marginBottom: '6px',
+          border: '1px solid rgba(239,68,68,0.8)'
+        }}>
+          ⚠ {alert.rule.label} (now {typeof alert.value === 'number' ? alert.value.toFixed(1) : alert.value})
+        </div>
+      ))}
+
       {mode === 'baseline' && isHidden && (
         <div style={{
           background: 'rgba(253, 230, 138, 0.8)',
@@ -126,6 +164,9 @@ export function GPUStatsDisplay({ gpuMonitor, extraControls, mode, optimizationI
             fontWeight: 'bold'
           }}>
             {stats.gpu.utilization}%
+            <span style={{ fontWeight: 'normal', color: '#065f46', marginLeft: '6px' }}>
+              ({stats.gpu.utilizationSource === 'timer-query' ? 'measured' : 'estimated'})
+            </span>
           </div>
           <div style={{ 
             width: '100%', 
@@ -156,12 +197,22 @@ export function GPUStatsDisplay({ gpuMonitor, extraControls, mode, optimizationI
         </div>
       </div>
       
-      <div style={{ marginBottom: '0' }}>
+      <div style={{ marginBottom: '6px' }}>
         <strong style={{ color: '#064e3b' }}>GPU Power:</strong>
         <div style={{ marginLeft: '8px' }}>
           ~{stats.gpu.power}W
         </div>
       </div>
+
+      <div style={{ marginBottom: '0' }}>
+        <strong style={{ color: '#064e3b' }}>Display Power:</strong>
+        <div style={{ marginLeft: '8px' }}>
+          ~{stats.display.power}W
+          {stats.display.source === 'sampled' && (
+            <span style={{ color: '#065f46' }}> (APL {(stats.display.apl * 100).toFixed(0)}%)</span>
+          )}
+        </div>
+      </div>
       
       
     </div>
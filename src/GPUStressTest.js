@@ -1,15 +1,21 @@
 import * as THREE from "three";
 
 export class GPUStressTest {
-  constructor(scene, renderer) {
+  // options.invalidate: called after every animation step so a
+  // render-on-demand scene draws the moving objects
+  constructor(scene, renderer, options = {}) {
     this.scene = scene;
     this.renderer = renderer;
+    this.invalidate = options.invalidate || null;
     this.stressObjects = [];
     this.isRunning = false;
+    this.rafId = null;
   }
 
   startStressTest(intensity = 100) {
     this.isRunning = true;
+    // Restarting (adjustIntensity) must not start a second animation loop
+    cancelAnimationFrame(this.rafId);
     this.clearStressObjects();
     
     // Create multiple complex geometries to stress the GPU
@@ -34,6 +40,8 @@ export class GPUStressTest {
       const geometry = geometries[i % geometries.length];
       const material = materials[i % materials.length];
       const mesh = new THREE.Mesh(geometry, material);
+      // Readable in the dashboard's cost breakdown
+      mesh.name = `Stress ${geometry.type.replace('Geometry', '')} #${i + 1}`;
       
       // Random positioning
       mesh.position.set(
@@ -65,13 +73,18 @@ export class GPUStressTest {
       obj.rotation.y += 0.01 * (index % 2 + 1);
       obj.rotation.z += 0.01 * (index % 4 + 1);
     });
+    if (this.invalidate) this.invalidate();
 
-    requestAnimationFrame(() => this.animateStressObjects());
+    this.rafId = requestAnimationFrame(() => this.animateStressObjects());
   }
 
   stopStressTest() {
     this.isRunning = false;
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
     this.clearStressObjects();
+    // Draw the scene once more without the removed objects
+    if (this.invalidate) this.invalidate();
   }
 
   clearStressObjects() {
@@ -0,0 +1,109 @@
+// Measures GPU time per frame with EXT_disjoint_timer_query (WebGL1) or
+// EXT_disjoint_timer_query_webgl2. Queries are pipelined: results are read
+// back a few frames later, only once the driver reports them available, so
+// polling never stalls the render loop.
+const MAX_PENDING_QUERIES = 4;
+
+export class GPUTimerQuery {
+  constructor(gl) {
+    this.gl = gl;
+    this.ext = null;
+    this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+    this.pending = [];
+    this.activeQuery = null;
+    this.init();
+  }
+
+  init() {
+    try {
+      this.ext = this.isWebGL2
+        ? this.gl.getExtension('EXT_disjoint_timer_query_webgl2')
+        : this.gl.getExtension('EXT_disjoint_timer_query');
+    } catch (_) {
+      this.ext = null;
+    }
+  }
+
+  isSupported() {
+    return !!this.ext;
+  }
+
+  // Call right before renderer.render()
+  begin() {
+    if (!this.ext || this.activeQuery) return;
+    // Too many frames in flight: skip timing this one rather than queueing more
+    if (this.pending.length >= MAX_PENDING_QUERIES) return;
+    const query = this.isWebGL2 ? this.gl.createQuery() : this.ext.createQueryEXT();
+    if (!query) return;
+    if (this.isWebGL2) {
+      this.gl.beginQuery(this.ext.TIME_ELAPSED_EXT, query);
+    } else {
+      this.ext.beginQueryEXT(this.ext.TIME_ELAPSED_EXT, query);
+    }
+    this.activeQuery = query;
+  }
+
+  // Call right after renderer.render()
+  end() {
+    if (!this.ext || !this.activeQuery) return;
+    if (this.isWebGL2) {
+      this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+    } else {
+      this.ext.endQueryEXT(this.ext.TIME_ELAPSED_EXT);
+    }
+    this.pending.push(this.activeQuery);
+    this.activeQuery = null;
+  }
+
+  // Collect every finished query, oldest first. Returns GPU times in ms.
+  poll() {
+    if (!this.ext || this.pending.length === 0) return [];
+    const gl = this.gl;
+    // A disjoint event (clock change, context switch, power state) invalidates
+    // every query in flight, so drop them all.
+    const disjoint = gl.getParameter(this.ext.GPU_DISJOINT_EXT);
+    if (disjoint) {
+      this.pending.forEach((q) => this.deleteQuery(q));
+      this.pending = [];
+      return [];
+    }
+    const results = [];
+    while (this.pending.length > 0) {
+      const query = this.pending[0];
+      const available = this.isWebGL2
+        ? gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)
+        : this.ext.getQueryObjectEXT(query, this.ext.QUERY_RESULT_AVAILABLE_EXT);
+      if (!available) break; // later queries cannot be ready before this one
+      const ns = this.isWebGL2
+        ? gl.getQueryParameter(query, gl.QUERY_RESULT)
+        : this.ext.getQueryObjectEXT(query, this.ext.QUERY_RESULT_EXT);
+      this.pending.shift();
+      this.deleteQuery(query);
+      if (typeof ns === 'number' && isFinite(ns)) {
+        results.push(ns / 1e6);
+      }
+    }
+    return results;
+  }
+
+  deleteQuery(query) {
+    try {
+      if (this.isWebGL2) {
+        this.gl.deleteQuery(query);
+      } else {
+        this.ext.deleteQueryEXT(query);
+      }
+    } catch (_) {
+      // context may already be gone
+    }
+  }
+
+  dispose() {
+    if (this.activeQuery) {
+      this.pending.push(this.activeQuery);
+      this.activeQuery = null;
+    }
+    this.pending.forEach((q) => this.deleteQuery(q));
+    this.pending = [];
+  }
+}
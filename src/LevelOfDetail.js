@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils';
+
+// Level of detail for loaded models: every mesh is simplified in the browser
+// (SimplifyModifier) to a few vertex ratios and wrapped in a THREE.LOD. Which
+// level is drawn depends on the camera distance, scaled by the performance
+// mode, and can be capped by a power budget or forced for measurements.
+export const DEFAULT_LOD_RATIOS = [1, 0.5, 0.2];
+// Camera distance (world units; models are fitted to MODEL_FIT_SIZE) where
+// each level takes over
+export const DEFAULT_LOD_DISTANCES = [0, 3.5, 6];
+// Distance multiplier per mode: baseline keeps full detail further out
+export const MODE_LOD_SCALE = { baseline: 2, optimized: 0.75 };
+// SimplifyModifier is O(n²) in vertices and runs one mesh at a time on the
+// rendering thread; bigger meshes stay at full detail
+export const MAX_SIMPLIFY_VERTICES = 5000;
+// Meshes this small are not worth extra levels
+export const MIN_SIMPLIFY_TRIANGLES = 64;
+// Over budget for this long drops a level; under 85% of it for
+// BUDGET_RECOVER_MS brings one back
+const BUDGET_OVER_MS = 2000;
+const BUDGET_RECOVER_MS = 5000;
+
+const triangleCount = (geometry) => Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+
+// Waits a tick so simplifying a big model does not freeze input and rendering
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+export class LODController {
+  constructor({ ratios = DEFAULT_LOD_RATIOS, distances = DEFAULT_LOD_DISTANCES, modeScale = MODE_LOD_SCALE, maxVertices = MAX_SIMPLIFY_VERTICES } = {}) {
+    if (ratios.length !== distances.length || ratios[0] !== 1) {
+      throw new Error('LOD ratios must start at 1 and match the distances one to one');
+    }
+    this.ratios = ratios;
+    this.distances = distances;
+    this.modeScale = modeScale;
+    this.maxVertices = maxVertices;
+    this.modifier = new SimplifyModifier();
+    // [{ lod, triangles: [per level] }]
+    this.entries = [];
+    this.skipped = 0;
+    this.building = false;
+    this.mode = 'optimized';
+    this.forcedLevel = null;
+    this.budgetWatts = null;
+    this.budgetLevel = 0;
+    this.overSince = null;
+    this.underSince = null;
+    // level -> { avgPowerW, avgFps, renderedTriangles }
+    this.measurements = {};
+    this.measuringLevel = null;
+    this.lastCurrent = '';
+    this.listeners = new Set();
+  }
+
+  // Replaces the meshes under root with LODs, before root is added to the
+  // scene. Resolves { entries, skipped } for use(), or null when
+  // isCancelled() (checked between meshes) turned true; the half-converted
+  // root is then the caller's to dispose.
+  async build(root, { isCancelled = () => false } = {}) {
+    this.building = true;
+    this.notify();
+    const meshes = [];
+    root.traverse((obj) => {
+      if (obj.isMesh && !obj.isSkinnedMesh && !obj.isInstancedMesh && !obj.morphTargetInfluences && triangleCount(obj.geometry) >= MIN_SIMPLIFY_TRIANGLES) {
+        meshes.push(obj);
+      }
+    });
+    const entries = [];
+    let skipped = 0;
+    try {
+      for (const mesh of meshes) {
+        await nextTick();
+        if (isCancelled()) return null;
+        const entry = this.simplify(mesh);
+        if (entry) entries.push(entry);
+        else skipped++;
+      }
+    } finally {
+      this.building = false;
+      this.notify();
+    }
+    return { entries, skipped };
+  }
+
+  // Switches to the LODs of the model now on screen
+  use({ entries, skipped }) {
+    this.entries = entries;
+    this.skipped = skipped;
+    this.budgetLevel = 0;
+    this.measurements = {};
+    this.measuringLevel = null;
+    this.apply();
+  }
+
+  simplify(mesh) {
+    const positions = mergeVertices(new THREE.BufferGeometry().setAttribute('position', mesh.geometry.attributes.position));
+    const vertexCount = positions.attributes.position.count;
+    positions.dispose();
+    if (vertexCount > this.maxVertices) return null;
+
+    const lod = new THREE.LOD();
+    lod.name = `${mesh.name || 'mesh'} LOD`;
+    lod.position.copy(mesh.position);
+    lod.quaternion.copy(mesh.quaternion);
+    lod.scale.copy(mesh.scale);
+    const parent = mesh.parent;
+    parent.add(lod);
+    parent.remove(mesh);
+    mesh.position.set(0, 0, 0);
+    mesh.quaternion.identity();
+    mesh.scale.set(1, 1, 1);
+    lod.addLevel(mesh, 0);
+
+    // Each level is simplified from the previous one
+    let geometry = mesh.geometry;
+    const triangles = [triangleCount(geometry)];
+    this.ratios.slice(1).forEach((ratio, i) => {
+      const previousRatio = this.ratios[i];
+      const remove = Math.floor(vertexCount * (previousRatio - ratio));
+      geometry = this.modifier.modify(geometry, remove);
+      geometry.computeVertexNormals();
+      const level = new THREE.Mesh(geometry, mesh.material);
+      level.name = `${mesh.name || 'mesh'} ${Math.round(ratio * 100)}%`;
+      level.castShadow = mesh.castShadow;
+      level.receiveShadow = mesh.receiveShadow;
+      lod.addLevel(level, this.distances[i + 1], 0.1);
+      triangles.push(triangleCount(geometry));
+    });
+    return { lod, triangles };
+  }
+
+  // Forgets the current model's LODs (its owner disposes the meshes)
+  clear() {
+    this.use({ entries: [], skipped: 0 });
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.apply();
+  }
+
+  // null: distance and budget decide; 0..n: always draw that level
+  setForcedLevel(level) {
+    this.forcedLevel = level === null || level === undefined ? null : Math.max(0, Math.min(this.ratios.length - 1, level));
+    this.apply();
+  }
+
+  // Watts of total power; null turns the budget off
+  setPowerBudget(watts) {
+    this.budgetWatts = watts > 0 ? watts : null;
+    this.budgetLevel = 0;
+    this.overSince = null;
+    this.underSince = null;
+    this.apply();
+  }
+
+  // Fed with monitor samples: enforces the power budget and reports level
+  // changes caused by camera distance
+  onSample(stats, time) {
+    if (this.budgetWatts !== null && this.forcedLevel === null && this.measuringLevel === null) {
+      const over = stats.totalPower > this.budgetWatts;
+      const under = stats.totalPower < this.budgetWatts * 0.85;
+      this.overSince = over ? this.overSince ?? time : null;
+      this.underSince = under ? this.underSince ?? time : null;
+      if (over && time - this.overSince >= BUDGET_OVER_MS && this.budgetLevel < this.ratios.length - 1) {
+        this.budgetLevel++;
+        this.overSince = null;
+        this.apply();
+      } else if (under && time - this.underSince >= BUDGET_RECOVER_MS && this.budgetLevel > 0) {
+        this.budgetLevel--;
+        this.underSince = null;
+        this.apply();
+      }
+    }
+    const current = this.entries.map(({ lod }) => lod.getCurrentLevel()).join();
+    if (current !== this.lastCurrent) {
+      this.lastCurrent = current;
+      this.notify();
+    }
+  }
+
+  // Writes the level distances: levels below the minimum start at 0, levels
+  // above a forced one never start
+  apply() {
+    const scale = this.modeScale[this.mode] ?? 1;
+    const forced = this.measuringLevel ?? this.forcedLevel;
+    const minLevel = forced ?? this.budgetLevel;
+    this.entries.forEach(({ lod }) => {
+      lod.levels.forEach((level, i) => {
+        if (forced !== null && i > forced) level.distance = Infinity;
+        else if (i <= minLevel) level.distance = 0;
+        else level.distance = this.distances[i] * scale;
+      });
+    });
+    this.notify();
+  }
+
+  // Level drawn while its power is measured; null ends the measurement
+  setMeasuringLevel(level) {
+    this.measuringLevel = level;
+    this.apply();
+  }
+
+  recordMeasurement(level, result) {
+    this.measurements[level] = result;
+    this.notify();
+  }
+
+  getState() {
+    const levels = this.ratios.map((ratio, i) => ({
+      ratio,
+      distance: this.distances[i] * (this.modeScale[this.mode] ?? 1),
+      triangles: this.entries.reduce((sum, { triangles }) => sum + triangles[i], 0),
+      measurement: this.measurements[i] || null
+    }));
+    const fullTriangles = levels[0].triangles;
+    const renderedTriangles = this.entries.reduce((sum, { lod, triangles }) => sum + triangles[lod.getCurrentLevel()], 0);
+    return {
+      building: this.building,
+      meshes: this.entries.length,
+      skipped: this.skipped,
+      mode: this.mode,
+      levels,
+      forcedLevel: this.forcedLevel,
+      budgetWatts: this.budgetWatts,
+      budgetLevel: this.budgetLevel,
+      measuringLevel: this.measuringLevel,
+      fullTriangles,
+      renderedTriangles,
+      savedPct: fullTriangles > 0 ? ((fullTriangles - renderedTriangles) / fullTriangles) * 100 : 0
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
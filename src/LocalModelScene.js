@@ -0,0 +1,783 @@
+import * as THREE from 'three';
+import { GPUMonitor } from './GPUMonitor';  // Ensure implemented or stubbed
+import { createSceneOverlay } from './SceneOverlay';
+import { themeRegistry } from './ThemeRegistry';
+import { MaterialOverrides } from './MaterialOverrides';
+import { LODController } from './LevelOfDetail';
+import { EcoMaterialMode } from './EcoMaterials';
+import { createGLTFLoader, loadGLTF, fitToSize, modelStats, disposeObject, profileModelEnergy } from './ModelLoader';
+
+// Workers without requestAnimationFrame fall back to a 60 Hz timer
+const requestFrame = typeof requestAnimationFrame === 'function'
+  ? (callback) => requestAnimationFrame(callback)
+  : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+  ? (id) => cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+// The scene on the current thread; options as for createModelScene
+// (ThreeDModelScene.js). Without a mountNode the scene is headless (used
+// inside sceneWorker.worker.js): options.canvas is the OffscreenCanvas,
+// options.size { width, height, pixelRatio } and options.hidden replace the
+// DOM, and input arrives through handlePointer(), setSize() and setHidden().
+export function createLocalScene(mountNode, options = {}) {
+  let size = options.size || { width: 1, height: 1, pixelRatio: 1 };
+  const getSize = () => (mountNode
+    ? { width: mountNode.clientWidth, height: mountNode.clientHeight, pixelRatio: window.devicePixelRatio || 1 }
+    : size);
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0xffffff);
+
+  const camera = new THREE.PerspectiveCamera(
+    60,
+    getSize().width / getSize().height,
+    0.1,
+    1000
+  );
+  camera.position.set(0, 1, 3);
+
+  const renderer = new THREE.WebGLRenderer({ canvas: options.canvas, antialias: true, powerPreference: 'low-power' });
+  // Adaptive resolution params (mutable)
+  let pixelRatioClamp = 1.5; // max device pixel ratio used
+  let viewportScale = 1.0;   // render size factor relative to canvas size
+  const applyRendererSizing = () => {
+    const { width: canvasW, height: canvasH, pixelRatio } = getSize();
+    const renderW = Math.max(1, Math.floor(canvasW * viewportScale));
+    const renderH = Math.max(1, Math.floor(canvasH * viewportScale));
+    renderer.setPixelRatio(Math.min(pixelRatio, pixelRatioClamp));
+    renderer.setSize(renderW, renderH, false);
+    // Upscale to fit the container while rendering at lower res
+    if (!mountNode) return;
+    renderer.domElement.style.width = canvasW + 'px';
+    renderer.domElement.style.height = canvasH + 'px';
+    renderer.domElement.style.imageRendering = 'pixelated';
+  };
+  applyRendererSizing();
+  if (mountNode) mountNode.appendChild(renderer.domElement);
+
+  const gpuMonitor = new GPUMonitor(renderer, {
+    powerModel: options.powerModel,
+    display: options.display,
+    carbonIntensity: options.carbonIntensity,
+    thread: options.thread,
+    scene,
+    camera
+  });
+  // Scene starts with the optimized preset (30 FPS, PR≤1.5)
+  gpuMonitor.setMode('optimized');
+  // Theme (and other) material changes go through reversible layers
+  const materialOverrides = new MaterialOverrides(scene);
+  // Cheaper shading, dimmer lights and no shadow map; part of the optimized
+  // preset (options.ecoMaterials: false starts without it)
+  const ecoMaterials = new EcoMaterialMode({ materialOverrides, renderer, shading: options.ecoShading });
+
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+  directionalLight.position.set(5, 5, 5);
+  scene.add(ambientLight);
+  scene.add(directionalLight);
+
+  let model = null;
+  let isModelLoaded = false;
+  // Red cube placeholder until a GLB model (options.model) has loaded
+  const cubeGeometry = new THREE.BoxGeometry(1, 1, 1);
+  const cubeMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
+  model = new THREE.Mesh(cubeGeometry, cubeMaterial);
+  model.name = 'Placeholder cube';
+  model.position.set(0, 1, 0);
+  scene.add(model);
+  isModelLoaded = true;
+
+  // Settings overlay next to the canvas (the worker proxy keeps its own)
+  const overlay = mountNode ? createSceneOverlay(mountNode) : null;
+  const updateOverlayText = () => {
+    if (overlay) overlay.update({ pixelRatioClamp, viewportScale });
+  };
+  updateOverlayText();
+
+  // Interaction variables
+  let isDragging = false;
+  let prevX = 0;
+  let prevY = 0;
+
+  // kind: 'down' | 'move' | 'up' (pointerleave counts as up) | 'wheel'; e
+  // needs clientX/clientY (deltaY for wheel) only, so forwarded events work too
+  function handlePointer(kind, e) {
+    if (kind === 'down') onPointerDown(e);
+    else if (kind === 'move') onPointerMove(e);
+    else if (kind === 'wheel') onWheel(e);
+    else onPointerUp();
+  }
+
+  // Wheel zoom moves the camera, which is what switches LOD levels
+  function onWheel(e) {
+    if (e.preventDefault) e.preventDefault();
+    camera.position.z = Math.max(1.2, Math.min(15, camera.position.z * Math.exp(e.deltaY * 0.001)));
+    invalidate();
+  }
+
+  function onPointerDown(e) {
+    isDragging = true;
+    prevX = e.clientX;
+    prevY = e.clientY;
+  }
+
+  function onPointerMove(e) {
+    if (!isDragging || !isModelLoaded) return;
+
+    const deltaX = e.clientX - prevX;
+    const deltaY = e.clientY - prevY;
+
+    model.rotation.y += deltaX * 0.005;
+    model.rotation.x += deltaY * 0.005;
+
+    // Clamp vertical rotation to prevent flipping
+    model.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, model.rotation.x));
+
+    prevX = e.clientX;
+    prevY = e.clientY;
+    invalidate();
+  }
+
+  function onPointerUp() {
+    isDragging = false;
+  }
+
+  if (mountNode) {
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('pointermove', onPointerMove);
+    renderer.domElement.addEventListener('pointerup', onPointerUp);
+    renderer.domElement.addEventListener('pointerleave', onPointerUp);
+    renderer.domElement.addEventListener('wheel', onWheel, { passive: false });
+  }
+
+  // Render cadence control
+  let targetFps = 30;                 // foreground FPS target
+  let backgroundFps = 5;              // when tab/page is hidden
+  let frameIntervalMs = 1000 / targetFps;
+  let lastRenderTime = 0;
+  let isHidden = mountNode ? document.hidden : !!options.hidden;
+  // Smooth recovery state
+  let rampStartMs = 0;
+  let rampDurationMs = 900;
+  // Render on demand: the loop stops once a frame is due and nothing asked
+  // for one, and restarts on invalidate()
+  let renderOnDemand = !!options.renderOnDemand;
+  let autoRotate = options.autoRotate !== false;
+  let frameRequested = true;
+  // Model energy profiles need a steady stream of frames
+  let profiling = false;
+  gpuMonitor.setRenderOnDemand(renderOnDemand);
+
+  function getEffectiveIntervalMs(now) {
+    const hiddenInterval = 1000 / Math.max(1, backgroundFps);
+    const visibleInterval = frameIntervalMs;
+    if (isHidden) return hiddenInterval;
+    // If we just became visible, ramp from hiddenInterval to visibleInterval
+    const t = rampStartMs ? Math.min(1, (now - rampStartMs) / rampDurationMs) : 1;
+    const eased = t < 1 ? (t*t*(3 - 2*t)) : 1; // smoothstep easing
+    const eff = hiddenInterval + (visibleInterval - hiddenInterval) * eased;
+    return eff;
+  }
+
+  // Draws one frame; returns false when render on demand has nothing to draw
+  function renderFrame(now, targetMs) {
+    if (renderOnDemand && !autoRotate && !frameRequested && !profiling) {
+      gpuMonitor.onIdle(now, { targetMs });
+      return false;
+    }
+    frameRequested = false;
+    const workStart = performance.now();
+    // Continuous rotation for the cube (radians per second); a long idle
+    // gap does not turn into a jump
+    const rotationSpeedY = 0.6; // adjust to taste
+    if (autoRotate && isModelLoaded && model) {
+      model.rotation.y += rotationSpeedY * (Math.min(now - lastRenderTime, 250) / 1000);
+    }
+    if (gpuMonitor && typeof gpuMonitor.onFrameStart === 'function') {
+      gpuMonitor.onFrameStart();
+    }
+    updateHighlights();
+    renderer.render(scene, camera);
+    if (gpuMonitor && typeof gpuMonitor.onFrameRendered === 'function') {
+      gpuMonitor.onFrameRendered(now, { targetMs });
+    }
+    gpuMonitor.recordThreadTime(performance.now() - workStart);
+    lastRenderTime = now;
+    return true;
+  }
+
+  function animate(now) {
+    rafId = null;
+    if (!lastRenderTime) lastRenderTime = now;
+    const effInterval = getEffectiveIntervalMs(now);
+    if (now - lastRenderTime >= effInterval && !renderFrame(now, effInterval)) return;
+    rafId = requestFrame(animate);
+  }
+
+  let rafId = requestFrame(animate);
+
+  // Background clock: hidden tabs throttle or stop requestAnimationFrame, so
+  // renderTicker.worker.js posts ticks at backgroundFps instead. Without
+  // workers the rAF loop keeps running at whatever rate the browser allows.
+  let pauseInBackground = !!options.pauseInBackground;
+  let ticker = null;
+
+  function createTicker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+      const worker = new Worker(new URL('./renderTicker.worker.js', import.meta.url));
+      worker.onmessage = (e) => {
+        // The worker's clock has a different time origin
+        if (e.data && e.data.type === 'tick') onBackgroundTick(performance.now());
+      };
+      return worker;
+    } catch (error) {
+      console.warn('Render ticker worker unavailable:', error);
+      return null;
+    }
+  }
+
+  function onBackgroundTick(now) {
+    if (!isHidden || contextLost) return;
+    renderFrame(now, 1000 / Math.max(1, backgroundFps));
+  }
+
+  function startBackgroundClock() {
+    cancelFrame(rafId);
+    rafId = null;
+    if (ticker) ticker.postMessage({ type: 'stop' });
+    if (pauseInBackground) {
+      gpuMonitor.setBackground({ hidden: true, clock: 'paused', targetFps: 0 });
+      return;
+    }
+    if (!ticker) ticker = createTicker();
+    if (ticker) {
+      ticker.postMessage({ type: 'start', fps: backgroundFps });
+      gpuMonitor.setBackground({ hidden: true, clock: 'worker', targetFps: backgroundFps });
+    } else {
+      gpuMonitor.setBackground({ hidden: true, clock: 'raf', targetFps: backgroundFps });
+      if (!contextLost) rafId = requestFrame(animate);
+    }
+  }
+
+  function stopBackgroundClock() {
+    if (ticker) ticker.postMessage({ type: 'stop' });
+    gpuMonitor.setBackground({ hidden: false });
+    rampStartMs = performance.now();
+    invalidate();
+  }
+
+  // Ask for a frame; it is drawn at the next slot the FPS cap allows (the
+  // background clock picks it up while hidden)
+  function invalidate() {
+    frameRequested = true;
+    if (rafId === null && !contextLost && !isHidden) rafId = requestFrame(animate);
+  }
+
+  function setRenderOnDemand(enabled) {
+    renderOnDemand = !!enabled;
+    gpuMonitor.setRenderOnDemand(renderOnDemand);
+    invalidate();
+  }
+
+  function setAutoRotate(enabled) {
+    autoRotate = !!enabled;
+    invalidate();
+  }
+
+  // Boxes around the objects picked in the cost breakdown (uuids from
+  // stats.costs entries); they follow moving objects and go away with them
+  const MAX_HIGHLIGHTS = 200;
+  let highlights = [];
+
+  function clearHighlights() {
+    highlights.forEach((helper) => {
+      scene.remove(helper);
+      helper.geometry.dispose();
+      helper.material.dispose();
+    });
+    highlights = [];
+  }
+
+  function highlightObjects(uuids) {
+    clearHighlights();
+    (uuids || []).slice(0, MAX_HIGHLIGHTS).forEach((uuid) => {
+      const object = scene.getObjectByProperty('uuid', uuid);
+      if (!object) return;
+      const helper = new THREE.BoxHelper(object, 0xfacc15);
+      // Not part of the scene's own cost
+      helper.userData.costHelper = true;
+      scene.add(helper);
+      highlights.push(helper);
+    });
+    invalidate();
+  }
+
+  function updateHighlights() {
+    if (!highlights.length) return;
+    highlights = highlights.filter((helper) => {
+      let root = helper.object;
+      while (root.parent) root = root.parent;
+      if (root === scene) {
+        helper.update();
+        return true;
+      }
+      scene.remove(helper);
+      helper.geometry.dispose();
+      helper.material.dispose();
+      return false;
+    });
+  }
+
+  // Model loading: options.model is the URL loaded at start (without one the
+  // cube stays), loadModel() swaps in another model. Every loaded model gets an
+  // energy profile; modelState is reported to subscribeModel() listeners.
+  const MAX_PROFILES = 10;
+  let gltfLoader = null;
+  let loadGeneration = 0;
+  let profiler = null;
+  // Bumped whenever a measurement is cancelled, so a superseded one stops
+  let profileGeneration = 0;
+  // Eco mode before an eco comparison switched it back and forth
+  let ecoWasEnabled = false;
+  let disposed = false;
+  let modelState = { status: 'idle', name: 'Placeholder cube', progress: 0, stats: null, profile: null, error: null, lod: null, eco: null };
+  let profiles = [];
+  const modelListeners = new Set();
+
+  function getModelState() {
+    return { ...modelState, profiles };
+  }
+
+  function setModelState(patch) {
+    modelState = { ...modelState, ...patch };
+    const state = getModelState();
+    modelListeners.forEach((listener) => listener(state));
+  }
+
+  function subscribeModel(listener) {
+    modelListeners.add(listener);
+    return () => modelListeners.delete(listener);
+  }
+
+  function stopProfiling() {
+    profileGeneration++;
+    if (profiler) profiler.cancel();
+    profiler = null;
+    profiling = false;
+    if (lodController) lodController.setMeasuringLevel(null);
+    if (ecoMaterials.measuring) {
+      ecoMaterials.setMeasuring(false);
+      if (!disposed) applyEcoMaterials(ecoWasEnabled);
+    }
+  }
+
+  // Loaded models get simplified levels (options.lod: { ratios, distances,
+  // modeScale, maxVertices }, false turns LOD off)
+  const lodController = options.lod === false ? null : new LODController(options.lod || {});
+  const unsubscribeLod = lodController ? lodController.subscribe((controller) => setModelState({ lod: controller.getState() })) : () => {};
+  const unsubscribeEco = ecoMaterials.subscribe((mode) => setModelState({ eco: mode.getState() }));
+  const unsubscribeLodSamples = lodController
+    ? gpuMonitor.subscribe(({ time, stats }) => lodController.onSample(stats, time), { intervalMs: 250, types: ['sample'] })
+    : () => {};
+
+  // source: URL or ArrayBuffer with the .glb/.gltf file contents
+  function loadModel(source, { name } = {}) {
+    const label = name || (typeof source === 'string' ? source.split('/').pop() : 'Model');
+    const generation = ++loadGeneration;
+    stopProfiling();
+    if (!gltfLoader) gltfLoader = createGLTFLoader({ dracoDecoderPath: options.dracoDecoderPath });
+    setModelState({ status: 'loading', name: label, progress: 0, error: null });
+    loadGLTF(gltfLoader, source, (progress) => {
+      if (generation === loadGeneration) setModelState({ progress });
+    }).then(async (gltf) => {
+      const stale = () => generation !== loadGeneration || disposed;
+      let lods = null;
+      if (!stale() && lodController) {
+        setModelState({ status: 'simplifying', progress: 1 });
+        lods = await lodController.build(gltf.scene, { isCancelled: stale });
+      }
+      if (stale()) {
+        disposeObject(gltf.scene);
+        return;
+      }
+      showModel(gltf.scene);
+      if (lods) lodController.use(lods);
+      setModelState({ progress: 1 });
+      profileModel();
+    }).catch((error) => {
+      if (generation !== loadGeneration || disposed) return;
+      // The current model stays on screen
+      setModelState({ status: 'error', error: `Could not load ${label}: ${error.message || error}` });
+    });
+  }
+
+  function showModel(object) {
+    fitToSize(object);
+    const pivot = new THREE.Group();
+    pivot.name = modelState.name;
+    pivot.add(object);
+    pivot.position.set(0, 1, 0);
+    scene.remove(model);
+    disposeObject(model);
+    model = pivot;
+    scene.add(model);
+    isModelLoaded = true;
+    invalidate();
+  }
+
+  // Draws every LOD level in turn and measures its power
+  async function measureLodLevels() {
+    if (!lodController || !lodController.entries.length) return;
+    stopProfiling();
+    const generation = loadGeneration;
+    profiling = true;
+    for (let level = 0; level < lodController.ratios.length; level++) {
+      lodController.setMeasuringLevel(level);
+      invalidate();
+      profiler = profileModelEnergy(gpuMonitor);
+      const result = await profiler.promise;
+      // Cancelled by another profile or model
+      if (!result || generation !== loadGeneration) return;
+      lodController.recordMeasurement(level, result);
+    }
+    profiler = null;
+    profiling = false;
+    lodController.setMeasuringLevel(null);
+  }
+
+  function setLodLevel(level) {
+    if (lodController) lodController.setForcedLevel(level);
+    invalidate();
+  }
+
+  function setLodPowerBudget(watts) {
+    if (lodController) lodController.setPowerBudget(watts);
+    invalidate();
+  }
+
+  function applyEcoMaterials(enabled) {
+    ecoMaterials.setEnabled(enabled);
+    applyLighting();
+    invalidate();
+  }
+
+  // A choice made during the PBR/eco comparison cancels it and is what stays
+  function setEcoMaterials(enabled) {
+    if (ecoMaterials.measuring) {
+      ecoWasEnabled = !!enabled;
+      stopProfiling();
+    }
+    applyEcoMaterials(enabled);
+  }
+
+  function setEcoShading(shading) {
+    if (ecoMaterials.measuring) stopProfiling();
+    ecoMaterials.setShading(shading);
+    invalidate();
+  }
+
+  // Measures the scene with PBR materials and then with eco materials, and
+  // goes back to the mode it was in
+  async function measureEcoMaterials() {
+    stopProfiling();
+    const generation = profileGeneration;
+    ecoWasEnabled = ecoMaterials.enabled;
+    const results = [];
+    profiling = true;
+    ecoMaterials.setMeasuring(true);
+    for (const enabled of [false, true]) {
+      applyEcoMaterials(enabled);
+      profiler = profileModelEnergy(gpuMonitor);
+      const result = await profiler.promise;
+      // Cancelled by another profile or model; stopProfiling() has put the
+      // mode back already
+      if (!result || generation !== profileGeneration) return;
+      results.push(result);
+    }
+    profiler = null;
+    profiling = false;
+    ecoMaterials.recordMeasurement(results[0], results[1]);
+    ecoMaterials.setMeasuring(false);
+    applyEcoMaterials(ecoWasEnabled);
+  }
+
+  // Measures the model currently shown with the current settings
+  function profileModel() {
+    stopProfiling();
+    const generation = loadGeneration;
+    const stats = modelStats(model);
+    setModelState({ status: 'profiling', stats, profile: null, error: null });
+    profiling = true;
+    invalidate();
+    profiler = profileModelEnergy(gpuMonitor);
+    profiler.promise.then((result) => {
+      if (!result || generation !== loadGeneration) return;
+      profiler = null;
+      profiling = false;
+      const profile = { name: modelState.name, ...stats, ...result, settings: getCurrentSettings(), at: Date.now() };
+      profiles = [profile, ...profiles].slice(0, MAX_PROFILES);
+      setModelState({ status: 'ready', profile });
+    });
+  }
+
+  // WebGL context loss: stop the loop and let the monitor mark stats
+  // unavailable. three.js re-creates its GL state on restore; materials and
+  // textures are flagged so everything is uploaded again on the next frame.
+  let contextLost = false;
+
+  function onContextLost(e) {
+    e.preventDefault();
+    contextLost = true;
+    cancelFrame(rafId);
+    rafId = null;
+    gpuMonitor.onContextLost();
+  }
+
+  function onContextRestored() {
+    contextLost = false;
+    gpuMonitor.onContextRestored();
+    scene.traverse((obj) => {
+      const materials = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+      materials.forEach((m) => {
+        m.needsUpdate = true;
+        Object.values(m).forEach((value) => {
+          if (value && value.isTexture) value.needsUpdate = true;
+        });
+      });
+    });
+    lastRenderTime = 0;
+    invalidate();
+  }
+
+  renderer.domElement.addEventListener('webglcontextlost', onContextLost);
+  renderer.domElement.addEventListener('webglcontextrestored', onContextRestored);
+
+  // Debug controls (WEBGL_lose_context)
+  function simulateContextLoss() {
+    return gpuMonitor.simulateContextLoss();
+  }
+
+  function restoreContext() {
+    return gpuMonitor.simulateContextRestore();
+  }
+
+  function isContextLost() {
+    return contextLost;
+  }
+
+  function setPerformanceMode(mode) {
+    // Both halves of the eco comparison have to run under the same caps
+    if (ecoMaterials.measuring) stopProfiling();
+    if (mode === 'baseline') {
+      targetFps = 60;
+      frameIntervalMs = 1000 / targetFps;
+      pixelRatioClamp = 3;
+    } else {
+      targetFps = 30;
+      frameIntervalMs = 1000 / targetFps;
+      pixelRatioClamp = 1.5;
+    }
+    applyRendererSizing();
+    gpuMonitor.setMode(mode === 'baseline' ? 'baseline' : 'optimized');
+    if (lodController) lodController.setMode(mode === 'baseline' ? 'baseline' : 'optimized');
+    setEcoMaterials(mode !== 'baseline');
+  }
+
+  function setTargetFps(nextFps) {
+    targetFps = Math.max(1, Math.min(120, nextFps || 30));
+    frameIntervalMs = 1000 / targetFps;
+    invalidate();
+  }
+
+  function setBackgroundFps(nextFps) {
+    backgroundFps = Math.max(1, Math.min(30, nextFps || 5));
+    if (isHidden) startBackgroundClock();
+  }
+
+  function setPauseInBackground(paused) {
+    pauseInBackground = !!paused;
+    if (isHidden) startBackgroundClock();
+  }
+
+  function setPixelRatioClampValue(nextClamp) {
+    pixelRatioClamp = Math.max(0.5, Math.min(3, nextClamp || 1.5));
+    applyRendererSizing();
+    updateOverlayText();
+    invalidate();
+  }
+
+  function setViewportScaleValue(nextScale) {
+    viewportScale = Math.max(0.3, Math.min(1, nextScale || 1));
+    applyRendererSizing();
+    updateOverlayText();
+    invalidate();
+  }
+
+  // Background, lights and material patch come from the theme registry
+  let currentTheme = 'light';
+  function setTheme(theme) {
+    currentTheme = theme;
+    if (gpuMonitor && typeof gpuMonitor.setTheme === 'function') {
+      gpuMonitor.setTheme(theme);
+    }
+    const { scene: look, materials } = themeRegistry.get(theme);
+    scene.background = new THREE.Color(look.background);
+    applyLighting();
+    // A layer, so leaving the theme gives meshes their own materials back
+    if (materials) materialOverrides.setLayer('theme', { patch: materials });
+    else materialOverrides.removeLayer('theme');
+    if (overlay) overlay.setTheme(theme);
+    invalidate();
+  }
+
+  // Theme lights, turned down while eco materials are on
+  function applyLighting() {
+    const { scene: look } = themeRegistry.get(currentTheme);
+    const scale = ecoMaterials.enabled ? ecoMaterials.lightScale : 1;
+    ambientLight.intensity = look.ambient.intensity * scale;
+    ambientLight.color = new THREE.Color(look.ambient.color);
+    directionalLight.intensity = look.directional.intensity * scale;
+    directionalLight.color = new THREE.Color(look.directional.color);
+  }
+
+  // Re-registering the theme in use restyles the scene right away
+  const unsubscribeThemes = themeRegistry.subscribe(() => setTheme(currentTheme));
+
+  function setPowerModel(spec) {
+    gpuMonitor.setPowerModel(spec);
+  }
+
+  function onResize() {
+    const { width, height } = getSize();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    applyRendererSizing();
+    invalidate();
+  }
+
+  // Headless: the owner reports size changes
+  function setSize(nextSize) {
+    size = { ...size, ...nextSize };
+    onResize();
+  }
+
+  function setHidden(hidden) {
+    const wasHidden = isHidden;
+    isHidden = !!hidden;
+    if (isHidden && !wasHidden) {
+      startBackgroundClock();
+    } else if (!isHidden && wasHidden) {
+      stopBackgroundClock();
+    }
+    // The monitor cannot see the page's visibility from a worker; sample now
+    // so hidden-time energy starts at the change
+    if (!mountNode) gpuMonitor.monitorLoop();
+  }
+
+  function onVisibilityChange() {
+    setHidden(document.hidden);
+  }
+
+  if (mountNode) {
+    window.addEventListener('resize', onResize);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+  if (isHidden) startBackgroundClock();
+
+  function cleanup() {
+    if (mountNode) {
+      renderer.domElement.removeEventListener('pointerdown', onPointerDown);
+      renderer.domElement.removeEventListener('pointermove', onPointerMove);
+      renderer.domElement.removeEventListener('pointerup', onPointerUp);
+      renderer.domElement.removeEventListener('pointerleave', onPointerUp);
+      renderer.domElement.removeEventListener('wheel', onWheel);
+      window.removeEventListener('resize', onResize);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    }
+    renderer.domElement.removeEventListener('webglcontextlost', onContextLost);
+    renderer.domElement.removeEventListener('webglcontextrestored', onContextRestored);
+    cancelFrame(rafId);
+    if (ticker) ticker.terminate();
+    disposed = true;
+    stopProfiling();
+    unsubscribeLod();
+    unsubscribeEco();
+    unsubscribeLodSamples();
+    modelListeners.clear();
+    clearHighlights();
+    // Originals back first, so they are what gets disposed
+    ecoMaterials.dispose();
+    materialOverrides.dispose();
+
+    if (model) disposeObject(model);
+
+    unsubscribeThemes();
+    gpuMonitor.destroy();
+    renderer.dispose();
+
+    if (mountNode) {
+      mountNode.removeChild(renderer.domElement);
+    }
+    if (overlay) overlay.remove();
+  }
+
+  function getCurrentSettings() {
+    return {
+      targetFps,
+      backgroundFps,
+      pauseInBackground,
+      pixelRatioClamp,
+      viewportScale,
+      theme: currentTheme,
+      powerProfile: gpuMonitor.powerModel.profile.id,
+      renderOnDemand,
+      autoRotate,
+      ecoMaterials: ecoMaterials.enabled,
+      ecoShading: ecoMaterials.shading
+    };
+  }
+
+  setEcoMaterials(options.ecoMaterials !== false);
+  if (options.model) loadModel(options.model);
+
+  return {
+    cleanup,
+    gpuMonitor,
+    materialOverrides,
+    scene,
+    renderer,
+    setPerformanceMode,
+    setTargetFps,
+    setBackgroundFps,
+    setPauseInBackground,
+    setPixelRatioClamp: setPixelRatioClampValue,
+    setViewportScale: setViewportScaleValue,
+    setTheme,
+    setPowerModel,
+    setRenderOnDemand,
+    setAutoRotate,
+    invalidate,
+    handlePointer,
+    setSize,
+    setHidden,
+    simulateContextLoss,
+    restoreContext,
+    isContextLost,
+    getCurrentSettings,
+    loadModel,
+    profileModel,
+    measureLodLevels,
+    setLodLevel,
+    setLodPowerBudget,
+    setEcoMaterials,
+    setEcoShading,
+    measureEcoMaterials,
+    highlightObjects,
+    getModelState,
+    subscribeModel,
+    currentTheme
+  };
+}
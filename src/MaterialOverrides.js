@@ -0,0 +1,131 @@
+// Reversible material overrides for every mesh in a scene. Overrides come in
+// named layers, applied in the order they were first set:
+//   { patch: { color: 0x222222, roughness: 1, ... } }  properties set on a copy
+//   { material: (current, original) => THREE.Material } replacement material
+// Meshes never have their own materials changed: they get an override
+// material while a layer is active and their original back, untouched, when
+// the last layer goes. One override is shared by all meshes that share an
+// original, so overrides do not add shader programs or draw-state changes.
+// Meshes added to the scene later pick up the active layers; meshes removed
+// from it get their originals back (callers dispose what they created).
+export class MaterialOverrides {
+  constructor(scene) {
+    this.scene = scene;
+    this.layers = new Map();
+    // mesh -> its original material (or array of materials)
+    this.originals = new Map();
+    // original material -> { material, users }
+    this.overrides = new Map();
+
+    const add = scene.add;
+    const remove = scene.remove;
+    this.unwrap = () => {
+      scene.add = add;
+      scene.remove = remove;
+    };
+    scene.add = (...objects) => {
+      add.apply(scene, objects);
+      objects.forEach((object) => this.attach(object));
+      return scene;
+    };
+    scene.remove = (...objects) => {
+      objects.forEach((object) => this.detach(object));
+      return remove.apply(scene, objects);
+    };
+  }
+
+  setLayer(name, spec) {
+    if (!spec || (!spec.patch && typeof spec.material !== 'function')) {
+      throw new Error(`Material layer "${name}" needs a patch or a material function`);
+    }
+    this.detach(this.scene);
+    this.layers.set(name, spec);
+    this.attach(this.scene);
+  }
+
+  removeLayer(name) {
+    if (!this.layers.has(name)) return;
+    this.detach(this.scene);
+    this.layers.delete(name);
+    this.attach(this.scene);
+  }
+
+  hasLayer(name) {
+    return this.layers.has(name);
+  }
+
+  // Original material of a mesh, whether or not it is overridden
+  originalOf(mesh) {
+    return this.originals.has(mesh) ? this.originals.get(mesh) : mesh.material;
+  }
+
+  attach(root) {
+    if (!this.layers.size) return;
+    root.traverse((obj) => {
+      if (!obj.isMesh || !obj.material || this.originals.has(obj)) return;
+      this.originals.set(obj, obj.material);
+      obj.material = Array.isArray(obj.material)
+        ? obj.material.map((m) => this.acquire(m))
+        : this.acquire(obj.material);
+    });
+  }
+
+  detach(root) {
+    root.traverse((obj) => {
+      if (!this.originals.has(obj)) return;
+      const original = this.originals.get(obj);
+      (Array.isArray(original) ? original : [original]).forEach((m) => this.release(m));
+      obj.material = original;
+      this.originals.delete(obj);
+    });
+  }
+
+  acquire(original) {
+    let entry = this.overrides.get(original);
+    if (!entry) {
+      entry = { material: this.build(original), users: 0 };
+      this.overrides.set(original, entry);
+    }
+    entry.users++;
+    return entry.material;
+  }
+
+  release(original) {
+    const entry = this.overrides.get(original);
+    if (!entry || --entry.users > 0) return;
+    if (entry.material !== original) entry.material.dispose();
+    this.overrides.delete(original);
+  }
+
+  build(original) {
+    let material = original;
+    this.layers.forEach((spec) => {
+      let next = material;
+      if (spec.material) {
+        next = spec.material(material, original) || material;
+      } else {
+        next = material === original ? original.clone() : material;
+        applyPatch(next, spec.patch);
+      }
+      // Drop intermediate copies when a later layer replaces them
+      if (material !== original && next !== material) material.dispose();
+      material = next;
+    });
+    return material;
+  }
+
+  // Puts every original back and stops following scene.add/remove
+  dispose() {
+    this.detach(this.scene);
+    this.layers.clear();
+    this.unwrap();
+  }
+}
+
+function applyPatch(material, patch) {
+  Object.entries(patch).forEach(([key, value]) => {
+    if (!(key in material)) return;
+    if (material[key] && material[key].isColor) material[key].set(value);
+    else material[key] = value;
+  });
+}
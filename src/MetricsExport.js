@@ -0,0 +1,238 @@
+import { EnergyIntegrator } from './EnergyIntegrator';
+
+// Time-series export of monitor samples in three formats: wide CSV (one row
+// per sample), versioned JSON and OpenMetrics text exposition. Input is an
+// event list in the SessionRecorder / MetricsHistory shape:
+// { t, type: 'sample', stats | values } and { t, type: 'setting', key, value },
+// with t in milliseconds since `startedAt` (epoch ms).
+export const EXPORT_SCHEMA = 'sustainable-ux/metrics-timeseries';
+export const EXPORT_SCHEMA_VERSION = 1;
+export const EXPORT_FORMATS = {
+  csv: { label: 'Wide CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  openmetrics: { label: 'OpenMetrics', extension: 'txt', mimeType: 'application/openmetrics-text; version=1.0.0; charset=utf-8' }
+};
+const METRIC_PREFIX = 'sustainable_ux_';
+
+// key: CSV/JSON column, unit: as exported there; name/scale: OpenMetrics
+// family in base units
+export const EXPORT_METRICS = [
+  { key: 'fps', unit: 'fps', name: 'fps', help: 'Rendered frames per second', get: (s) => s.fps },
+  { key: 'frameTimeMs', unit: 'ms', name: 'frame_time_seconds', scale: 0.001, help: 'Average rendered frame interval', get: (s) => s.frameTime },
+  { key: 'frameTimeP95Ms', unit: 'ms', name: 'frame_time_p95_seconds', scale: 0.001, help: '95th percentile frame interval', get: (s) => s.frameTiming && s.frameTiming.p95 },
+  { key: 'gpuTimeMs', unit: 'ms', name: 'gpu_time_seconds', scale: 0.001, help: 'Measured GPU time per frame', get: (s) => s.gpuTimeMs },
+  { key: 'gpuUtilizationPct', unit: '%', name: 'gpu_utilization_ratio', scale: 0.01, help: 'GPU utilization', get: (s) => s.gpu.utilization },
+  { key: 'gpuPowerW', unit: 'W', name: 'gpu_power_watts', help: 'Estimated GPU power', get: (s) => s.gpu.power },
+  { key: 'displayPowerW', unit: 'W', name: 'display_power_watts', help: 'Estimated display power', get: (s) => s.display.power },
+  { key: 'totalPowerW', unit: 'W', name: 'total_power_watts', help: 'Estimated GPU + display power', get: (s) => s.totalPower },
+  { key: 'displayApl', unit: 'ratio', name: 'display_apl_ratio', help: 'Average picture level of the rendered frame', get: (s) => s.display.apl },
+  { key: 'gpuTempC', unit: '°C', name: 'gpu_temperature_celsius', help: 'Modeled GPU temperature', get: (s) => s.gpu.temperature },
+  { key: 'drawCalls', unit: 'count', name: 'draw_calls', help: 'Draw calls per frame', get: (s) => s.drawCalls },
+  { key: 'triangles', unit: 'count', name: 'triangles', help: 'Triangles per frame', get: (s) => s.triangles },
+  { key: 'renderIdlePct', unit: '%', name: 'render_idle_ratio', scale: 0.01, help: 'Share of time the render-on-demand loop drew nothing', get: (s) => s.rendering && s.rendering.idlePct },
+  { key: 'skippedFrames', unit: 'count', name: 'skipped_frames', help: 'Frames render on demand did not draw', get: (s) => s.rendering && s.rendering.skippedFrames },
+  { key: 'mainThreadBusyPct', unit: '%', name: 'main_thread_busy_ratio', scale: 0.01, help: 'Share of a main-thread core spent on the scene', get: (s) => s.mainThread && s.mainThread.busyPct },
+  { key: 'mainThreadPowerW', unit: 'W', name: 'main_thread_power_watts', help: 'Estimated CPU power of the scene on the main thread', get: (s) => s.mainThread && s.mainThread.watts },
+  { key: 'workerThreadBusyPct', unit: '%', name: 'worker_thread_busy_ratio', scale: 0.01, help: 'Share of a core the render worker kept busy', get: (s) => s.workerThread && s.workerThread.busyPct },
+  { key: 'gpuMemoryBytes', unit: 'bytes', name: 'gpu_memory_bytes', help: 'GPU memory in use', get: (s) => s.memory.used },
+  { key: 'gpuMemoryTexturesBytes', unit: 'bytes', name: 'gpu_memory_textures_bytes', help: 'Scene estimate: texture memory', get: (s) => s.memory.breakdown && s.memory.breakdown.byType.textures },
+  { key: 'gpuMemoryGeometriesBytes', unit: 'bytes', name: 'gpu_memory_geometries_bytes', help: 'Scene estimate: geometry buffer memory', get: (s) => s.memory.breakdown && s.memory.breakdown.byType.geometries },
+  { key: 'gpuMemoryRenderTargetsBytes', unit: 'bytes', name: 'gpu_memory_render_targets_bytes', help: 'Scene estimate: render target memory', get: (s) => s.memory.breakdown && s.memory.breakdown.byType.renderTargets },
+  { key: 'gpuMemoryFramebufferBytes', unit: 'bytes', name: 'gpu_memory_framebuffer_bytes', help: 'Scene estimate: canvas framebuffer memory', get: (s) => s.memory.breakdown && s.memory.breakdown.byType.framebuffer },
+  { key: 'gridGramsPerWh', unit: 'gCO2e/Wh', name: 'grid_intensity_grams_per_watt_hour', help: 'Grid carbon intensity', get: (s) => s.carbon && s.carbon.gramsPerWh },
+  { key: 'contextLossCount', unit: 'count', name: 'context_losses', help: 'WebGL context losses so far', get: (s) => s.context && s.context.lossCount },
+  { key: 'contextOutageMs', unit: 'ms', name: 'context_outage_seconds', scale: 0.001, help: 'Time spent without a WebGL context', get: (s) => s.context && s.context.totalOutageMs },
+  { key: 'sessionEnergyWh', unit: 'Wh', name: 'session_energy_watt_hours', help: 'Session energy as integrated by the monitor', get: (s) => s.energy && s.energy.wh },
+  { key: 'sessionCO2eGrams', unit: 'gCO2e', name: 'session_co2e_grams', help: 'Session CO2e as integrated by the monitor', get: (s) => s.energy && s.energy.gCO2e },
+  { key: 'sessionDurationMs', unit: 'ms', name: 'session_duration_seconds', scale: 0.001, help: 'Time the session energy covers', get: (s) => s.energy && s.energy.elapsedMs }
+];
+
+// Text values exported next to the metrics (OpenMetrics: info families)
+export const EXPORT_LABELS = [
+  { key: 'gridRegion', name: 'grid_region', help: 'Grid region of the carbon intensity', get: (s) => s.carbon && s.carbon.region },
+  { key: 'gpuMemorySource', name: 'gpu_memory_source', help: 'Where the GPU memory figure comes from (nvx, scene or heuristic)', get: (s) => s.memory.source }
+];
+
+// Flat metric values (and labels) of one getStats() snapshot
+export function sampleValues(stats) {
+  const values = {};
+  EXPORT_METRICS.forEach((m) => {
+    const value = m.get(stats);
+    values[m.key] = typeof value === 'number' && isFinite(value) ? value : null;
+  });
+  EXPORT_LABELS.forEach((l) => {
+    const value = l.get(stats);
+    values[l.key] = value === null || value === undefined ? null : String(value);
+  });
+  return values;
+}
+
+// One row per sample in [fromMs, toMs] with the settings in effect and the
+// energy/CO₂ of the exported range. Energy is taken from the monitor's own
+// session totals (stats.energy), so the export agrees with the dashboard;
+// samples without them (older recordings) are integrated here.
+export function buildRows(events, { startedAt = 0, fromMs = 0, toMs = Infinity } = {}) {
+  const settings = {};
+  const settingKeys = new Set();
+  const energy = new EnergyIntegrator();
+  const rows = [];
+  // Session totals and settings of the previous row
+  let previous = null;
+  events.forEach((event) => {
+    if (event.type === 'setting') {
+      settings[event.key] = event.value;
+      settingKeys.add(event.key);
+      return;
+    }
+    if (event.type !== 'sample' || event.t < fromMs || event.t > toMs) return;
+    const values = event.values || sampleValues(event.stats);
+    const before = energy.getTotals();
+    if (values.sessionEnergyWh !== null && values.sessionEnergyWh !== undefined) {
+      const session = { wh: values.sessionEnergyWh, gCO2e: values.sessionCO2eGrams ?? 0, ms: values.sessionDurationMs ?? 0 };
+      if (previous) {
+        // Totals going down mean the session energy was reset in between
+        const base = session.wh >= previous.session.wh ? previous.session : { wh: 0, gCO2e: 0, ms: 0 };
+        energy.charge({ wh: session.wh - base.wh, gCO2e: session.gCO2e - base.gCO2e, ms: session.ms - base.ms }, previous.settings);
+      }
+      previous = { session, settings: { ...settings } };
+    } else {
+      energy.setGramsPerWh(values.gridGramsPerWh ?? 0);
+      energy.addSample(values.totalPowerW ?? 0, event.t, settings);
+    }
+    const totals = energy.getTotals();
+    rows.push({
+      timestamp: startedAt + event.t,
+      t: event.t,
+      settings: { ...settings },
+      metrics: values,
+      derived: {
+        intervalWh: totals.wh - before.wh,
+        energyWh: totals.wh,
+        co2eGrams: totals.gCO2e,
+        co2eRateGramsPerHour: (values.totalPowerW ?? 0) * (values.gridGramsPerWh ?? 0)
+      }
+    });
+  });
+  return {
+    rows,
+    settingKeys: [...settingKeys],
+    totals: energy.getTotals(),
+    // The monitor's session totals at the last exported sample
+    session: previous ? previous.session : null
+  };
+}
+
+const DERIVED_COLUMNS = ['intervalWh', 'energyWh', 'co2eGrams', 'co2eRateGramsPerHour'];
+
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toWideCSV({ rows, settingKeys }) {
+  const header = ['timestamp', 't_ms', ...settingKeys, ...EXPORT_METRICS.map((m) => m.key), ...EXPORT_LABELS.map((l) => l.key), ...DERIVED_COLUMNS];
+  const lines = rows.map((row) => [
+    new Date(row.timestamp).toISOString(),
+    Math.round(row.t),
+    ...settingKeys.map((k) => row.settings[k]),
+    ...EXPORT_METRICS.map((m) => row.metrics[m.key]),
+    ...EXPORT_LABELS.map((l) => row.metrics[l.key]),
+    ...DERIVED_COLUMNS.map((k) => row.derived[k])
+  ].map(csvCell).join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+export function toJSON({ rows, settingKeys, totals, session }, { source, range }) {
+  return JSON.stringify({
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    source,
+    range,
+    metrics: EXPORT_METRICS.map(({ key, unit, help }) => ({ key, unit, description: help })),
+    labels: EXPORT_LABELS.map(({ key, help }) => ({ key, description: help })),
+    settingKeys,
+    totals: {
+      energyWh: totals.wh,
+      co2eGrams: totals.gCO2e,
+      durationMs: totals.elapsedMs,
+      byMode: totals.byMode,
+      byTheme: totals.byTheme,
+      // Monitor totals since the session energy was last reset
+      session: session && { energyWh: session.wh, co2eGrams: session.gCO2e, durationMs: session.ms }
+    },
+    rows: rows.map((row) => ({ ...row, timestamp: new Date(row.timestamp).toISOString() }))
+  }, null, 2);
+}
+
+const labelValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+function labelSet(settings) {
+  const labels = ['mode', 'theme']
+    .filter((k) => settings[k] !== undefined)
+    .map((k) => `${k}=${labelValue(settings[k])}`);
+  return labels.length ? `{${labels.join(',')}}` : '';
+}
+
+// Families are contiguous; timestamps are in seconds
+export function toOpenMetrics({ rows }) {
+  const lines = [];
+  const family = (name, type, help, valueOf) => {
+    const fullName = METRIC_PREFIX + name;
+    lines.push(`# TYPE ${fullName} ${type}`, `# HELP ${fullName} ${help}`);
+    rows.forEach((row) => {
+      const value = valueOf(row);
+      if (value === null || value === undefined) return;
+      lines.push(`${fullName}${type === 'counter' ? '_total' : ''}${labelSet(row.settings)} ${value} ${(row.timestamp / 1000).toFixed(3)}`);
+    });
+  };
+  EXPORT_METRICS.forEach((m) => {
+    family(m.name, 'gauge', m.help, (row) => {
+      const value = row.metrics[m.key];
+      if (value === null) return null;
+      // toPrecision drops float noise from the unit conversion
+      return m.scale ? Number((value * m.scale).toPrecision(10)) : value;
+    });
+  });
+  family('energy_watt_hours', 'counter', 'Energy integrated over the exported range', (row) => row.derived.energyWh);
+  family('co2e_grams', 'counter', 'CO2e integrated over the exported range', (row) => row.derived.co2eGrams);
+  EXPORT_LABELS.forEach((l) => {
+    const fullName = METRIC_PREFIX + l.name;
+    lines.push(`# TYPE ${fullName} info`, `# HELP ${fullName} ${l.help}`);
+    rows.forEach((row) => {
+      const value = row.metrics[l.key];
+      if (value === null || value === undefined) return;
+      lines.push(`${fullName}_info{${l.name}=${labelValue(value)}} 1 ${(row.timestamp / 1000).toFixed(3)}`);
+    });
+  });
+  lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+// Returns { content, filename, mimeType } for one of EXPORT_FORMATS
+export function exportTimeSeries(format, events, { startedAt, fromMs = 0, toMs = Infinity, source = {} } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  const table = buildRows(events, { startedAt, fromMs, toMs });
+  const range = { fromMs, toMs: isFinite(toMs) ? toMs : null };
+  const content = format === 'csv'
+    ? toWideCSV(table)
+    : format === 'json'
+      ? toJSON(table, { source: { ...source, startedAt: new Date(startedAt).toISOString() }, range })
+      : toOpenMetrics(table);
+  const stamp = new Date(startedAt + fromMs).toISOString().replace(/[:.]/g, '-');
+  return { content, filename: `sustainability-metrics-${stamp}.${spec.extension}`, mimeType: spec.mimeType, rowCount: table.rows.length };
+}
+
+export function downloadText({ content, filename, mimeType }) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,106 @@
+import { buildRows, csvCell, exportTimeSeries, sampleValues, toOpenMetrics, toWideCSV, EXPORT_METRICS, EXPORT_LABELS } from './MetricsExport';
+
+const STARTED_AT = Date.UTC(2024, 0, 1);
+
+// Smallest getStats() shape sampleValues reads
+function stats({ power = 10, energyWh, region = 'DE' } = {}) {
+  return {
+    fps: 60,
+    frameTime: 16.7,
+    gpu: { utilization: 50, power: power - 2, temperature: 60 },
+    display: { power: 2, apl: 0.4 },
+    totalPower: power,
+    drawCalls: 3,
+    triangles: 1200,
+    memory: { used: 1024, source: 'scene', breakdown: null },
+    carbon: { gramsPerWh: 0.4, region },
+    energy: energyWh === undefined ? undefined : { wh: energyWh, gCO2e: energyWh * 0.4, elapsedMs: 1000 }
+  };
+}
+
+const sample = (t, options) => ({ t, type: 'sample', stats: stats(options) });
+
+test('sampleValues flattens metrics and labels', () => {
+  const values = sampleValues(stats({ energyWh: 1 }));
+  expect(values.totalPowerW).toBe(10);
+  expect(values.sessionEnergyWh).toBe(1);
+  expect(values.gpuTimeMs).toBeNull();
+  expect(values.gridRegion).toBe('DE');
+  expect(values.gpuMemorySource).toBe('scene');
+});
+
+test('buildRows charges the monitor session deltas and treats a drop as a reset', () => {
+  const { rows, totals, session } = buildRows([
+    { t: 0, type: 'setting', key: 'mode', value: 'baseline' },
+    sample(0, { energyWh: 1 }),
+    sample(1000, { energyWh: 1.5 }),
+    { t: 1500, type: 'setting', key: 'mode', value: 'optimized' },
+    sample(2000, { energyWh: 0.25 })
+  ], { startedAt: STARTED_AT });
+  expect(rows.map((r) => r.derived.intervalWh)).toEqual([0, 0.5, 0.25]);
+  expect(totals.wh).toBeCloseTo(0.75, 10);
+  // Deltas go to the settings of the row they started at
+  expect(totals.byMode.baseline.wh).toBeCloseTo(0.75, 10);
+  expect(session.wh).toBe(0.25);
+  expect(rows[2].settings.mode).toBe('optimized');
+});
+
+test('buildRows integrates power when samples have no session totals', () => {
+  const { totals } = buildRows([sample(0, { power: 36 }), sample(3600 * 1000, { power: 36 })]);
+  expect(totals.wh).toBeCloseTo(36, 10);
+});
+
+test('csvCell quotes commas, quotes and newlines', () => {
+  expect(csvCell(null)).toBe('');
+  expect(csvCell(undefined)).toBe('');
+  expect(csvCell(1.5)).toBe('1.5');
+  expect(csvCell('plain')).toBe('plain');
+  expect(csvCell('a,b')).toBe('"a,b"');
+  expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(csvCell('two\nlines')).toBe('"two\nlines"');
+});
+
+test('toWideCSV writes settings, metrics, labels and derived columns', () => {
+  const table = buildRows([
+    { t: 0, type: 'setting', key: 'theme', value: 'dark, high contrast' },
+    sample(0, { region: 'US-"CA"' })
+  ], { startedAt: STARTED_AT });
+  const [header, line] = toWideCSV(table).split('\n');
+  const columns = header.split(',');
+  expect(columns.slice(0, 3)).toEqual(['timestamp', 't_ms', 'theme']);
+  EXPORT_METRICS.forEach((m) => expect(columns).toContain(m.key));
+  EXPORT_LABELS.forEach((l) => expect(columns).toContain(l.key));
+  expect(columns.slice(-4)).toEqual(['intervalWh', 'energyWh', 'co2eGrams', 'co2eRateGramsPerHour']);
+  expect(line.startsWith('2024-01-01T00:00:00.000Z,0,"dark, high contrast",')).toBe(true);
+  expect(line).toContain(',"US-""CA""",scene,');
+});
+
+test('toOpenMetrics writes prefixed families, labels and the EOF terminator', () => {
+  const table = buildRows([
+    { t: 0, type: 'setting', key: 'mode', value: 'optimized' },
+    { t: 0, type: 'setting', key: 'theme', value: 'dark' },
+    sample(1500, { region: 'a"b' })
+  ], { startedAt: STARTED_AT });
+  const text = toOpenMetrics(table);
+  const lines = text.trimEnd().split('\n');
+  expect(text.endsWith('# EOF\n')).toBe(true);
+  expect(lines.filter((l) => l === '# EOF')).toHaveLength(1);
+  expect(lines).toContain('# TYPE sustainable_ux_total_power_watts gauge');
+  expect(lines).toContain('sustainable_ux_total_power_watts{mode="optimized",theme="dark"} 10 1704067201.500');
+  // Milliseconds go out in seconds
+  expect(lines).toContain('sustainable_ux_frame_time_seconds{mode="optimized",theme="dark"} 0.0167 1704067201.500');
+  expect(lines).toContain('# TYPE sustainable_ux_energy_watt_hours counter');
+  expect(lines.some((l) => l.startsWith('sustainable_ux_energy_watt_hours_total{'))).toBe(true);
+  expect(lines).toContain('sustainable_ux_grid_region_info{grid_region="a\\"b"} 1 1704067201.500');
+  // Metrics without a value are left out
+  expect(lines.some((l) => l.startsWith('sustainable_ux_gpu_time_seconds{'))).toBe(false);
+  lines.filter((l) => !l.startsWith('#')).forEach((l) => expect(l).toMatch(/^sustainable_ux_[a-z0-9_]+(\{.*\})? \S+ \d+\.\d{3}$/));
+});
+
+test('exportTimeSeries names the file after the range start', () => {
+  const result = exportTimeSeries('json', [sample(0), sample(1000)], { startedAt: STARTED_AT, fromMs: 1000 });
+  expect(result.rowCount).toBe(1);
+  expect(result.filename).toBe('sustainability-metrics-2024-01-01T00-00-01-000Z.json');
+  expect(JSON.parse(result.content).range).toEqual({ fromMs: 1000, toMs: null });
+  expect(() => exportTimeSeries('xml', [], { startedAt: STARTED_AT })).toThrow('Unknown export format');
+});
@@ -0,0 +1,47 @@
+import { sampleValues } from './MetricsExport';
+
+// In-memory history of the live session for export: flat metric values
+// sampled every intervalMs (oldest dropped past maxSamples) plus every
+// settings change, in the same event shape as SessionRecorder.
+export class MetricsHistory {
+  constructor({ maxSamples = 7200 } = {}) {
+    this.maxSamples = maxSamples;
+    this.startedAt = Date.now();
+    this.samples = [];
+    this.settingEvents = [];
+    this.settings = {};
+    this.unsubscribe = null;
+  }
+
+  attach(monitor, { intervalMs = 1000 } = {}) {
+    this.detach();
+    this.unsubscribe = monitor.subscribe(({ stats }) => {
+      this.samples.push({ t: Date.now() - this.startedAt, type: 'sample', values: sampleValues(stats) });
+      if (this.samples.length > this.maxSamples) this.samples.shift();
+    }, { intervalMs, types: ['sample'] });
+    return () => this.detach();
+  }
+
+  detach() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  // Record only the keys whose value changed
+  recordSettings(settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (this.settings[key] === value) return;
+      this.settings[key] = value;
+      this.settingEvents.push({ t: Date.now() - this.startedAt, type: 'setting', key, value });
+    });
+  }
+
+  getDurationMs() {
+    return Date.now() - this.startedAt;
+  }
+
+  // Settings and samples merged in time order
+  getEvents() {
+    return [...this.settingEvents, ...this.samples].sort((a, b) => a.t - b.t);
+  }
+}
@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module';
+import { estimateSceneMemory } from './GPUMemoryEstimator';
+
+// GLTF/GLB loading (Draco and meshopt compressed geometry included) and the
+// per-model energy profile: what the model costs to draw (triangles, draw
+// calls, GPU memory) and the average power measured while it is on screen.
+// Decoder files (copied from three/examples/jsm/libs/draco/gltf/) are
+// fetched on first use
+export const DEFAULT_DRACO_DECODER_PATH = `${process.env.PUBLIC_URL || ''}/draco/`;
+// Loaded models are scaled so their largest side is this long
+export const MODEL_FIT_SIZE = 1.6;
+export const PROFILE_WARMUP_MS = 500;
+export const PROFILE_DURATION_MS = 3000;
+
+export function createGLTFLoader({ dracoDecoderPath = DEFAULT_DRACO_DECODER_PATH } = {}) {
+  const draco = new DRACOLoader();
+  draco.setDecoderPath(dracoDecoderPath);
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(draco);
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  return loader;
+}
+
+// source: URL, or the contents of a .glb/.gltf file (ArrayBuffer). A .gltf
+// with external buffers or images only loads from a URL. onProgress(0..1)
+// is called while a URL downloads (when the size is known).
+export function loadGLTF(loader, source, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    if (typeof source === 'string') {
+      loader.load(source, resolve, (e) => {
+        if (e.lengthComputable && e.total > 0) onProgress(e.loaded / e.total);
+      }, reject);
+    } else {
+      onProgress(1);
+      loader.parse(source, '', resolve, reject);
+    }
+  });
+}
+
+// Centers the object on the origin and scales it to MODEL_FIT_SIZE
+export function fitToSize(object, size = MODEL_FIT_SIZE) {
+  const box = new THREE.Box3().setFromObject(object);
+  if (box.isEmpty()) return;
+  const extent = box.getSize(new THREE.Vector3());
+  const scale = size / Math.max(extent.x, extent.y, extent.z, 1e-6);
+  const center = box.getCenter(new THREE.Vector3());
+  object.scale.multiplyScalar(scale);
+  object.position.sub(center.multiplyScalar(scale));
+}
+
+// What drawing the object costs per frame, independent of the renderer.
+// LODs count at full detail; memory includes every level.
+export function modelStats(object) {
+  let meshes = 0;
+  let triangles = 0;
+  let drawCalls = 0;
+  object.traverse((obj) => {
+    if (!obj.isMesh || !obj.geometry) return;
+    if (obj.parent && obj.parent.isLOD && obj.parent.levels[0].object !== obj) return;
+    const { index, attributes, groups } = obj.geometry;
+    const vertices = index ? index.count : attributes.position ? attributes.position.count : 0;
+    const instances = obj.isInstancedMesh ? obj.count : 1;
+    meshes++;
+    triangles += Math.floor(vertices / 3) * instances;
+    // One call per material group; instancing draws all copies at once
+    drawCalls += Array.isArray(obj.material) && groups.length ? groups.length : 1;
+  });
+  const memory = estimateSceneMemory(object);
+  return {
+    meshes,
+    triangles,
+    drawCalls,
+    memoryBytes: memory.byType.geometries + memory.byType.textures,
+    geometryBytes: memory.byType.geometries,
+    textureBytes: memory.byType.textures,
+    textures: memory.counts.textures
+  };
+}
+
+// Frees the GPU resources of a removed model
+export function disposeObject(object) {
+  object.traverse((obj) => {
+    if (obj.geometry) obj.geometry.dispose();
+    const materials = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+    materials.forEach((m) => {
+      Object.values(m).forEach((value) => {
+        if (value && value.isTexture) value.dispose();
+      });
+      m.dispose();
+    });
+  });
+}
+
+// Average power, FPS and renderer counters over PROFILE_DURATION_MS after a
+// warm-up. The scene must keep drawing meanwhile (see LocalModelScene's
+// profiling flag). Resolves null when cancelled.
+export function profileModelEnergy(gpuMonitor, { warmupMs = PROFILE_WARMUP_MS, durationMs = PROFILE_DURATION_MS } = {}) {
+  let cancel = () => {};
+  const promise = new Promise((resolve) => {
+    const samples = [];
+    let startedAt = null;
+    const unsubscribe = gpuMonitor.subscribe(({ time, stats }) => {
+      if (startedAt === null) startedAt = time;
+      if (time - startedAt < warmupMs) return;
+      samples.push(stats);
+      if (time - startedAt < warmupMs + durationMs) return;
+      unsubscribe();
+      const mean = (pick) => samples.reduce((sum, s) => sum + (pick(s) || 0), 0) / samples.length;
+      resolve({
+        avgPowerW: mean((s) => s.totalPower),
+        avgGpuPowerW: mean((s) => s.gpu.power),
+        avgFps: mean((s) => s.fps),
+        renderedTriangles: Math.round(mean((s) => s.triangles)),
+        renderedDrawCalls: Math.round(mean((s) => s.drawCalls)),
+        durationMs,
+        samples: samples.length
+      });
+    }, { intervalMs: 100, types: ['sample'] });
+    cancel = () => {
+      unsubscribe();
+      resolve(null);
+    };
+  });
+  return { promise, cancel: () => cancel() };
+}
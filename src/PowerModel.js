@@ -0,0 +1,95 @@
+import { themeRegistry } from './ThemeRegistry';
+
+// Power estimation shared by GPUMonitor (live readings) and GPUDashboard
+// (what-if estimates for the current settings).
+//
+// A profile describes one class of device:
+//   idleWatts    - drawn whenever the GPU is awake
+//   dynamicWatts - extra power at 100% utilization
+//   displayWatts - panel power on the light theme, scaled by the theme factor
+//                  (fallback until the content-aware display sampler has data)
+//   display      - typical panel for the content-aware display sampler
+//   cpuCoreWatts - one CPU core kept fully busy (main-thread cost of the
+//                  render loop and sampling)
+export const POWER_PROFILES = {
+  'desktop-dgpu': {
+    id: 'desktop-dgpu', label: 'Desktop dGPU', idleWatts: 4, dynamicWatts: 70, displayWatts: 10, cpuCoreWatts: 12,
+    display: { panel: 'lcd', diagonalInches: 27, nits: 250 }
+  },
+  'laptop-igpu': {
+    id: 'laptop-igpu', label: 'Laptop iGPU', idleWatts: 1.5, dynamicWatts: 15, displayWatts: 4, cpuCoreWatts: 5,
+    display: { panel: 'lcd', diagonalInches: 14, nits: 300 }
+  },
+  'mobile-soc': {
+    id: 'mobile-soc', label: 'Mobile SoC', idleWatts: 0.4, dynamicWatts: 3.5, displayWatts: 1.2, cpuCoreWatts: 1.5,
+    display: { panel: 'oled', diagonalInches: 6.1, nits: 500 }
+  }
+};
+
+export const DEFAULT_POWER_PROFILE = 'desktop-dgpu';
+
+export class PowerModel {
+  constructor(profile = DEFAULT_POWER_PROFILE) {
+    const resolved = typeof profile === 'string' ? POWER_PROFILES[profile] : profile;
+    if (!resolved) {
+      throw new Error(`Unknown power profile: ${profile}`);
+    }
+    this.profile = {
+      id: resolved.id || 'custom',
+      label: resolved.label || 'Custom',
+      idleWatts: resolved.idleWatts || 0,
+      dynamicWatts: resolved.dynamicWatts || 0,
+      displayWatts: resolved.displayWatts || 0,
+      cpuCoreWatts: resolved.cpuCoreWatts || 0,
+      display: resolved.display || {}
+    };
+  }
+
+  // Accepts a PowerModel (subclasses may override estimate()), a profile id
+  // or a plain profile object.
+  static from(spec) {
+    if (spec instanceof PowerModel) return spec;
+    return new PowerModel(spec || DEFAULT_POWER_PROFILE);
+  }
+
+  // Display power relative to the light theme, from the theme registry
+  themeFactor(theme) {
+    return themeRegistry.get(theme).energy.displayFactor;
+  }
+
+  // utilization: 0..100
+  estimate({ utilization = 0, theme = 'light' } = {}) {
+    const load = Math.max(0, Math.min(100, utilization)) / 100;
+    const gpuWatts = this.profile.idleWatts + this.profile.dynamicWatts * load;
+    const displayWatts = this.profile.displayWatts * this.themeFactor(theme);
+    return {
+      gpuWatts,
+      displayWatts,
+      totalWatts: gpuWatts + displayWatts
+    };
+  }
+
+  // busyPct: share of one core a thread kept busy (0..100)
+  cpuWatts(busyPct) {
+    return this.profile.cpuCoreWatts * Math.max(0, Math.min(100, busyPct)) / 100;
+  }
+
+  // Rough estimate from scene settings alone (no measurement): resolution and
+  // FPS cap stand in for GPU load.
+  estimateFromSettings(settings) {
+    const pixelRatioClamp = Math.min(3, Math.max(0.5, settings?.pixelRatioClamp || 1.5));
+    const viewportScale = Math.min(1, Math.max(0.3, settings?.viewportScale || 1));
+    const resolutionFactor = (pixelRatioClamp / 3) * viewportScale;
+    const fpsFactor = Math.min(1, (settings?.targetFps || 30) / 60);
+    const utilization = (0.6 * resolutionFactor + 0.4 * fpsFactor) * 100;
+    const theme = settings?.theme || 'light';
+    const { totalWatts } = this.estimate({ utilization, theme });
+    return {
+      watts: totalWatts,
+      utilization,
+      themeFactor: this.themeFactor(theme),
+      resolutionFactor,
+      fpsFactor
+    };
+  }
+}
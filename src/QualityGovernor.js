@@ -0,0 +1,210 @@
+// Closed-loop quality governor: reads monitor samples and walks a ladder of
+// render settings (target FPS, pixel ratio clamp, viewport scale) to hold a
+// goal. Goals:
+//   { type: 'power', watts }               stay under a watt budget
+//   { type: 'minFps', fps }                best quality that keeps N FPS
+//   { type: 'lowestPowerAboveFps', fps }   cheapest settings that keep N FPS
+//
+// Hysteresis: decisions use the mean of a full window of samples, the
+// window restarts after every change (settle time), stepping back to a
+// richer level needs `marginPct` of headroom, and a level that had to be
+// left because it broke the goal is blocked for a backoff that doubles each
+// time it happens again.
+export const GOVERNOR_GOALS = {
+  power: { label: 'Watt budget', unit: 'W', field: 'watts', defaultValue: 40 },
+  minFps: { label: 'Minimum FPS', unit: 'fps', field: 'fps', defaultValue: 30 },
+  lowestPowerAboveFps: { label: 'Lowest power above N FPS', unit: 'fps', field: 'fps', defaultValue: 24 }
+};
+
+// Richest first; every step is cheaper than the one before
+export const QUALITY_LADDER = [
+  { targetFps: 60, pixelRatioClamp: 2, viewportScale: 1 },
+  { targetFps: 60, pixelRatioClamp: 1.5, viewportScale: 1 },
+  { targetFps: 45, pixelRatioClamp: 1.5, viewportScale: 1 },
+  { targetFps: 45, pixelRatioClamp: 1.25, viewportScale: 0.9 },
+  { targetFps: 30, pixelRatioClamp: 1.25, viewportScale: 0.9 },
+  { targetFps: 30, pixelRatioClamp: 1, viewportScale: 0.8 },
+  { targetFps: 30, pixelRatioClamp: 1, viewportScale: 0.65 },
+  { targetFps: 24, pixelRatioClamp: 1, viewportScale: 0.6 },
+  { targetFps: 20, pixelRatioClamp: 0.75, viewportScale: 0.5 },
+  { targetFps: 15, pixelRatioClamp: 0.75, viewportScale: 0.4 }
+];
+
+// FPS readings jitter around the cap, so fps goals allow one frame of slack
+const FPS_TOLERANCE = 1;
+const MAX_BACKOFF_DOUBLINGS = 3;
+
+export function parseGoal(goal) {
+  const spec = goal && GOVERNOR_GOALS[goal.type];
+  if (!spec) throw new Error(`Unknown governor goal "${goal && goal.type}" (expected one of ${Object.keys(GOVERNOR_GOALS).join(', ')})`);
+  const value = Number(goal[spec.field]);
+  if (!isFinite(value) || value <= 0) throw new Error(`Goal "${goal.type}" needs a positive "${spec.field}"`);
+  return { type: goal.type, [spec.field]: value };
+}
+
+// FPS goals never cap below the goal itself
+export function ladderFor(goal) {
+  if (goal.type === 'power') return QUALITY_LADDER;
+  const floor = Math.min(120, Math.ceil(goal.fps));
+  return QUALITY_LADDER
+    .map((level) => ({ ...level, targetFps: Math.max(level.targetFps, floor) }))
+    .filter((level, i, all) => i === 0 || level.targetFps !== all[i - 1].targetFps
+      || level.pixelRatioClamp !== all[i - 1].pixelRatioClamp || level.viewportScale !== all[i - 1].viewportScale);
+}
+
+// Relative cost used to start from the level closest to the current settings
+function levelCost({ targetFps, pixelRatioClamp, viewportScale }) {
+  return targetFps * (pixelRatioClamp * viewportScale) ** 2;
+}
+
+export function closestLevel(ladder, settings) {
+  const cost = levelCost(settings);
+  return ladder.reduce((best, level, i) => (
+    Math.abs(levelCost(level) - cost) < Math.abs(levelCost(ladder[best]) - cost) ? i : best
+  ), 0);
+}
+
+// 'cheaper' | 'richer' | 'hold' for the window means, with the reason
+export function evaluateGoal(goal, { power, fps }, level, marginPct) {
+  const margin = marginPct / 100;
+  if (goal.type === 'power') {
+    if (power > goal.watts) return { direction: 'cheaper', violation: true, reason: `${power.toFixed(1)} W over the ${goal.watts} W budget` };
+    if (power < goal.watts * (1 - margin)) return { direction: 'richer', violation: false, reason: `${power.toFixed(1)} W leaves headroom under ${goal.watts} W` };
+    return { direction: 'hold', reason: 'power within budget' };
+  }
+  if (fps < goal.fps - FPS_TOLERANCE) return { direction: 'cheaper', violation: true, reason: `${fps.toFixed(1)} FPS below ${goal.fps}` };
+  if (goal.type === 'lowestPowerAboveFps') return { direction: 'cheaper', violation: false, reason: `${fps.toFixed(1)} FPS holds ${goal.fps}, trying cheaper` };
+  // minFps: only a level running at its cap shows spare GPU time
+  if (fps >= level.targetFps - FPS_TOLERANCE && fps >= goal.fps * (1 + margin)) {
+    return { direction: 'richer', violation: false, reason: `${fps.toFixed(1)} FPS at the cap, trying richer` };
+  }
+  return { direction: 'hold', reason: 'FPS within goal' };
+}
+
+export class QualityGovernor {
+  // apply(settings) puts { targetFps, pixelRatioClamp, viewportScale } on
+  // the scene; getSettings() returns the scene's current settings
+  constructor({ monitor, apply, getSettings, sampleIntervalMs = 250, windowMs = 3000, settleMs = 1500, marginPct = 10, backoffMs = 20000, maxDecisions = 200, maxTrace = 300 }) {
+    this.monitor = monitor;
+    this.apply = apply;
+    this.getSettings = getSettings;
+    this.sampleIntervalMs = sampleIntervalMs;
+    this.windowMs = windowMs;
+    this.settleMs = settleMs;
+    this.marginPct = marginPct;
+    this.backoffMs = backoffMs;
+    this.maxDecisions = maxDecisions;
+    this.maxTrace = maxTrace;
+    this.goal = null;
+    this.ladder = QUALITY_LADDER;
+    this.level = 0;
+    this.window = [];
+    this.settledAt = 0;
+    // level index -> { until, count }
+    this.blocks = new Map();
+    this.decisions = [];
+    this.trace = [];
+    this.unsubscribe = null;
+    this.listeners = new Set();
+  }
+
+  isEnabled() {
+    return !!this.unsubscribe;
+  }
+
+  enable(goal) {
+    const parsed = parseGoal(goal);
+    this.disable({ silent: true });
+    this.goal = parsed;
+    this.ladder = ladderFor(parsed);
+    this.level = closestLevel(this.ladder, this.getSettings ? this.getSettings() : this.ladder[0]);
+    this.blocks.clear();
+    this.window = [];
+    this.settledAt = 0;
+    this.apply(this.ladder[this.level]);
+    this.log({ action: 'enable', from: null, to: this.level, reason: `goal ${describeGoal(parsed)}` });
+    this.unsubscribe = this.monitor.subscribe(({ stats }) => this.onSample(stats), { intervalMs: this.sampleIntervalMs, types: ['sample'] });
+    this.notify();
+  }
+
+  // Leaves the scene at the last applied level
+  disable({ silent = false } = {}) {
+    if (!this.unsubscribe) return;
+    this.unsubscribe();
+    this.unsubscribe = null;
+    if (!silent) this.log({ action: 'disable', from: this.level, to: null, reason: 'turned off' });
+    this.notify();
+  }
+
+  onSample(stats, now = performance.now()) {
+    // An idle render-on-demand scene draws nothing, so there is nothing to tune
+    if (now < this.settledAt || (stats.context && stats.context.lost) || (stats.rendering && stats.rendering.idle)) return;
+    this.window.push({ now, power: stats.totalPower || 0, fps: stats.fps || 0 });
+    if (now - this.window[0].now < this.windowMs) return;
+    const means = {
+      power: this.window.reduce((sum, s) => sum + s.power, 0) / this.window.length,
+      fps: this.window.reduce((sum, s) => sum + s.fps, 0) / this.window.length
+    };
+    this.window = [];
+    this.trace.push({ at: Date.now(), level: this.level, ...means });
+    if (this.trace.length > this.maxTrace) this.trace.shift();
+    this.step(evaluateGoal(this.goal, means, this.ladder[this.level], this.marginPct), means, now);
+    this.notify();
+  }
+
+  step({ direction, violation, reason }, means, now) {
+    if (direction === 'hold') return;
+    const next = this.level + (direction === 'cheaper' ? 1 : -1);
+    if (next < 0 || next >= this.ladder.length) {
+      // Log reaching an end of the ladder once, not on every window
+      const last = this.decisions[this.decisions.length - 1];
+      if (violation && !(last && last.action === 'limit' && last.to === this.level)) {
+        this.log({ action: 'limit', from: this.level, to: this.level, reason: `${reason}; already at the cheapest level`, ...means });
+      }
+      return;
+    }
+    const block = this.blocks.get(next);
+    if (direction === 'richer' && block && block.until > now) return;
+    if (violation) {
+      const previous = this.blocks.get(this.level);
+      const count = previous ? Math.min(previous.count + 1, MAX_BACKOFF_DOUBLINGS) : 0;
+      this.blocks.set(this.level, { until: now + this.backoffMs * 2 ** count, count });
+    }
+    const from = this.level;
+    this.level = next;
+    this.settledAt = now + this.settleMs;
+    this.apply(this.ladder[next]);
+    this.log({ action: direction, from, to: next, reason, ...means });
+  }
+
+  log({ action, from, to, reason, power = null, fps = null }) {
+    this.decisions.push({ at: Date.now(), action, from, to, reason, power, fps, settings: to === null ? null : { ...this.ladder[to] } });
+    if (this.decisions.length > this.maxDecisions) this.decisions.shift();
+  }
+
+  getState(now = performance.now()) {
+    return {
+      enabled: this.isEnabled(),
+      goal: this.goal,
+      level: this.level,
+      ladder: this.ladder,
+      blocked: [...this.blocks.entries()].filter(([, b]) => b.until > now).map(([level, b]) => ({ level, remainingMs: b.until - now })),
+      decisions: this.decisions,
+      trace: this.trace
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+export function describeGoal(goal) {
+  if (goal.type === 'power') return `≤ ${goal.watts} W`;
+  return goal.type === 'minFps' ? `≥ ${goal.fps} FPS` : `lowest power ≥ ${goal.fps} FPS`;
+}
@@ -0,0 +1,153 @@
+import { buildRows, EXPORT_METRICS, EXPORT_LABELS, EXPORT_SCHEMA, EXPORT_SCHEMA_VERSION } from './MetricsExport';
+
+// Comparison of two runs (recorded sessions or exported files): resampled
+// curves for overlaying and per-metric averages with regression flags.
+// Run A is the reference, run B the candidate.
+export const COMPARISON_METRICS = [
+  { key: 'totalPowerW', label: 'Power', unit: ' W', higherIsBetter: false },
+  { key: 'fps', label: 'FPS', unit: '', higherIsBetter: true },
+  { key: 'gpuUtilizationPct', label: 'GPU Utilization', unit: '%', higherIsBetter: false },
+  { key: 'co2eRateGramsPerHour', label: 'CO₂ Rate', unit: ' g/h', higherIsBetter: false },
+  { key: 'frameTimeP95Ms', label: 'p95 Frame Time', unit: ' ms', higherIsBetter: false },
+  { key: 'mainThreadPowerW', label: 'Main Thread Power', unit: ' W', higherIsBetter: false }
+];
+export const DEFAULT_TOLERANCE_PCT = 5;
+const CURVE_POINTS = 120;
+
+function valueOf(row, key) {
+  return key in row.derived ? row.derived[key] : row.metrics[key];
+}
+
+// Bucket means over the run's own duration, so runs of different length
+// line up by progress
+function resample(rows, key, points = CURVE_POINTS) {
+  if (!rows.length) return [];
+  const first = rows[0].t;
+  const span = Math.max(1, rows[rows.length - 1].t - first);
+  const sums = new Array(points).fill(0);
+  const counts = new Array(points).fill(0);
+  rows.forEach((row) => {
+    const value = valueOf(row, key);
+    if (typeof value !== 'number') return;
+    const i = Math.min(points - 1, Math.floor(((row.t - first) / span) * points));
+    sums[i] += value;
+    counts[i]++;
+  });
+  // Carry the previous value through empty buckets
+  let last = 0;
+  return sums.map((sum, i) => {
+    if (counts[i]) last = sum / counts[i];
+    return last;
+  });
+}
+
+function mean(rows, key) {
+  const values = rows.map((row) => valueOf(row, key)).filter((v) => typeof v === 'number');
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+export function runFromEvents(name, events, startedAt) {
+  const { rows, totals } = buildRows(events, { startedAt });
+  const curves = {};
+  const averages = {};
+  COMPARISON_METRICS.forEach(({ key }) => {
+    curves[key] = resample(rows, key);
+    averages[key] = mean(rows, key);
+  });
+  return {
+    name,
+    startedAt,
+    durationMs: rows.length ? rows[rows.length - 1].t - rows[0].t : 0,
+    sampleCount: rows.length,
+    energyWh: totals.wh,
+    co2eGrams: totals.gCO2e,
+    curves,
+    averages
+  };
+}
+
+function parseCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+function eventsFromCSV(text) {
+  const [headerLine, ...lines] = text.split(/\r?\n/).filter((l) => l.trim());
+  const header = parseCSVLine(headerLine || '');
+  const tIndex = header.indexOf('t_ms');
+  const tsIndex = header.indexOf('timestamp');
+  if (tIndex < 0 || tsIndex < 0) throw new Error('CSV is not a time-series export (missing timestamp/t_ms columns)');
+  const metricIndex = EXPORT_METRICS.map((m) => [m.key, header.indexOf(m.key)]).filter(([, i]) => i >= 0);
+  const labelIndex = EXPORT_LABELS.map((l) => [l.key, header.indexOf(l.key)]).filter(([, i]) => i >= 0);
+  let startedAt = null;
+  const events = lines.map((line) => {
+    const cells = parseCSVLine(line);
+    const t = parseFloat(cells[tIndex]);
+    if (startedAt === null) startedAt = Date.parse(cells[tsIndex]) - t;
+    const values = {};
+    metricIndex.forEach(([key, i]) => {
+      values[key] = cells[i] === '' ? null : parseFloat(cells[i]);
+    });
+    labelIndex.forEach(([key, i]) => {
+      values[key] = cells[i] === '' ? null : cells[i];
+    });
+    return { t, type: 'sample', values };
+  });
+  return { events, startedAt: startedAt ?? 0 };
+}
+
+function eventsFromJSON(data) {
+  if (data.schema !== EXPORT_SCHEMA) throw new Error('JSON is not a sustainable-ux time-series export');
+  if (data.version > EXPORT_SCHEMA_VERSION) throw new Error(`Unsupported export version ${data.version}`);
+  const startedAt = Date.parse(data.source && data.source.startedAt) || 0;
+  const events = (data.rows || []).map((row) => ({ t: row.t, type: 'sample', values: row.metrics }));
+  return { events, startedAt };
+}
+
+// Run from the text of a JSON or wide CSV export
+export function runFromExport(text, name) {
+  const trimmed = text.trim();
+  const { events, startedAt } = trimmed.startsWith('{') ? eventsFromJSON(JSON.parse(trimmed)) : eventsFromCSV(trimmed);
+  if (!events.length) throw new Error('Export contains no samples');
+  return runFromEvents(name, events, startedAt);
+}
+
+// Per-metric averages of B against A; a metric regresses when B is worse
+// than A by more than tolerancePct. From an A of 0 there is no percentage
+// (deltaPct is null) and any change for the worse is a regression.
+export function compareRuns(a, b, { tolerancePct = DEFAULT_TOLERANCE_PCT } = {}) {
+  return COMPARISON_METRICS.map((metric) => {
+    const valueA = a.averages[metric.key];
+    const valueB = b.averages[metric.key];
+    if (valueA === null || valueB === null) return { ...metric, a: valueA, b: valueB, delta: null, deltaPct: null, regressed: false };
+    const delta = valueB - valueA;
+    const worse = metric.higherIsBetter ? -delta : delta;
+    if (valueA === 0) return { ...metric, a: valueA, b: valueB, delta, deltaPct: null, regressed: worse > 0 };
+    const deltaPct = (delta / Math.abs(valueA)) * 100;
+    const worsePct = metric.higherIsBetter ? -deltaPct : deltaPct;
+    return { ...metric, a: valueA, b: valueB, delta, deltaPct, regressed: worsePct > tolerancePct };
+  });
+}
@@ -0,0 +1,93 @@
+import { compareRuns, runFromExport, COMPARISON_METRICS, DEFAULT_TOLERANCE_PCT } from './RunComparison';
+import { exportTimeSeries } from './MetricsExport';
+
+const STARTED_AT = Date.UTC(2024, 0, 1);
+
+function run(averages) {
+  const all = {};
+  COMPARISON_METRICS.forEach(({ key }) => {
+    all[key] = null;
+  });
+  return { averages: { ...all, ...averages } };
+}
+
+const byKey = (comparison) => Object.fromEntries(comparison.map((m) => [m.key, m]));
+
+test('a change within the tolerance is not a regression', () => {
+  const result = byKey(compareRuns(run({ totalPowerW: 10, fps: 60 }), run({ totalPowerW: 10.4, fps: 57.5 })));
+  expect(DEFAULT_TOLERANCE_PCT).toBe(5);
+  expect(result.totalPowerW.deltaPct).toBeCloseTo(4, 10);
+  expect(result.totalPowerW.regressed).toBe(false);
+  expect(result.fps.regressed).toBe(false);
+});
+
+test('worse by more than the tolerance regresses, in the metric\'s direction', () => {
+  const result = byKey(compareRuns(run({ totalPowerW: 10, fps: 60 }), run({ totalPowerW: 11, fps: 50 })));
+  expect(result.totalPowerW.delta).toBeCloseTo(1, 10);
+  expect(result.totalPowerW.regressed).toBe(true);
+  expect(result.fps.deltaPct).toBeCloseTo(-16.667, 3);
+  expect(result.fps.regressed).toBe(true);
+  // Less power and more FPS are improvements however large
+  const better = byKey(compareRuns(run({ totalPowerW: 10, fps: 30 }), run({ totalPowerW: 5, fps: 60 })));
+  expect(better.totalPowerW.regressed).toBe(false);
+  expect(better.fps.regressed).toBe(false);
+  // A custom tolerance
+  const strict = byKey(compareRuns(run({ totalPowerW: 10 }), run({ totalPowerW: 10.4 }), { tolerancePct: 2 }));
+  expect(strict.totalPowerW.regressed).toBe(true);
+});
+
+test('from a zero baseline there is no percentage and any worsening regresses', () => {
+  const result = byKey(compareRuns(
+    run({ mainThreadPowerW: 0, fps: 0, gpuUtilizationPct: 0 }),
+    run({ mainThreadPowerW: 0.01, fps: 30, gpuUtilizationPct: 0 })
+  ));
+  expect(result.mainThreadPowerW.deltaPct).toBeNull();
+  expect(result.mainThreadPowerW.delta).toBeCloseTo(0.01, 10);
+  expect(result.mainThreadPowerW.regressed).toBe(true);
+  expect(result.fps.deltaPct).toBeNull();
+  expect(result.fps.regressed).toBe(false);
+  expect(result.gpuUtilizationPct.regressed).toBe(false);
+});
+
+test('metrics missing from either run are not compared', () => {
+  const result = byKey(compareRuns(run({ totalPowerW: 10 }), run({})));
+  expect(result.totalPowerW.delta).toBeNull();
+  expect(result.totalPowerW.regressed).toBe(false);
+});
+
+// Samples in the MetricsHistory shape: flat values per sample
+function events() {
+  return [0, 1000, 2000, 3000].map((t, i) => ({
+    t,
+    type: 'sample',
+    values: {
+      fps: 60 - i,
+      totalPowerW: 10 + i,
+      gridGramsPerWh: 0.4,
+      gridRegion: 'DE',
+      sessionEnergyWh: i * 0.003,
+      sessionCO2eGrams: i * 0.0012,
+      sessionDurationMs: t
+    }
+  }));
+}
+
+test.each(['json', 'csv'])('runFromExport reads back a %s export', (format) => {
+  const { content } = exportTimeSeries(format, events(), { startedAt: STARTED_AT, source: { name: 'test' } });
+  const result = runFromExport(content, 'A');
+  expect(result.name).toBe('A');
+  expect(result.startedAt).toBe(STARTED_AT);
+  expect(result.sampleCount).toBe(4);
+  expect(result.durationMs).toBe(3000);
+  expect(result.averages.fps).toBeCloseTo(58.5, 10);
+  expect(result.averages.totalPowerW).toBeCloseTo(11.5, 10);
+  expect(result.energyWh).toBeCloseTo(0.009, 10);
+  expect(result.co2eGrams).toBeCloseTo(0.0036, 10);
+  expect(result.curves.fps).toHaveLength(120);
+});
+
+test('runFromExport rejects files that are not exports', () => {
+  expect(() => runFromExport('{"schema":"other"}', 'x')).toThrow('not a sustainable-ux');
+  expect(() => runFromExport('a,b\n1,2', 'x')).toThrow('missing timestamp');
+  expect(() => runFromExport('timestamp,t_ms', 'x')).toThrow('no samples');
+});
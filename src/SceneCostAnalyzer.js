@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { estimateSceneMemory } from './GPUMemoryEstimator';
+
+// Attributes the frame's rendering cost to objects: draw calls, triangles,
+// shader complexity, texture memory and screen coverage per visible mesh,
+// rolled up by object, by model (top-level ancestor) or by batch (meshes
+// sharing geometry and material, i.e. instancing candidates). The relative
+// cost is a heuristic (vertex work + shaded pixels + per-call overhead) and
+// splits the GPU's dynamic power into per-entry estimates.
+export const COST_GROUPINGS = {
+  object: 'Object',
+  model: 'Model',
+  batch: 'Batch (geometry + material)'
+};
+
+// Relative fragment shader cost per material type
+export const MATERIAL_COMPLEXITY = {
+  MeshBasicMaterial: 1,
+  MeshNormalMaterial: 1,
+  MeshMatcapMaterial: 1.5,
+  MeshLambertMaterial: 2,
+  MeshToonMaterial: 2.5,
+  MeshPhongMaterial: 3,
+  MeshStandardMaterial: 5,
+  MeshPhysicalMaterial: 7,
+  ShaderMaterial: 4,
+  RawShaderMaterial: 4,
+  LineBasicMaterial: 1,
+  LineDashedMaterial: 1,
+  PointsMaterial: 1,
+  SpriteMaterial: 1
+};
+
+// Cost units: one transformed vertex = 1
+const FRAGMENT_WEIGHT = 0.25;   // per covered pixel and complexity point
+const DRAW_CALL_WEIGHT = 10000; // driver and state-change overhead per call
+const TEXTURE_COMPLEXITY = 0.5; // per sampled map
+const TRANSPARENT_FACTOR = 1.3; // blending and overdraw
+const MAX_HIGHLIGHT_UUIDS = 200;
+
+const _frustum = new THREE.Frustum();
+const _matrix = new THREE.Matrix4();
+const _sphere = new THREE.Sphere();
+const _cameraPosition = new THREE.Vector3();
+
+export function materialComplexity(material) {
+  let maps = 0;
+  Object.values(material).forEach((value) => {
+    if (value && value.isTexture) maps++;
+  });
+  const base = MATERIAL_COMPLEXITY[material.type] ?? 3;
+  return (base + maps * TEXTURE_COMPLEXITY) * (material.transparent ? TRANSPARENT_FACTOR : 1);
+}
+
+function worldSphere(obj) {
+  if (obj.isInstancedMesh) {
+    if (!obj.boundingSphere) obj.computeBoundingSphere();
+    _sphere.copy(obj.boundingSphere);
+  } else {
+    if (!obj.geometry.boundingSphere) obj.geometry.computeBoundingSphere();
+    _sphere.copy(obj.geometry.boundingSphere);
+  }
+  return _sphere.applyMatrix4(obj.matrixWorld);
+}
+
+// Share of the viewport a bounding sphere covers (0..1)
+function screenCoverage(sphere, camera) {
+  if (camera.isOrthographicCamera) {
+    const viewHeight = (camera.top - camera.bottom) / camera.zoom;
+    const viewWidth = (camera.right - camera.left) / camera.zoom;
+    return Math.min(1, (Math.PI * sphere.radius * sphere.radius) / (viewWidth * viewHeight));
+  }
+  const distance = sphere.center.distanceTo(_cameraPosition);
+  if (distance <= sphere.radius) return 1;
+  const radiusFraction = Math.tan(Math.asin(sphere.radius / distance)) / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  // Fraction of the viewport height; area relative to a height x width screen
+  return Math.min(1, (Math.PI * radiusFraction * radiusFraction) / (4 * camera.aspect));
+}
+
+function topLevel(obj, scene) {
+  let node = obj;
+  while (node.parent && node.parent !== scene) node = node.parent;
+  return node;
+}
+
+function describe(obj) {
+  const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+  return `${obj.geometry.type.replace('Geometry', '')} / ${materials.map((m) => m.type.replace('Material', '')).join('+')}`;
+}
+
+// viewport: { width, height } in drawing-buffer pixels; dynamicWatts: GPU
+// power above idle to split; limit: entries kept (largest cost first);
+// memory: a recent estimateSceneMemory() result to take texture bytes from
+// instead of walking the scene again
+export function analyzeSceneCost(scene, camera, { viewport, groupBy = 'object', dynamicWatts = 0, limit = 15, memory = estimateSceneMemory(scene) } = {}) {
+  camera.updateMatrixWorld();
+  _frustum.setFromProjectionMatrix(_matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse));
+  _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+  const pixels = viewport.width * viewport.height;
+
+  const textureBytes = new Map();
+  memory.byObject.forEach((o) => textureBytes.set(o.uuid, o.textureBytes));
+
+  const groups = new Map();
+  const totals = { objects: 0, culled: 0, drawCalls: 0, triangles: 0, textureBytes: 0, cost: 0 };
+  scene.traverseVisible((obj) => {
+    if (!(obj.isMesh || obj.isLine || obj.isPoints) || !obj.geometry || !obj.material || obj.userData.costHelper) return;
+    totals.objects++;
+    if (obj.frustumCulled && !_frustum.intersectsSphere(worldSphere(obj))) {
+      totals.culled++;
+      return;
+    }
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    const { index, attributes, groups: geometryGroups } = obj.geometry;
+    const vertices = (index ? index.count : attributes.position ? attributes.position.count : 0) * (obj.isInstancedMesh ? obj.count : 1);
+    const triangles = obj.isMesh ? Math.floor(vertices / 3) : 0;
+    const drawCalls = Array.isArray(obj.material) && geometryGroups.length ? geometryGroups.length : 1;
+    const complexity = materials.reduce((max, m) => Math.max(max, materialComplexity(m)), 0);
+    const coverage = screenCoverage(worldSphere(obj), camera);
+    const cost = vertices + coverage * pixels * complexity * FRAGMENT_WEIGHT + drawCalls * DRAW_CALL_WEIGHT;
+    const bytes = textureBytes.get(obj.uuid) || 0;
+
+    let key = obj.uuid;
+    let label = obj.name || describe(obj);
+    if (groupBy === 'model') {
+      const root = topLevel(obj, scene);
+      key = root.uuid;
+      label = root.name || (root === obj ? describe(obj) : root.type);
+    } else if (groupBy === 'batch') {
+      key = `${obj.geometry.uuid}|${materials.map((m) => m.uuid).join()}`;
+      label = describe(obj);
+    }
+    let entry = groups.get(key);
+    if (!entry) {
+      entry = { id: key, label, objects: 0, uuids: [], drawCalls: 0, triangles: 0, complexity: 0, textureBytes: 0, coverage: 0, cost: 0 };
+      groups.set(key, entry);
+    }
+    entry.objects++;
+    if (entry.uuids.length < MAX_HIGHLIGHT_UUIDS) entry.uuids.push(obj.uuid);
+    entry.drawCalls += drawCalls;
+    entry.triangles += triangles;
+    entry.complexity = Math.max(entry.complexity, complexity);
+    entry.textureBytes += bytes;
+    entry.coverage = Math.min(1, entry.coverage + coverage);
+    entry.cost += cost;
+
+    totals.drawCalls += drawCalls;
+    totals.triangles += triangles;
+    totals.textureBytes += bytes;
+    totals.cost += cost;
+  });
+
+  const entries = [...groups.values()]
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, limit)
+    .map((entry) => {
+      const share = totals.cost > 0 ? entry.cost / totals.cost : 0;
+      return { ...entry, share, watts: share * dynamicWatts };
+    });
+  return { groupBy, groups: groups.size, totals, dynamicWatts, entries };
+}
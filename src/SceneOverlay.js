@@ -0,0 +1,97 @@
+import { themeRegistry } from './ThemeRegistry';
+
+// Minimal overlay for current settings (metrics live in dashboard). Lives on
+// the main thread next to the canvas, also when the scene renders in a worker.
+export function createSceneOverlay(mountNode) {
+  const overlay = document.createElement('div');
+  overlay.style.position = 'absolute';
+  overlay.style.top = '10px';
+  overlay.style.left = '10px';
+  overlay.style.background = 'rgba(255,255,255,0.85)';
+  overlay.style.padding = '8px 10px';
+  overlay.style.borderRadius = '12px';
+  overlay.style.fontFamily = 'Arial, sans-serif';
+  overlay.style.fontSize = '12px';
+  overlay.style.color = '#333';
+  overlay.style.zIndex = '10';
+  overlay.style.boxShadow = '0 10px 20px rgba(0,0,0,0.2)';
+  overlay.style.border = '1px solid rgba(0,0,0,0.1)';
+  mountNode.style.position = 'relative';
+
+  // Collapsible overlay handle
+  let overlayCollapsed = false;
+  const collapseBtn = document.createElement('button');
+  collapseBtn.textContent = '−';
+  collapseBtn.style.background = 'transparent';
+  collapseBtn.style.border = 'none';
+  collapseBtn.style.cursor = 'pointer';
+  collapseBtn.style.fontSize = '14px';
+  collapseBtn.style.marginLeft = '6px';
+  collapseBtn.title = 'Collapse';
+  const collapsedPill = document.createElement('button');
+  collapsedPill.textContent = 'Scene Settings';
+  collapsedPill.style.position = 'absolute';
+  collapsedPill.style.top = '10px';
+  collapsedPill.style.left = '10px';
+  collapsedPill.style.padding = '6px 10px';
+  collapsedPill.style.borderRadius = '999px';
+  collapsedPill.style.border = '1px solid rgba(0,0,0,0.15)';
+  collapsedPill.style.background = 'rgba(255,255,255,0.9)';
+  collapsedPill.style.fontFamily = 'Arial, sans-serif';
+  collapsedPill.style.fontSize = '12px';
+  collapsedPill.style.cursor = 'pointer';
+  collapsedPill.style.boxShadow = '0 8px 16px rgba(0,0,0,0.15)';
+  collapsedPill.style.display = 'none';
+  collapsedPill.style.zIndex = '11';
+  collapsedPill.addEventListener('click', () => {
+    overlayCollapsed = false;
+    overlay.style.display = 'block';
+    collapsedPill.style.display = 'none';
+  });
+  collapseBtn.addEventListener('click', () => {
+    overlayCollapsed = !overlayCollapsed;
+    if (overlayCollapsed) {
+      overlay.style.display = 'none';
+      collapsedPill.style.display = 'inline-block';
+    } else {
+      overlay.style.display = 'block';
+      collapsedPill.style.display = 'none';
+    }
+  });
+
+  const update = ({ pixelRatioClamp, viewportScale }) => {
+    const content = document.createElement('div');
+    content.textContent = `Resolution: PR≤${pixelRatioClamp.toFixed(2)} • Viewport ${(viewportScale*100).toFixed(0)}%`;
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    const title = document.createElement('strong');
+    title.textContent = 'Scene Settings';
+    title.style.fontSize = '12px';
+    row.appendChild(title);
+    row.appendChild(collapseBtn);
+    overlay.innerHTML = '';
+    overlay.appendChild(row);
+    overlay.appendChild(content);
+  };
+
+  // Overlay colors from the theme's chrome
+  const setTheme = (theme) => {
+    const { chrome } = themeRegistry.get(theme);
+    overlay.style.background = chrome.overlayBackground;
+    overlay.style.color = chrome.overlayText;
+    collapsedPill.style.background = chrome.overlayBackground;
+    collapsedPill.style.color = chrome.overlayText;
+  };
+
+  const remove = () => {
+    [overlay, collapsedPill].forEach((node) => {
+      if (node.parentNode) node.parentNode.removeChild(node);
+    });
+  };
+
+  mountNode.appendChild(overlay);
+  mountNode.appendChild(collapsedPill);
+  return { update, setTheme, remove };
+}
@@ -0,0 +1,225 @@
+import { sampleValues } from './MetricsExport';
+
+// Records monitor samples and settings changes as named sessions in
+// IndexedDB so runs survive the dashboard closing and page reloads.
+//
+// Stores: "sessions" (one metadata record per run) and "events"
+// ({ sessionId, t, type: 'sample', values, stats } | { sessionId, t, type: 'setting', key, value }),
+// where t is milliseconds since the session started. values are the flat
+// export metrics (as in MetricsHistory); stats is the snapshot replay shows,
+// without its per-object and per-event lists (see replayStats). Sessions
+// recorded before carry the full snapshot in stats and no values.
+export const SESSION_DB_NAME = 'sustainable-ux-sessions';
+const DB_VERSION = 1;
+const FLUSH_INTERVAL_MS = 2000;
+
+// A getStats() snapshot without what grows with the scene or the session:
+// cost entries (object uuids), memory by object, jank events, context
+// outages and all but the last hidden period
+export function replayStats(stats) {
+  const { memory, frameTiming, context, background } = stats;
+  return {
+    ...stats,
+    costs: null,
+    memory: { ...memory, breakdown: memory.breakdown && { ...memory.breakdown, byObject: [] } },
+    frameTiming: frameTiming && { ...frameTiming, jankEvents: [] },
+    context: context && { ...context, outages: [] },
+    background: background && { ...background, periods: background.periods.slice(-1) }
+  };
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export class SessionRecorder {
+  constructor({ dbName = SESSION_DB_NAME, indexedDB = typeof window !== 'undefined' ? window.indexedDB : undefined } = {}) {
+    this.dbName = dbName;
+    this.idb = indexedDB;
+    this.dbPromise = null;
+    this.active = null;
+    // Latest known settings, kept while idle so a new session starts with them
+    this.settings = {};
+    // Message of the last failed background write (flush, or a stop nobody
+    // awaited), shown by the dashboard
+    this.error = null;
+    this.listeners = new Set();
+  }
+
+  isSupported() {
+    return !!this.idb;
+  }
+
+  open() {
+    if (!this.idb) return Promise.reject(new Error('IndexedDB is not available'));
+    if (!this.dbPromise) {
+      const request = this.idb.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        const events = db.createObjectStore('events', { autoIncrement: true });
+        events.createIndex('sessionId', 'sessionId');
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  // Start recording monitor samples every intervalMs. The latest known
+  // settings (plus `settings`) become the session's initial setting events.
+  async start(monitor, { name, settings = {}, intervalMs = 500 } = {}) {
+    if (this.active) await this.stop();
+    const db = await this.open();
+    const startedAt = Date.now();
+    const meta = {
+      name: name || `Session ${new Date(startedAt).toLocaleString()}`,
+      startedAt,
+      endedAt: null,
+      durationMs: 0,
+      sampleCount: 0,
+      intervalMs
+    };
+    const tx = db.transaction('sessions', 'readwrite');
+    const id = await promisify(tx.objectStore('sessions').add(meta));
+    this.active = { id, meta: { ...meta, id }, buffer: [], unsubscribe: null, flushTimer: null };
+    this.settings = { ...this.settings, ...settings };
+    Object.entries(this.settings).forEach(([key, value]) => this.push({ type: 'setting', key, value }));
+    this.active.unsubscribe = monitor.subscribe(({ stats }) => {
+      this.push({ type: 'sample', values: sampleValues(stats), stats: replayStats(stats) });
+      this.active.meta.sampleCount++;
+    }, { intervalMs, types: ['sample'] });
+    this.active.flushTimer = setInterval(() => this.flush().catch((error) => this.reportError(error)), FLUSH_INTERVAL_MS);
+    this.error = null;
+    this.notify();
+    return id;
+  }
+
+  isRecording() {
+    return !!this.active;
+  }
+
+  getActiveSession() {
+    return this.active ? { ...this.active.meta, durationMs: Date.now() - this.active.meta.startedAt } : null;
+  }
+
+  push(event) {
+    const active = this.active;
+    if (!active) return;
+    active.buffer.push({ sessionId: active.id, t: Date.now() - active.meta.startedAt, ...event });
+  }
+
+  // Record only the keys whose value changed; safe to call while idle
+  recordSettings(settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (this.settings[key] === value) return;
+      this.settings[key] = value;
+      this.push({ type: 'setting', key, value });
+    });
+  }
+
+  async flush(active = this.active) {
+    if (!active) return;
+    const events = active.buffer;
+    active.buffer = [];
+    const db = await this.open();
+    const tx = db.transaction(['events', 'sessions'], 'readwrite');
+    const store = tx.objectStore('events');
+    events.forEach((event) => store.add(event));
+    tx.objectStore('sessions').put({ ...active.meta, durationMs: Date.now() - active.meta.startedAt });
+    await transactionDone(tx);
+  }
+
+  async stop() {
+    const active = this.active;
+    if (!active) return null;
+    active.unsubscribe();
+    clearInterval(active.flushTimer);
+    // Not recording any more, even when the last writes fail
+    this.active = null;
+    try {
+      await this.flush(active);
+      const endedAt = Date.now();
+      const meta = { ...active.meta, endedAt, durationMs: endedAt - active.meta.startedAt };
+      const db = await this.open();
+      const tx = db.transaction('sessions', 'readwrite');
+      tx.objectStore('sessions').put(meta);
+      await transactionDone(tx);
+      return meta;
+    } finally {
+      this.notify();
+    }
+  }
+
+  reportError(error) {
+    this.error = (error && error.message) || String(error);
+    this.notify();
+  }
+
+  // Newest first
+  async listSessions() {
+    const db = await this.open();
+    const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async loadSession(id) {
+    const db = await this.open();
+    const tx = db.transaction(['sessions', 'events']);
+    const [session, events] = await Promise.all([
+      promisify(tx.objectStore('sessions').get(id)),
+      promisify(tx.objectStore('events').index('sessionId').getAll(id))
+    ]);
+    if (!session) throw new Error(`Unknown session: ${id}`);
+    return { session, events: events.sort((a, b) => a.t - b.t) };
+  }
+
+  async deleteSession(id) {
+    const db = await this.open();
+    const tx = db.transaction(['sessions', 'events'], 'readwrite');
+    tx.objectStore('sessions').delete(id);
+    const index = tx.objectStore('events').index('sessionId');
+    const keys = await promisify(index.getAllKeys(id));
+    keys.forEach((key) => tx.objectStore('events').delete(key));
+    await transactionDone(tx);
+    this.notify();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+// State of a recorded session at time t (ms since start): the latest sample,
+// the settings in effect and the samples of the preceding window.
+export function replayFrame(events, t, windowSize = 120) {
+  const settings = {};
+  const samples = [];
+  for (const event of events) {
+    if (event.t > t) break;
+    if (event.type === 'setting') settings[event.key] = event.value;
+    else if (event.type === 'sample') samples.push(event);
+  }
+  const recent = samples.slice(-windowSize);
+  return {
+    t,
+    stats: recent.length ? recent[recent.length - 1].stats : null,
+    settings,
+    window: recent
+  };
+}
@@ -0,0 +1,117 @@
+// Descriptive statistics and Welch's t-test for benchmark comparisons.
+export const SIGNIFICANCE_ALPHA = 0.05;
+
+export function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Sample standard deviation (n - 1)
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const g = 7;
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betaContinuedFraction(x, a, b) {
+  const EPS = 1e-12;
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPS) break;
+  }
+  return h;
+}
+
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+// Two-sided p-value of Student's t with df degrees of freedom
+export function studentTTwoSidedP(t, df) {
+  if (!isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Critical t for a two-sided confidence level (bisection on the CDF)
+export function studentTCritical(df, confidence = 0.95) {
+  const target = 1 - confidence;
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTTwoSidedP(mid, df) > target) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// { n, mean, sd, ci95: [low, high] }
+export function describe(values) {
+  const n = values.length;
+  const m = mean(values);
+  const sd = standardDeviation(values);
+  const half = n >= 2 ? studentTCritical(n - 1) * (sd / Math.sqrt(n)) : 0;
+  return { n, mean: m, sd, ci95: m === null ? null : [m - half, m + half] };
+}
+
+// Welch's unequal-variance t-test of mean(b) - mean(a), with the 95% CI of
+// the difference
+export function welchTTest(a, b, { alpha = SIGNIFICANCE_ALPHA } = {}) {
+  const da = describe(a);
+  const db = describe(b);
+  const diff = db.mean !== null && da.mean !== null ? db.mean - da.mean : null;
+  if (da.n < 2 || db.n < 2) {
+    return { method: 'welch', diff, t: null, df: null, p: null, significant: false, diffCi95: null, reason: 'needs at least 2 values per side' };
+  }
+  const va = (da.sd ** 2) / da.n;
+  const vb = (db.sd ** 2) / db.n;
+  const se = Math.sqrt(va + vb);
+  if (se === 0) {
+    // No spread at all: any difference is exact
+    return { method: 'welch', diff, t: diff === 0 ? 0 : Infinity, df: da.n + db.n - 2, p: diff === 0 ? 1 : 0, significant: diff !== 0, diffCi95: [diff, diff] };
+  }
+  const t = diff / se;
+  const df = (va + vb) ** 2 / ((va ** 2) / (da.n - 1) + (vb ** 2) / (db.n - 1));
+  const p = studentTTwoSidedP(t, df);
+  const half = studentTCritical(df) * se;
+  return { method: 'welch', diff, t, df, p, significant: p < alpha, diffCi95: [diff - half, diff + half] };
+}
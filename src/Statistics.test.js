@@ -0,0 +1,72 @@
+import { describe as summarize, studentTCritical, studentTTwoSidedP, welchTTest } from './Statistics';
+
+// Reference values from Student's t tables (numerically integrated density)
+test('two-sided p-values match the t distribution', () => {
+  expect(studentTTwoSidedP(0, 5)).toBeCloseTo(1, 10);
+  expect(studentTTwoSidedP(1, 1)).toBeCloseTo(0.5, 8);
+  expect(studentTTwoSidedP(-1, 1)).toBeCloseTo(0.5, 8);
+  expect(studentTTwoSidedP(1, 10)).toBeCloseTo(0.340893, 5);
+  expect(studentTTwoSidedP(2, 10)).toBeCloseTo(0.073388, 5);
+  expect(studentTTwoSidedP(2.5, 30)).toBeCloseTo(0.018116, 5);
+  expect(studentTTwoSidedP(1.96, 1000)).toBeCloseTo(0.050273, 5);
+  expect(studentTTwoSidedP(Infinity, 10)).toBe(0);
+});
+
+test('95% critical values match the t tables', () => {
+  expect(studentTCritical(1)).toBeCloseTo(12.7062, 3);
+  expect(studentTCritical(10)).toBeCloseTo(2.2281, 3);
+  expect(studentTCritical(30)).toBeCloseTo(2.0423, 3);
+  expect(studentTCritical(1000)).toBeCloseTo(1.9623, 3);
+  expect(studentTCritical(1e6)).toBeCloseTo(1.96, 2);
+  expect(studentTCritical(10, 0.99)).toBeCloseTo(3.1693, 3);
+});
+
+test('describe() gives the t-based 95% interval', () => {
+  const d = summarize([1, 2, 3, 4, 5]);
+  expect(d.n).toBe(5);
+  expect(d.mean).toBe(3);
+  expect(d.sd).toBeCloseTo(Math.sqrt(2.5), 10);
+  // 2.7764 = t(0.975, 4)
+  expect(d.ci95[1] - d.mean).toBeCloseTo(2.7764 * Math.sqrt(2.5 / 5), 3);
+  expect(summarize([7]).ci95).toEqual([7, 7]);
+  expect(summarize([]).ci95).toBeNull();
+});
+
+test('welchTTest matches a worked example', () => {
+  const result = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+  expect(result.diff).toBe(3);
+  expect(result.t).toBeCloseTo(1.897367, 5);
+  expect(result.df).toBeCloseTo(5.882353, 5);
+  expect(result.p).toBeCloseTo(0.107531, 4);
+  expect(result.significant).toBe(false);
+  expect(result.diffCi95[0]).toBeLessThan(0);
+  expect(result.diffCi95[1]).toBeGreaterThan(3);
+});
+
+test('welchTTest needs two values on each side', () => {
+  const result = welchTTest([1], [2, 3, 4]);
+  expect(result.p).toBeNull();
+  expect(result.significant).toBe(false);
+  expect(result.diff).toBe(2);
+  expect(welchTTest([], []).diff).toBeNull();
+});
+
+test('welchTTest without spread treats any difference as exact', () => {
+  const differ = welchTTest([2, 2, 2], [3, 3, 3]);
+  expect(differ.t).toBe(Infinity);
+  expect(differ.p).toBe(0);
+  expect(differ.significant).toBe(true);
+  expect(differ.diffCi95).toEqual([1, 1]);
+
+  const same = welchTTest([4, 4, 4], [4, 4]);
+  expect(same.p).toBe(1);
+  expect(same.significant).toBe(false);
+});
+
+test('identical samples are not significantly different', () => {
+  const values = [10.2, 9.8, 10.5, 10.1, 9.9];
+  const result = welchTTest(values, [...values]);
+  expect(result.diff).toBeCloseTo(0, 12);
+  expect(result.p).toBeCloseTo(1, 8);
+  expect(result.significant).toBe(false);
+});
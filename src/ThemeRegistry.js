@@ -0,0 +1,132 @@
+// Theme definitions shared by the scene, the power model, the settings
+// overlay, the dashboard and the theme selector. A theme is plain data (it is
+// copied into the render worker), colors are 0xRRGGBB numbers:
+// { label,
+//   scene: { background, ambient: { intensity, color? }, directional: { intensity, color? } },
+//   materials?: { color?, metalness?, roughness? }   patch for every mesh
+//   chrome: { dark, overlayBackground, overlayText }   UI around the canvas
+//   energy: { displayFactor } }                       display power relative to light
+export const DEFAULT_THEME = 'light';
+
+export const BUILT_IN_THEMES = {
+  light: {
+    label: 'Light',
+    scene: { background: 0xffffff, ambient: { intensity: 0.7 }, directional: { intensity: 1.0 } },
+    chrome: { dark: false, overlayBackground: 'rgba(255,255,255,0.85)', overlayText: '#333' },
+    energy: { displayFactor: 1 }
+  },
+  dark: {
+    label: 'Dark (energy-friendly)',
+    scene: { background: 0x0b0b0b, ambient: { intensity: 0.35 }, directional: { intensity: 0.6 } },
+    chrome: { dark: true, overlayBackground: 'rgba(0,0,0,0.7)', overlayText: '#fff' },
+    energy: { displayFactor: 0.5 }
+  },
+  oled: {
+    label: 'OLED Black',
+    scene: { background: 0x000000, ambient: { intensity: 0.25 }, directional: { intensity: 0.5 } },
+    chrome: { dark: true, overlayBackground: 'rgba(0,0,0,0.7)', overlayText: '#fff' },
+    energy: { displayFactor: 0.2 }
+  },
+  eink: {
+    label: 'E-Ink',
+    scene: { background: 0xf2f2f2, ambient: { intensity: 0.25 }, directional: { intensity: 0.4 } },
+    // Greyscale, matte materials
+    materials: { color: 0x222222, metalness: 0, roughness: 1 },
+    chrome: { dark: false, overlayBackground: 'rgba(255,255,255,0.85)', overlayText: '#333' },
+    energy: { displayFactor: 0.3 }
+  },
+  'high-contrast': {
+    label: 'High Contrast',
+    scene: { background: 0x000000, ambient: { intensity: 0.2 }, directional: { intensity: 1.2, color: 0xffffff } },
+    chrome: { dark: true, overlayBackground: 'rgba(0,0,0,0.7)', overlayText: '#fff' },
+    energy: { displayFactor: 0.7 }
+  }
+};
+
+const isColor = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+
+function validateTheme(id, theme) {
+  const fail = (message) => {
+    throw new Error(`Theme "${id}" ${message}`);
+  };
+  if (!theme || typeof theme !== 'object') fail('needs a definition object');
+  const { scene, chrome, energy, materials } = theme;
+  if (!scene || !isColor(scene.background)) fail('needs scene.background as a 0xRRGGBB color');
+  ['ambient', 'directional'].forEach((light) => {
+    const spec = scene[light];
+    if (!spec || typeof spec.intensity !== 'number' || spec.intensity < 0) fail(`needs a non-negative scene.${light}.intensity`);
+    if (spec.color !== undefined && !isColor(spec.color)) fail(`scene.${light}.color must be a 0xRRGGBB color`);
+  });
+  if (materials !== undefined && materials !== null) {
+    if (typeof materials !== 'object') fail('materials must be an object');
+    if (materials.color !== undefined && !isColor(materials.color)) fail('materials.color must be a 0xRRGGBB color');
+  }
+  if (!chrome || typeof chrome.overlayBackground !== 'string' || typeof chrome.overlayText !== 'string') {
+    fail('needs chrome.overlayBackground and chrome.overlayText CSS colors');
+  }
+  if (!energy || typeof energy.displayFactor !== 'number' || !isFinite(energy.displayFactor) || energy.displayFactor < 0) {
+    fail('needs a non-negative energy.displayFactor');
+  }
+  return {
+    id,
+    label: theme.label || id,
+    scene: {
+      background: scene.background,
+      ambient: { color: 0xffffff, ...scene.ambient },
+      directional: { color: 0xffffff, ...scene.directional }
+    },
+    materials: materials || null,
+    chrome: { dark: !!chrome.dark, overlayBackground: chrome.overlayBackground, overlayText: chrome.overlayText },
+    energy: { displayFactor: energy.displayFactor }
+  };
+}
+
+export class ThemeRegistry {
+  constructor(definitions = BUILT_IN_THEMES) {
+    this.themes = new Map();
+    this.listeners = new Set();
+    Object.entries(definitions).forEach(([id, theme]) => this.themes.set(id, validateTheme(id, theme)));
+  }
+
+  // Adds or replaces a theme; everything subscribed picks it up
+  register(id, theme) {
+    if (!id || typeof id !== 'string') throw new Error('Theme id must be a non-empty string');
+    this.themes.set(id, validateTheme(id, theme));
+    this.notify();
+    return id;
+  }
+
+  // Unknown ids fall back to the default theme
+  get(id) {
+    return this.themes.get(id) || this.themes.get(DEFAULT_THEME);
+  }
+
+  has(id) {
+    return this.themes.has(id);
+  }
+
+  list() {
+    return [...this.themes.values()];
+  }
+
+  // Plain definitions, e.g. to register the same themes in a worker
+  toJSON() {
+    const definitions = {};
+    this.themes.forEach(({ id, ...theme }) => {
+      definitions[id] = theme;
+    });
+    return definitions;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+// Registry used by default everywhere in the app
+export const themeRegistry = new ThemeRegistry();
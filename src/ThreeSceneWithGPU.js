@@ -1,8 +1,17 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { createModelScene } from './ThreeDModelScene';
 import { GPUStatsDisplay, GPUStatsToggle } from './GPUStatsDisplay';
 import { GPUStressTest, StressTestControls } from './GPUStressTest';
 import GPUDashboard from './GPUDashboard';
+import { POWER_PROFILES, DEFAULT_POWER_PROFILE } from './PowerModel';
+import { SessionRecorder } from './SessionRecorder';
+import { MetricsHistory } from './MetricsHistory';
+import { BenchmarkPanel } from './BenchmarkPanel';
+import { compareCells } from './BenchmarkRunner';
+import { QualityGovernor } from './QualityGovernor';
+import { canRenderInWorker } from './WorkerScene';
+import { EnvironmentPolicy } from './EnvironmentPolicy';
+import { themeRegistry } from './ThemeRegistry';
 
 export default function ThreeSceneWithGPU() {
   const mountRef = useRef(null);
@@ -13,50 +22,139 @@ export default function ThreeSceneWithGPU() {
   const [isStressTestRunning, setIsStressTestRunning] = useState(false);
   const [mode, setMode] = useState('optimized');
   const [theme, setTheme] = useState('light');
+  const [themes, setThemes] = useState(() => themeRegistry.list());
   const [pixelRatioClamp, setPixelRatioClamp] = useState(1.5);
   const [viewportScale, setViewportScale] = useState(1.0);
   const [targetFps, setTargetFps] = useState(30);
   const [backgroundFps, setBackgroundFps] = useState(5);
+  const [powerProfile, setPowerProfile] = useState(DEFAULT_POWER_PROFILE);
+  const [contextLost, setContextLost] = useState(false);
+  const [stressIntensity, setStressIntensity] = useState(50);
+  const [renderOnDemand, setRenderOnDemand] = useState(false);
+  const [autoRotate, setAutoRotate] = useState(true);
+  const [pauseInBackground, setPauseInBackground] = useState(false);
+  const [renderInWorker, setRenderInWorker] = useState(false);
+  // { status, name, progress, stats, profile, error, profiles } of the scene's model
+  const [modelState, setModelState] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  // Last model file picked or dropped; a re-created scene loads it again
+  const modelFileRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Stable, so the dashboard's cost card only clears its outline on unmount
+  const highlightObjects = useCallback((uuids) => sceneRef.current?.highlightObjects(uuids), []);
+  const [recorder] = useState(() => new SessionRecorder());
+  const [history] = useState(() => new MetricsHistory());
+  const [governor, setGovernor] = useState(null);
+  const [governorEnabled, setGovernorEnabled] = useState(false);
+  const governorRef = useRef(null);
+  governorRef.current = governor;
+  // Automatic eco mode: applies through applySceneSettings (below) and keeps
+  // off what the governor drives
+  const applySettingsRef = useRef(null);
+  const [envPolicy] = useState(() => new EnvironmentPolicy({
+    getSettings: () => ({ ...(sceneRef.current ? sceneRef.current.getCurrentSettings() : {}), mode: handoffRef.current.mode }),
+    apply: (changes) => applySettingsRef.current(changes),
+    isLocked: (key) => !!governorRef.current && governorRef.current.isEnabled() && ['targetFps', 'pixelRatioClamp', 'viewportScale'].includes(key)
+  }));
+  const [envPolicyEnabled, setEnvPolicyEnabled] = useState(false);
   const getOptimizationInfo = () => {
     return mode === 'optimized' ? {
       fpsCap: 30,
       pixelRatioMax: 1.5,
       powerPreference: 'low-power',
       antialias: false,
-      pauseOnHidden: true
+      pauseOnHidden: pauseInBackground
     } : {
       fpsCap: 60,
       pixelRatioMax: 3,
       powerPreference: 'default/hi-perf',
       antialias: false,
-      pauseOnHidden: true
+      pauseOnHidden: pauseInBackground
     };
   };
   const [baselineAvg, setBaselineAvg] = useState(null);
   const [optimizedAvg, setOptimizedAvg] = useState(null);
   const [baselinePowerAvg, setBaselinePowerAvg] = useState(null);
   const [optimizedPowerAvg, setOptimizedPowerAvg] = useState(null);
+  // { power, co2 }: SD, 95% CI and Welch's t-test of the last mode sweep
+  const [comparisonStats, setComparisonStats] = useState(null);
   const [showDashboard, setShowDashboard] = useState(true);
+  const [showBenchmark, setShowBenchmark] = useState(false);
+  // Scene state a re-created scene (render thread switch) picks up
+  const handoffRef = useRef(null);
+  handoffRef.current = { mode, isStressTestRunning, stressIntensity };
 
   useEffect(() => {
     if (!mountRef.current) return;
+    const previous = sceneRef.current ? sceneRef.current.getCurrentSettings() : null;
 
     // Create the Three.js scene
-    const { cleanup, gpuMonitor: monitor, scene, renderer, setPerformanceMode, setTargetFps: setTfps, setBackgroundFps: setBfps, setPixelRatioClamp, setViewportScale, setTheme: setSceneTheme, getCurrentSettings, currentTheme } = createModelScene(mountRef.current);
-    sceneRef.current = { cleanup, scene, renderer, setPerformanceMode, setTfps, setBfps, setPixelRatioClamp, setViewportScale, setSceneTheme, getCurrentSettings };
+    const { cleanup, gpuMonitor: monitor, scene, renderer, stressTest: workerStressTest, setPerformanceMode, setTargetFps: setTfps, setBackgroundFps: setBfps, setPauseInBackground: setScenePauseInBackground, setPixelRatioClamp, setViewportScale, setTheme: setSceneTheme, setPowerModel, setRenderOnDemand: setSceneRenderOnDemand, setAutoRotate: setSceneAutoRotate, invalidate, simulateContextLoss, restoreContext, getCurrentSettings, loadModel, profileModel, measureLodLevels, setLodLevel, setLodPowerBudget, setEcoMaterials: setSceneEcoMaterials, setEcoShading: setSceneEcoShading, measureEcoMaterials, highlightObjects, getModelState, subscribeModel, currentTheme } = createModelScene(mountRef.current, { powerModel: DEFAULT_POWER_PROFILE, offscreen: renderInWorker });
+    sceneRef.current = { cleanup, scene, renderer, setPerformanceMode, setTfps, setBfps, setScenePauseInBackground, setPixelRatioClamp, setViewportScale, setSceneTheme, setPowerModel, setSceneRenderOnDemand, setSceneAutoRotate, simulateContextLoss, restoreContext, getCurrentSettings, loadModel, profileModel, measureLodLevels, setLodLevel, setLodPowerBudget, setSceneEcoMaterials, setSceneEcoShading, measureEcoMaterials, highlightObjects };
+    setModelState(getModelState());
+    const unsubscribeModel = subscribeModel(setModelState);
+    let active = true;
+    const file = modelFileRef.current;
+    if (file) {
+      file.arrayBuffer()
+        .then((buffer) => active && loadModel(buffer, { name: file.name }))
+        .catch((error) => active && setModelState((s) => ({ ...s, status: 'error', error: `Could not read ${file.name}: ${error.message || error}` })));
+    }
     setGpuMonitor(monitor);
+    setContextLost(false);
+    // Surfaced as an alert in the stats overlay
+    monitor.addThreshold('gpu.power > 60 for 5s', { id: 'high-gpu-power', label: 'GPU power above 60 W for 5s' });
     
-    // Initialize stress test
-    const test = new GPUStressTest(scene, renderer);
+    // Initialize stress test (a worker scene brings its own proxy)
+    const test = workerStressTest || new GPUStressTest(scene, renderer, { invalidate });
     setStressTest(test);
 
+    // Switching threads keeps the settings of the scene being replaced
+    const { mode: currentMode, isStressTestRunning: stressRunning, stressIntensity: intensity } = handoffRef.current;
+    if (previous) {
+      setPerformanceMode(currentMode);
+      setSceneEcoShading(previous.ecoShading);
+      setSceneEcoMaterials(previous.ecoMaterials);
+      setTfps(previous.targetFps);
+      setBfps(previous.backgroundFps);
+      setScenePauseInBackground(previous.pauseInBackground);
+      setPixelRatioClamp(previous.pixelRatioClamp);
+      setViewportScale(previous.viewportScale);
+      setSceneTheme(previous.theme);
+      setPowerModel(previous.powerProfile);
+      setSceneRenderOnDemand(previous.renderOnDemand);
+      setSceneAutoRotate(previous.autoRotate);
+      if (stressRunning) test.startStressTest(intensity);
+    }
+
     return () => {
-      if (sceneRef.current) {
-        test.stopStressTest();
-        sceneRef.current.cleanup();
-      }
+      active = false;
+      unsubscribeModel();
+      // Samples of the old scene's monitor end here
+      recorder.stop().catch((error) => recorder.reportError(error));
+      test.stopStressTest();
+      cleanup();
     };
-  }, []);
+  }, [renderInWorker, recorder]);
+
+  // A picked or dropped .glb/.gltf replaces the scene's model
+  const loadModelFile = (file) => {
+    if (!file || !sceneRef.current) return;
+    if (!/\.(glb|gltf)$/i.test(file.name)) {
+      setModelState((s) => ({ ...s, status: 'error', error: `${file.name} is not a .glb or .gltf file` }));
+      return;
+    }
+    modelFileRef.current = file;
+    file.arrayBuffer()
+      .then((buffer) => sceneRef.current && sceneRef.current.loadModel(buffer, { name: file.name }))
+      .catch((error) => setModelState((s) => ({ ...s, status: 'error', error: `Could not read ${file.name}: ${error.message || error}` })));
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    loadModelFile(e.dataTransfer.files[0]);
+  };
 
   const toggleStressTest = () => {
     if (!stressTest) return;
@@ -71,6 +169,7 @@ export default function ThreeSceneWithGPU() {
   };
 
   const handleIntensityChange = (intensity) => {
+    setStressIntensity(intensity);
     if (stressTest) {
       stressTest.adjustIntensity(intensity);
     }
@@ -79,10 +178,24 @@ export default function ThreeSceneWithGPU() {
   const toggleMode = async () => {
     if (!sceneRef.current) return;
     const next = mode === 'optimized' ? 'baseline' : 'optimized';
+    // Mode presets set FPS and pixel ratio themselves
+    if (governor) governor.disable();
     sceneRef.current.setPerformanceMode(next);
     setMode(next);
+    envPolicy.override('mode', next);
   };
 
+  // A setting changed by hand is no longer the eco policy's to change
+  const setByUser = (key, setter) => (value) => {
+    setter(value);
+    envPolicy.override(key, value);
+  };
+  const setThemeByUser = setByUser('theme', setTheme);
+  const setTargetFpsByUser = setByUser('targetFps', setTargetFps);
+  const setViewportScaleByUser = setByUser('viewportScale', setViewportScale);
+  const setRenderOnDemandByUser = setByUser('renderOnDemand', setRenderOnDemand);
+  const setAutoRotateByUser = setByUser('autoRotate', setAutoRotate);
+
   // Sync scene controls when local states change
   useEffect(() => {
     if (!sceneRef.current) return;
@@ -99,6 +212,11 @@ export default function ThreeSceneWithGPU() {
     sceneRef.current.setBfps?.(backgroundFps);
   }, [backgroundFps]);
 
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    sceneRef.current.setScenePauseInBackground?.(pauseInBackground);
+  }, [pauseInBackground]);
+
   useEffect(() => {
     if (!sceneRef.current) return;
     sceneRef.current.setPixelRatioClamp?.(pixelRatioClamp);
@@ -109,48 +227,181 @@ export default function ThreeSceneWithGPU() {
     sceneRef.current.setViewportScale?.(viewportScale);
   }, [viewportScale]);
 
-  // Measure averages over a window
-  const measureAverages = (windowMs = 2000) => new Promise((resolve) => {
-    if (!gpuMonitor) return resolve(null);
-    const utilSamples = [];
-    const powerSamples = [];
-    const start = performance.now();
-    const timer = setInterval(() => {
-      const s = gpuMonitor.getStats();
-      utilSamples.push(s.gpu.utilization);
-      powerSamples.push(s.gpu.power);
-      if (performance.now() - start >= windowMs) {
-        clearInterval(timer);
-        const avgUtil = utilSamples.reduce((a, b) => a + b, 0) / utilSamples.length || 0;
-        const avgPower = powerSamples.reduce((a, b) => a + b, 0) / powerSamples.length || 0;
-        resolve({
-          utilization: Math.round(avgUtil),
-          power: Math.round(avgPower)
-        });
-      }
-    }, 100);
-  });
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    sceneRef.current.setPowerModel?.(powerProfile);
+  }, [powerProfile]);
+
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    sceneRef.current.setSceneRenderOnDemand?.(renderOnDemand);
+  }, [renderOnDemand]);
 
-  const runComparison = async () => {
+  useEffect(() => {
     if (!sceneRef.current) return;
-    // Baseline
-    sceneRef.current.setPerformanceMode('baseline');
-    await new Promise(r => setTimeout(r, 300));
-    const base = await measureAverages(2000);
-    setBaselineAvg(base ? base.utilization : null);
-    setBaselinePowerAvg(base ? base.power : null);
-    // Optimized
-    sceneRef.current.setPerformanceMode('optimized');
-    await new Promise(r => setTimeout(r, 300));
-    const opt = await measureAverages(2000);
-    setOptimizedAvg(opt ? opt.utilization : null);
-    setOptimizedPowerAvg(opt ? opt.power : null);
-    setMode('optimized');
+    sceneRef.current.setSceneAutoRotate?.(autoRotate);
+  }, [autoRotate]);
+
+  // Eco materials follow the mode preset inside the scene; the scene reports them
+  const ecoMaterials = !!(modelState && modelState.eco && modelState.eco.enabled);
+
+  // Settings changes go into the recorded session timeline and export history
+  useEffect(() => {
+    const current = { mode, theme, targetFps, backgroundFps, pixelRatioClamp, viewportScale, powerProfile, stressTest: isStressTestRunning, stressIntensity, governor: governorEnabled, renderOnDemand, autoRotate, pauseInBackground, renderInWorker, ecoPolicy: envPolicyEnabled, ecoMaterials };
+    recorder.recordSettings(current);
+    history.recordSettings(current);
+  }, [recorder, history, mode, theme, targetFps, backgroundFps, pixelRatioClamp, viewportScale, powerProfile, isStressTestRunning, stressIntensity, governorEnabled, renderOnDemand, autoRotate, pauseInBackground, renderInWorker, envPolicyEnabled, ecoMaterials]);
+
+  useEffect(() => () => {
+    recorder.stop().catch((error) => recorder.reportError(error));
+  }, [recorder]);
+
+  useEffect(() => {
+    if (!gpuMonitor) return;
+    return history.attach(gpuMonitor);
+  }, [gpuMonitor, history]);
+
+  // The governor drives the scene directly and mirrors its level into the UI
+  useEffect(() => {
+    if (!gpuMonitor) return;
+    const next = new QualityGovernor({
+      monitor: gpuMonitor,
+      getSettings: () => sceneRef.current.getCurrentSettings(),
+      apply: (level) => {
+        const s = sceneRef.current;
+        if (!s) return;
+        s.setTfps(level.targetFps);
+        s.setPixelRatioClamp(level.pixelRatioClamp);
+        s.setViewportScale(level.viewportScale);
+        setTargetFps(level.targetFps);
+        setPixelRatioClamp(level.pixelRatioClamp);
+        setViewportScale(level.viewportScale);
+      }
+    });
+    const unsubscribe = next.subscribe(() => setGovernorEnabled(next.isEnabled()));
+    setGovernor(next);
+    return () => {
+      unsubscribe();
+      next.disable();
+    };
+  }, [gpuMonitor]);
+
+  useEffect(() => {
+    if (!gpuMonitor) return;
+    return gpuMonitor.subscribe((event) => setContextLost(event.type === 'contextLost'), { types: ['contextLost', 'contextRestored'] });
+  }, [gpuMonitor]);
+
+  // Themes registered at runtime show up in the selector
+  useEffect(() => themeRegistry.subscribe((registry) => setThemes(registry.list())), []);
+
+  // The eco policy starts on; unmounting leaves the (disposed) scene alone
+  useEffect(() => {
+    const unsubscribe = envPolicy.subscribe(() => setEnvPolicyEnabled(envPolicy.isEnabled()));
+    envPolicy.enable();
+    return () => {
+      unsubscribe();
+      envPolicy.disable({ restore: false });
+    };
+  }, [envPolicy]);
+
+  // Settings are applied straight to the scene (so mode presets can't mask a
+  // value set alongside) and mirrored into the UI state
+  const applySceneSettings = (cell) => {
+    const s = sceneRef.current;
+    if (!s) return;
+    if (cell.mode !== undefined) {
+      s.setPerformanceMode(cell.mode);
+      setMode(cell.mode);
+    }
+    if (cell.theme !== undefined) {
+      s.setSceneTheme(cell.theme);
+      setTheme(cell.theme);
+    }
+    if (cell.targetFps !== undefined) {
+      s.setTfps(cell.targetFps);
+      setTargetFps(cell.targetFps);
+    }
+    if (cell.pixelRatioClamp !== undefined) {
+      s.setPixelRatioClamp(cell.pixelRatioClamp);
+      setPixelRatioClamp(cell.pixelRatioClamp);
+    }
+    if (cell.viewportScale !== undefined) {
+      s.setViewportScale(cell.viewportScale);
+      setViewportScale(cell.viewportScale);
+    }
+    if (cell.renderOnDemand !== undefined) {
+      s.setSceneRenderOnDemand(cell.renderOnDemand);
+      setRenderOnDemand(cell.renderOnDemand);
+    }
+    if (cell.autoRotate !== undefined) {
+      s.setSceneAutoRotate(cell.autoRotate);
+      setAutoRotate(cell.autoRotate);
+    }
+    if (cell.stressIntensity !== undefined && stressTest) {
+      if (cell.stressIntensity > 0) {
+        stressTest.startStressTest(cell.stressIntensity);
+        setStressIntensity(cell.stressIntensity);
+        setIsStressTestRunning(true);
+      } else {
+        stressTest.stopStressTest();
+        setIsStressTestRunning(false);
+      }
+    }
+  };
+  applySettingsRef.current = applySceneSettings;
+
+  // A benchmark measures fixed settings
+  const applyBenchmarkSettings = (cell) => {
+    if (governor) governor.disable();
+    envPolicy.disable();
+    applySceneSettings(cell);
+  };
+
+  // Settings in effect when a run starts; restored afterwards
+  const benchmarkSnapshot = { mode, theme, targetFps, pixelRatioClamp, viewportScale, renderOnDemand, autoRotate, stressIntensity: isStressTestRunning ? stressIntensity : 0 };
+  const restoreBenchmarkSettings = () => applyBenchmarkSettings(benchmarkSnapshot);
+
+  // Mode sweeps feed the dashboard's baseline vs optimized comparison
+  const onBenchmarkComplete = (results) => {
+    const modeCells = {};
+    results.cells.forEach((cell) => {
+      if (cell.repetitions === 0 || Object.keys(cell.settings).length !== 1) return;
+      const utilization = Math.round(cell.means.utilization ?? 0);
+      const power = Math.round(cell.means.power ?? 0);
+      if (cell.settings.mode === 'baseline') {
+        setBaselineAvg(utilization);
+        setBaselinePowerAvg(power);
+        modeCells.baseline = cell.id;
+      } else if (cell.settings.mode === 'optimized') {
+        setOptimizedAvg(utilization);
+        setOptimizedPowerAvg(power);
+        modeCells.optimized = cell.id;
+      }
+    });
+    if (modeCells.baseline !== undefined && modeCells.optimized !== undefined) {
+      setComparisonStats({
+        power: compareCells(results, modeCells.baseline, modeCells.optimized, 'power'),
+        co2: compareCells(results, modeCells.baseline, modeCells.optimized, 'co2eRate')
+      });
+    }
   };
 
   return (
-    <div style={{ width: '100%', height: '100%', position: 'relative' }}>
+    <div
+      style={{ width: '100%', height: '100%', position: 'relative' }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={onDrop}
+    >
       <div ref={mountRef} style={{ width: '100%', height: '100%' }} />
+      {dragOver && (
+        <div style={{ position: 'absolute', inset: 12, border: '2px dashed rgba(16,185,129,0.8)', borderRadius: 16, display: 'flex', alignItems: 'center', justifyContent: 'center', fontFamily: 'monospace', fontSize: 16, background: 'rgba(16,185,129,0.12)', pointerEvents: 'none', zIndex: 5 }}>
+          Drop a .glb or .gltf to load it
+        </div>
+      )}
       <GPUStatsToggle onToggle={setShowStats} />
       {/* Floating Dashboard Open Button */}
       <button
@@ -185,47 +436,107 @@ export default function ThreeSceneWithGPU() {
                 <button onClick={toggleMode} style={{ padding: '6px 10px' }}>
                   Mode: {mode === 'optimized' ? 'Optimized' : 'Baseline'}
                 </button>
-                <button onClick={runComparison} style={{ padding: '6px 10px' }}>
-                  Compare (2s each)
+                <button onClick={() => setShowBenchmark(v => !v)} style={{ padding: '6px 10px' }}>
+                  {showBenchmark ? 'Hide' : 'Show'} Benchmark
                 </button>
                 <button onClick={() => setShowDashboard(v => !v)} style={{ padding: '6px 10px' }}>
                   {showDashboard ? 'Hide' : 'Show'} Dashboard
                 </button>
+                <button
+                  onClick={() => (contextLost ? sceneRef.current?.restoreContext() : sceneRef.current?.simulateContextLoss())}
+                  disabled={!gpuMonitor?.loseContext && !contextLost}
+                  title="Debug: drop the WebGL context via WEBGL_lose_context"
+                  style={{ padding: '6px 10px' }}
+                >
+                  {contextLost ? 'Restore Context' : 'Simulate Context Loss'}
+                </button>
                 {(baselineAvg !== null || optimizedAvg !== null) && (
                   <div style={{ fontSize: '11px' }}>
                     Baseline: {baselineAvg ?? '-'}% | Optimized: {optimizedAvg ?? '-'}%
                   </div>
                 )}
               </div>
+              {modelState && (
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '11px' }}>
+                  <button onClick={() => fileInputRef.current?.click()} disabled={modelState.status === 'loading'} style={{ padding: '6px 10px' }}>
+                    Load model…
+                  </button>
+                  <input ref={fileInputRef} type="file" accept=".glb,.gltf" style={{ display: 'none' }} onChange={(e) => {
+                    loadModelFile(e.target.files[0]);
+                    e.target.value = '';
+                  }} />
+                  {modelState.status === 'loading' && (
+                    <progress value={modelState.progress} max={1} style={{ width: 80 }} />
+                  )}
+                  <span style={{ color: modelState.status === 'error' ? '#b91c1c' : undefined }}>
+                    {modelState.status === 'error' ? modelState.error
+                      : modelState.status === 'simplifying' ? `${modelState.name}: generating LOD levels…`
+                      : modelState.status === 'profiling' ? `${modelState.name}: profiling energy…`
+                      : modelState.status === 'ready' ? `${modelState.name}: ${modelState.profile.avgPowerW.toFixed(1)} W, ${modelState.profile.triangles.toLocaleString()} triangles`
+                      : modelState.name}
+                  </span>
+                </div>
+              )}
               <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
                   <label style={{ fontSize: 11 }}>Theme</label>
-                  <select value={theme} onChange={(e) => setTheme(e.target.value)} style={{ padding: '4px 6px', fontSize: 12 }}>
-                    <option value="dark">Dark (energy-friendly)</option>
-                    <option value="light">Light</option>
+                  <select value={theme} onChange={(e) => setThemeByUser(e.target.value)} style={{ padding: '4px 6px', fontSize: 12 }}>
+                    {themes.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
                   </select>
                 </div>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
-                  <label style={{ fontSize: 11 }}>Target FPS: {targetFps}</label>
-                  <input type="range" min="15" max="60" value={targetFps} onChange={(e) => setTargetFps(parseInt(e.target.value))} />
-                </div>
-                {/* <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
-                  <label style={{ fontSize: 11 }}>Background FPS: {backgroundFps}</label>
-                  <input type="range" min="1" max="15" value={backgroundFps} onChange={(e) => setBackgroundFps(parseInt(e.target.value))} />
+                  <label style={{ fontSize: 11 }}>Target FPS: {targetFps}{governorEnabled ? ' (governor)' : ''}</label>
+                  <input type="range" min="15" max="60" value={targetFps} disabled={governorEnabled} onChange={(e) => setTargetFpsByUser(parseInt(e.target.value))} />
                 </div>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                  <label style={{ fontSize: 11 }}>Background FPS: {pauseInBackground ? 'paused' : backgroundFps}</label>
+                  <input type="range" min="1" max="15" value={backgroundFps} disabled={pauseInBackground} onChange={(e) => setBackgroundFps(parseInt(e.target.value))} />
+                </div>
+                {/* <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
                   <label style={{ fontSize: 11 }}>Pixel Ratio Clamp: {pixelRatioClamp.toFixed(2)}</label>
                   <input type="range" min="0.5" max="3" step="0.1" value={pixelRatioClamp} onChange={(e) => setPixelRatioClamp(parseFloat(e.target.value))} />
                 </div> */}
                 <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
-                  <label style={{ fontSize: 11 }}>Viewport Scale: {(viewportScale * 100).toFixed(0)}%</label>
-                  <input type="range" min="0.3" max="1" step="0.05" value={viewportScale} onChange={(e) => setViewportScale(parseFloat(e.target.value))} />
+                  <label style={{ fontSize: 11 }}>Viewport Scale: {(viewportScale * 100).toFixed(0)}%{governorEnabled ? ' (governor)' : ''}</label>
+                  <input type="range" min="0.3" max="1" step="0.05" value={viewportScale} disabled={governorEnabled} onChange={(e) => setViewportScaleByUser(parseFloat(e.target.value))} />
+                </div>
+                <label style={{ fontSize: 11, display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <input type="checkbox" checked={renderOnDemand} onChange={(e) => setRenderOnDemandByUser(e.target.checked)} />
+                  Render on demand
+                </label>
+                <label style={{ fontSize: 11, display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <input type="checkbox" checked={autoRotate} onChange={(e) => setAutoRotateByUser(e.target.checked)} />
+                  Auto-rotate
+                </label>
+                <label style={{ fontSize: 11, display: 'flex', gap: 6, alignItems: 'center' }} title="Cheaper shading than PBR, dimmer lights, no shadow map; on in the optimized preset">
+                  <input type="checkbox" checked={ecoMaterials} onChange={(e) => sceneRef.current?.setSceneEcoMaterials(e.target.checked)} />
+                  Eco materials
+                </label>
+                <label style={{ fontSize: 11, display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <input type="checkbox" checked={pauseInBackground} onChange={(e) => setPauseInBackground(e.target.checked)} />
+                  Pause in background
+                </label>
+                <label style={{ fontSize: 11, display: 'flex', gap: 6, alignItems: 'center' }} title="Battery, reduced motion, color scheme and Save-Data pick the preset; see the dashboard for why">
+                  <input type="checkbox" checked={envPolicyEnabled} onChange={(e) => (e.target.checked ? envPolicy.enable() : envPolicy.disable())} />
+                  Auto eco mode
+                </label>
+                <label style={{ fontSize: 11, display: 'flex', gap: 6, alignItems: 'center' }} title={canRenderInWorker() ? 'Move rendering and sampling to a Web Worker (OffscreenCanvas)' : 'OffscreenCanvas is not supported in this browser'}>
+                  <input type="checkbox" checked={renderInWorker} disabled={!canRenderInWorker()} onChange={(e) => setRenderInWorker(e.target.checked)} />
+                  Render in worker
+                </label>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                  <label style={{ fontSize: 11 }}>Device Profile</label>
+                  <select value={powerProfile} onChange={(e) => setPowerProfile(e.target.value)} style={{ padding: '4px 6px', fontSize: 12 }}>
+                    {Object.values(POWER_PROFILES).map((p) => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
                 </div>
               </div>
               {(baselinePowerAvg !== null && optimizedPowerAvg !== null) && (
                 (() => {
                   const wattsSaved = Math.max(0, baselinePowerAvg - optimizedPowerAvg);
-                  const gramsPerWh = 0.4; // 400 g/kWh
+                  const gramsPerWh = gpuMonitor.carbonIntensity.getGramsPerWh();
                   const gramsPerHour = Math.round(wattsSaved * gramsPerWh);
                   const pct = baselinePowerAvg > 0 ? Math.round((wattsSaved / baselinePowerAvg) * 100) : 0;
                   return (
@@ -279,53 +590,48 @@ export default function ThreeSceneWithGPU() {
             <GPUDashboard 
               inModal
               gpuMonitor={gpuMonitor}
+              recorder={recorder}
+              history={history}
+              governor={governor}
+              envPolicy={envPolicy}
+              model={modelState}
+              onProfileModel={() => sceneRef.current?.profileModel()}
+              onLodLevel={(level) => sceneRef.current?.setLodLevel(level)}
+              onLodBudget={(watts) => sceneRef.current?.setLodPowerBudget(watts)}
+              onMeasureLod={() => sceneRef.current?.measureLodLevels()}
+              onHighlight={highlightObjects}
+              onEcoMaterials={(enabled) => sceneRef.current?.setSceneEcoMaterials(enabled)}
+              onEcoShading={(shading) => sceneRef.current?.setSceneEcoShading(shading)}
+              onMeasureEco={() => sceneRef.current?.measureEcoMaterials()}
               baselinePowerAvg={baselinePowerAvg}
               optimizedPowerAvg={optimizedPowerAvg}
-              settings={{ theme, pixelRatioClamp, viewportScale, targetFps, backgroundFps }}
+              comparisonStats={comparisonStats}
+              settings={{ theme, pixelRatioClamp, viewportScale, targetFps, backgroundFps, powerProfile }}
               onApplyOptimizations={() => {
                 // Opinionated optimized preset
-                setTheme('dark');
-                setTargetFps(30);
+                if (governor) governor.disable();
+                setThemeByUser('dark');
+                setTargetFpsByUser(30);
                 setBackgroundFps(5);
-                setPixelRatioClamp(1.2);
-                setViewportScale(0.8);
+                setByUser('pixelRatioClamp', setPixelRatioClamp)(1.2);
+                setViewportScaleByUser(0.8);
                 if (sceneRef.current) {
                   sceneRef.current.setPerformanceMode('optimized');
                 }
               }}
-              onExportMetrics={() => {
-                if (!gpuMonitor) return;
-                const s = gpuMonitor.getStats();
-                const csv = [
-                  'metric,value',
-                  `fps,${s.fps.toFixed(2)}`,
-                  `frameTimeMs,${s.frameTime.toFixed(2)}`,
-                  `gpuUtilizationPct,${s.gpu.utilization}`,
-                  `gpuPowerW,${s.gpu.power}`,
-                  `gpuTempC,${s.gpu.temperature?.toFixed(1)}`,
-                  `drawCalls,${s.drawCalls}`,
-                  `triangles,${s.triangles}`,
-                  `textures,${s.textures}`,
-                  `pixelRatioClamp,${pixelRatioClamp}`,
-                  `viewportScale,${viewportScale}`,
-                  `targetFps,${targetFps}`,
-                  `backgroundFps,${backgroundFps}`,
-                  `theme,${theme}`
-                ].join('\n');
-                const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = 'sustainability-metrics.csv';
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
-              }}
             />
           </div>
         </div>
       )}
+      {showBenchmark && gpuMonitor && (
+        <BenchmarkPanel
+          gpuMonitor={gpuMonitor}
+          applySettings={applyBenchmarkSettings}
+          restoreSettings={restoreBenchmarkSettings}
+          onComplete={onBenchmarkComplete}
+          onClose={() => setShowBenchmark(false)}
+        />
+      )}
       <StressTestControls 
         stressTest={stressTest}
         isRunning={isStressTestRunning}
@@ -0,0 +1,39 @@
+// Threshold rules on any stat path, e.g. "gpu.power > 60 for 5s".
+const RULE_PATTERN = /^\s*([\w.]+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*(?:for\s+(\d+(?:\.\d+)?)\s*(ms|s|m)?)?\s*$/;
+const UNIT_MS = { ms: 1, s: 1000, m: 60000 };
+
+export function parseThresholdRule(text) {
+  const match = RULE_PATTERN.exec(text || '');
+  if (!match) {
+    throw new Error(`Invalid threshold rule: "${text}" (expected e.g. "gpu.power > 60 for 5s")`);
+  }
+  const [, path, op, value, duration, unit] = match;
+  return {
+    path,
+    op,
+    value: parseFloat(value),
+    forMs: duration ? parseFloat(duration) * UNIT_MS[unit || 's'] : 0
+  };
+}
+
+export function getStatValue(stats, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), stats);
+}
+
+export function compareThreshold(actual, op, expected) {
+  if (typeof actual !== 'number' || !isFinite(actual)) return false;
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    default: return false;
+  }
+}
+
+export function describeThresholdRule({ path, op, value, forMs }) {
+  const duration = forMs ? ` for ${forMs % 1000 === 0 ? `${forMs / 1000}s` : `${forMs}ms`}` : '';
+  return `${path} ${op} ${value}${duration}`;
+}
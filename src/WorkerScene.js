@@ -0,0 +1,372 @@
+import { MONITOR_EVENTS } from './GPUMonitor';
+import { PowerModel } from './PowerModel';
+import { CarbonIntensityProvider } from './CarbonIntensityProvider';
+import { createSceneOverlay } from './SceneOverlay';
+import { themeRegistry } from './ThemeRegistry';
+
+// Main thread side of worker rendering (createModelScene({ offscreen: true })).
+// The canvas is transferred to sceneWorker.worker.js; this module forwards
+// settings calls, pointer input, resizes and visibility, and stands in for
+// the GPUMonitor with the samples and events the worker posts back. Its own
+// message handling is timed into stats.mainThread, which is what rendering
+// still costs the main thread.
+export function canRenderInWorker() {
+  return typeof Worker !== 'undefined'
+    && typeof HTMLCanvasElement !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+}
+
+// Serializable snapshot of a provider's regions for the worker's copy
+function carbonSnapshot(provider) {
+  const regions = {};
+  provider.regions.forEach(({ id, name, gramsPerKWh, utcOffset, hourly }) => {
+    regions[id] = { name, gramsPerKWh, utcOffset, ...(hourly ? { hourly } : {}) };
+  });
+  return { dataset: { regions }, region: provider.region };
+}
+
+// GPUMonitor look-alike fed by the worker: subscribe/getStats with the same
+// event shapes, thresholds and energy reset forwarded, and a local power
+// model and carbon provider for the dashboard's estimates
+class MonitorProxy {
+  constructor(worker, { powerModel, carbonIntensity }) {
+    this.worker = worker;
+    this.powerModel = PowerModel.from(powerModel);
+    this.carbonIntensity = carbonIntensity instanceof CarbonIntensityProvider
+      ? carbonIntensity
+      : new CarbonIntensityProvider({ region: carbonIntensity });
+    this.stats = null;
+    this.baseIntervalMs = 100;
+    this.sampleIntervalMs = null;
+    this.subscribers = new Set();
+    this.nextThresholdId = 1;
+    // Truthy once the worker's context has WEBGL_lose_context
+    this.loseContext = false;
+    this.contextLost = false;
+    this.busyMs = 0;
+    this.busyWindowStart = performance.now();
+    this.mainThread = null;
+  }
+
+  call(method, ...args) {
+    this.worker.postMessage({ type: 'call', target: 'monitor', method, args });
+  }
+
+  subscribe(listener, { intervalMs = this.baseIntervalMs, types = MONITOR_EVENTS } = {}) {
+    const subscriber = { listener, intervalMs, types, lastSampleAt: 0 };
+    this.subscribers.add(subscriber);
+    this.syncSampleInterval();
+    return () => {
+      this.subscribers.delete(subscriber);
+      this.syncSampleInterval();
+    };
+  }
+
+  // The worker posts samples at the fastest interval anyone here wants
+  syncSampleInterval() {
+    let interval = null;
+    this.subscribers.forEach((sub) => {
+      if (sub.types.includes('sample')) interval = Math.min(interval ?? Infinity, sub.intervalMs);
+    });
+    if (interval === this.sampleIntervalMs) return;
+    this.sampleIntervalMs = interval;
+    this.worker.postMessage({ type: 'sampleInterval', intervalMs: interval });
+  }
+
+  receive(event) {
+    if (event.type === 'contextLost' || event.type === 'contextRestored') {
+      this.contextLost = event.type === 'contextLost';
+    }
+    if (event.type !== 'sample') {
+      this.dispatch(event, () => true);
+      return;
+    }
+    this.updateMainThread();
+    this.stats = { ...event.stats, mainThread: this.mainThread };
+    const stamped = { ...event, stats: this.stats };
+    const slack = this.sampleIntervalMs / 2;
+    this.dispatch(stamped, (sub) => {
+      if (event.time - sub.lastSampleAt < sub.intervalMs - slack) return false;
+      sub.lastSampleAt = event.time;
+      return true;
+    });
+  }
+
+  dispatch(event, due) {
+    this.subscribers.forEach((sub) => {
+      if (!sub.types.includes(event.type) || !due(sub)) return;
+      try {
+        sub.listener(event);
+      } catch (error) {
+        console.warn('GPUMonitor listener failed:', error);
+      }
+    });
+  }
+
+  recordThreadTime(ms) {
+    this.busyMs += ms;
+  }
+
+  // Same ~1 s windows as GPUMonitor.updateThreadStats. Sample times come
+  // from the worker's clock, so the window runs on this thread's clock.
+  updateMainThread() {
+    const now = performance.now();
+    const elapsed = now - this.busyWindowStart;
+    if (elapsed < 1000) return;
+    const busyMsPerSec = (this.busyMs / elapsed) * 1000;
+    const busyPct = Math.min(100, busyMsPerSec / 10);
+    this.mainThread = { busyMsPerSec, busyPct, watts: this.powerModel.cpuWatts(busyPct) };
+    this.busyMs = 0;
+    this.busyWindowStart = now;
+  }
+
+  getStats() {
+    return this.stats ? JSON.parse(JSON.stringify(this.stats)) : null;
+  }
+
+  addThreshold(rule, { id, label } = {}) {
+    const ruleId = id || `threshold-${this.nextThresholdId++}`;
+    this.call('addThreshold', rule, { id: ruleId, label });
+    return ruleId;
+  }
+
+  removeThreshold(id) {
+    this.call('removeThreshold', id);
+  }
+
+  resetEnergy() {
+    this.call('resetEnergy');
+  }
+
+  setCostGrouping(groupBy) {
+    this.call('setCostGrouping', groupBy);
+  }
+
+  setPowerModel(spec) {
+    this.powerModel = PowerModel.from(spec);
+  }
+
+  destroy() {
+    this.subscribers.clear();
+  }
+}
+
+export function createWorkerScene(mountNode, options = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.style.display = 'block';
+  mountNode.appendChild(canvas);
+  const overlay = createSceneOverlay(mountNode);
+
+  const getSize = () => ({ width: mountNode.clientWidth, height: mountNode.clientHeight, pixelRatio: window.devicePixelRatio || 1 });
+  // The worker sizes the drawing buffer; the element is stretched to fit
+  const applyCanvasStyle = () => {
+    const { width, height } = getSize();
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    canvas.style.imageRendering = 'pixelated';
+  };
+  applyCanvasStyle();
+
+  const worker = new Worker(new URL('./sceneWorker.worker.js', import.meta.url));
+  const gpuMonitor = new MonitorProxy(worker, options);
+  let settings = {};
+  let currentTheme = 'light';
+  let modelState = { status: 'idle', name: null, progress: 0, stats: null, profile: null, error: null, lod: null, eco: null, profiles: [] };
+  const modelListeners = new Set();
+
+  // Everything the proxy does for the worker counts as main-thread time
+  const timed = (fn) => (...args) => {
+    const start = performance.now();
+    try {
+      return fn(...args);
+    } finally {
+      gpuMonitor.recordThreadTime(performance.now() - start);
+    }
+  };
+  const post = timed((message, transfer) => worker.postMessage(message, transfer || []));
+
+  const onSettings = (next) => {
+    settings = next;
+    currentTheme = next.theme;
+    overlay.update(next);
+  };
+
+  const onModel = (state) => {
+    modelState = state;
+    modelListeners.forEach((listener) => listener(state));
+  };
+
+  worker.onmessage = timed((e) => {
+    const msg = e.data || {};
+    if (msg.type === 'ready') {
+      gpuMonitor.loseContext = msg.loseContext;
+      gpuMonitor.stats = msg.stats;
+      onModel(msg.model);
+      onSettings(msg.settings);
+    } else if (msg.type === 'settings') {
+      onSettings(msg.settings);
+    } else if (msg.type === 'event') {
+      gpuMonitor.loseContext = msg.loseContext;
+      gpuMonitor.receive(msg.event);
+    } else if (msg.type === 'model') {
+      onModel(msg.state);
+    } else if (msg.type === 'error') {
+      console.warn('Scene worker:', msg.message);
+    } else if (msg.type === 'disposed') {
+      worker.terminate();
+    }
+  });
+  worker.onerror = (e) => console.warn('Scene worker failed:', e.message);
+
+  const offscreen = canvas.transferControlToOffscreen();
+  const powerModel = options.powerModel instanceof PowerModel ? options.powerModel.profile : options.powerModel;
+  post({
+    type: 'init',
+    canvas: offscreen,
+    size: getSize(),
+    hidden: document.hidden,
+    options: {
+      powerModel,
+      display: options.display,
+      carbon: carbonSnapshot(gpuMonitor.carbonIntensity),
+      themes: themeRegistry.toJSON(),
+      renderOnDemand: options.renderOnDemand,
+      autoRotate: options.autoRotate,
+      pauseInBackground: options.pauseInBackground,
+      model: options.model,
+      dracoDecoderPath: options.dracoDecoderPath,
+      lod: options.lod,
+      ecoMaterials: options.ecoMaterials,
+      ecoShading: options.ecoShading
+    }
+  }, [offscreen]);
+
+  const unsubscribeCarbon = gpuMonitor.carbonIntensity.subscribe((provider) => {
+    post({ type: 'carbon', ...carbonSnapshot(provider) });
+  });
+  // Themes registered after start-up have to reach the worker's registry
+  const unsubscribeThemes = themeRegistry.subscribe((registry) => {
+    post({ type: 'themes', themes: registry.toJSON() });
+    overlay.setTheme(currentTheme);
+  });
+
+  const callScene = (method) => (...args) => post({ type: 'call', target: 'scene', method, args });
+  const callStress = (method) => (...args) => post({ type: 'call', target: 'stress', method, args });
+
+  const onPointer = (kind) => timed((e) => post({ type: 'pointer', kind, clientX: e.clientX, clientY: e.clientY }));
+  const pointerListeners = {
+    pointerdown: onPointer('down'),
+    pointermove: onPointer('move'),
+    pointerup: onPointer('up'),
+    pointerleave: onPointer('up'),
+    wheel: timed((e) => {
+      e.preventDefault();
+      post({ type: 'pointer', kind: 'wheel', clientX: e.clientX, clientY: e.clientY, deltaY: e.deltaY });
+    })
+  };
+  Object.entries(pointerListeners).forEach(([type, listener]) => canvas.addEventListener(type, listener, { passive: false }));
+
+  function onResize() {
+    applyCanvasStyle();
+    post({ type: 'resize', size: getSize() });
+  }
+
+  function onVisibilityChange() {
+    post({ type: 'visibility', hidden: document.hidden });
+  }
+
+  window.addEventListener('resize', onResize);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+
+  function setTheme(theme) {
+    currentTheme = theme;
+    overlay.setTheme(theme);
+    callScene('setTheme')(theme);
+  }
+
+  function setPowerModel(spec) {
+    gpuMonitor.setPowerModel(spec);
+    callScene('setPowerModel')(gpuMonitor.powerModel.profile);
+  }
+
+  // File contents are moved to the worker, not copied
+  function loadModel(source, loadOptions) {
+    post({ type: 'call', target: 'scene', method: 'loadModel', args: [source, loadOptions] }, typeof source === 'string' ? [] : [source]);
+  }
+
+  function subscribeModel(listener) {
+    modelListeners.add(listener);
+    return () => modelListeners.delete(listener);
+  }
+
+  function simulateContextLoss() {
+    if (!gpuMonitor.loseContext || gpuMonitor.contextLost) return false;
+    callScene('simulateContextLoss')();
+    return true;
+  }
+
+  function restoreContext() {
+    if (!gpuMonitor.contextLost) return false;
+    callScene('restoreContext')();
+    return true;
+  }
+
+  function cleanup() {
+    Object.entries(pointerListeners).forEach(([type, listener]) => canvas.removeEventListener(type, listener));
+    window.removeEventListener('resize', onResize);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    unsubscribeCarbon();
+    unsubscribeThemes();
+    // The worker disposes the renderer and answers 'disposed'; it is
+    // terminated then
+    worker.postMessage({ type: 'dispose' });
+    gpuMonitor.destroy();
+    modelListeners.clear();
+    overlay.remove();
+    mountNode.removeChild(canvas);
+  }
+
+  return {
+    cleanup,
+    gpuMonitor,
+    // Scene objects live in the worker
+    scene: null,
+    materialOverrides: null,
+    renderer: null,
+    stressTest: {
+      startStressTest: callStress('startStressTest'),
+      stopStressTest: callStress('stopStressTest'),
+      adjustIntensity: callStress('adjustIntensity')
+    },
+    setPerformanceMode: callScene('setPerformanceMode'),
+    setTargetFps: callScene('setTargetFps'),
+    setBackgroundFps: callScene('setBackgroundFps'),
+    setPauseInBackground: callScene('setPauseInBackground'),
+    setPixelRatioClamp: callScene('setPixelRatioClamp'),
+    setViewportScale: callScene('setViewportScale'),
+    setTheme,
+    setPowerModel,
+    setRenderOnDemand: callScene('setRenderOnDemand'),
+    setAutoRotate: callScene('setAutoRotate'),
+    invalidate: callScene('invalidate'),
+    simulateContextLoss,
+    restoreContext,
+    isContextLost: () => gpuMonitor.contextLost,
+    loadModel,
+    profileModel: callScene('profileModel'),
+    measureLodLevels: callScene('measureLodLevels'),
+    setLodLevel: callScene('setLodLevel'),
+    setLodPowerBudget: callScene('setLodPowerBudget'),
+    setEcoMaterials: callScene('setEcoMaterials'),
+    setEcoShading: callScene('setEcoShading'),
+    measureEcoMaterials: callScene('measureEcoMaterials'),
+    highlightObjects: callScene('highlightObjects'),
+    getModelState: () => modelState,
+    subscribeModel,
+    // Mirror of the worker's settings as of its last reply
+    getCurrentSettings: () => ({ ...settings }),
+    get currentTheme() {
+      return currentTheme;
+    }
+  };
+}
@@ -0,0 +1,118 @@
+// Runs createLocalScene on an OffscreenCanvas: render loop, GPUMonitor
+// sampling and the stress test all live here. WorkerScene.js is the main
+// thread side of the protocol:
+//   in:  init, call { target: 'scene' | 'monitor' | 'stress', method, args },
+//        pointer, resize, visibility, sampleInterval, carbon, themes, dispose
+//   out: ready, event { event, loseContext }, settings, model { state }, error,
+//        disposed (the main thread then terminates the worker)
+import { createLocalScene } from './LocalModelScene';
+import { GPUStressTest } from './GPUStressTest';
+import { MONITOR_EVENTS } from './GPUMonitor';
+import { CarbonIntensityProvider } from './CarbonIntensityProvider';
+import { themeRegistry } from './ThemeRegistry';
+
+let sceneApi = null;
+let stressTest = null;
+let carbonIntensity = null;
+let unsubscribe = null;
+
+function postSettings() {
+  postMessage({ type: 'settings', settings: sceneApi.getCurrentSettings() });
+}
+
+// Samples only as often as the fastest main-thread subscriber asks for;
+// other events are always forwarded
+function subscribeMonitor(intervalMs) {
+  if (unsubscribe) unsubscribe();
+  const monitor = sceneApi.gpuMonitor;
+  unsubscribe = monitor.subscribe((event) => {
+    postMessage({ type: 'event', event, loseContext: !!monitor.loseContext });
+  }, {
+    intervalMs: intervalMs || monitor.baseIntervalMs,
+    types: intervalMs ? MONITOR_EVENTS : MONITOR_EVENTS.filter((type) => type !== 'sample')
+  });
+}
+
+// Region list and current region mirrored from the main thread provider
+function syncCarbon({ dataset, region }) {
+  carbonIntensity.addRegions(dataset);
+  carbonIntensity.setRegion(region);
+}
+
+// Custom themes registered on the main thread
+function syncThemes(themes) {
+  const current = themeRegistry.toJSON();
+  Object.entries(themes).forEach(([id, theme]) => {
+    if (JSON.stringify(current[id]) !== JSON.stringify(theme)) themeRegistry.register(id, theme);
+  });
+}
+
+function init({ canvas, size, hidden, options }) {
+  carbonIntensity = new CarbonIntensityProvider();
+  syncCarbon(options.carbon);
+  syncThemes(options.themes);
+  sceneApi = createLocalScene(null, {
+    ...options,
+    canvas,
+    size,
+    hidden,
+    carbonIntensity,
+    thread: 'worker'
+  });
+  stressTest = new GPUStressTest(sceneApi.scene, sceneApi.renderer, { invalidate: sceneApi.invalidate });
+  subscribeMonitor(null);
+  sceneApi.subscribeModel((state) => postMessage({ type: 'model', state }));
+  postMessage({
+    type: 'ready',
+    settings: sceneApi.getCurrentSettings(),
+    model: sceneApi.getModelState(),
+    stats: sceneApi.gpuMonitor.getStats(),
+    loseContext: !!sceneApi.gpuMonitor.loseContext
+  });
+}
+
+function call({ target, method, args = [] }) {
+  const receiver = target === 'monitor' ? sceneApi.gpuMonitor : target === 'stress' ? stressTest : sceneApi;
+  if (!receiver || typeof receiver[method] !== 'function') {
+    throw new Error(`Unknown worker call ${target}.${method}`);
+  }
+  receiver[method](...args);
+  if (target === 'scene') postSettings();
+}
+
+onmessage = (e) => {
+  const msg = e.data || {};
+  try {
+    if (msg.type === 'init') {
+      init(msg);
+      return;
+    }
+    if (!sceneApi) return;
+    if (msg.type === 'call') {
+      call(msg);
+    } else if (msg.type === 'pointer') {
+      sceneApi.handlePointer(msg.kind, msg);
+    } else if (msg.type === 'resize') {
+      sceneApi.setSize(msg.size);
+    } else if (msg.type === 'visibility') {
+      sceneApi.setHidden(msg.hidden);
+    } else if (msg.type === 'sampleInterval') {
+      subscribeMonitor(msg.intervalMs);
+    } else if (msg.type === 'carbon') {
+      syncCarbon(msg);
+    } else if (msg.type === 'themes') {
+      syncThemes(msg.themes);
+    } else if (msg.type === 'dispose') {
+      try {
+        if (unsubscribe) unsubscribe();
+        stressTest.stopStressTest();
+        sceneApi.cleanup();
+        sceneApi = null;
+      } finally {
+        postMessage({ type: 'disposed' });
+      }
+    }
+  } catch (error) {
+    postMessage({ type: 'error', message: `${msg.type}: ${error.message}` });
+  }
+};